@@ -1,8 +1,19 @@
 // Consolidate WCAG issues into Success Criteria-level ACR summaries
 import fs from 'fs';
 import path from 'path';
-import https from 'https';
-import { URL } from 'url';
+import { configureHttpRecording, httpsRequest, isRecording, isReplaying, printHttpRecordingSummary } from './lib/http-recorder.js';
+import { RequestBudgetError, configureRateLimits, getConcurrency, getRetryAfterMs, isBudgetExhausted, printRateLimitSummary } from './lib/rate-limiter.js';
+import { mapWithConcurrency } from './lib/worker-pool.js';
+import { findLatestEvidenceFile } from './lib/scanner-import.js';
+import { DRUPAL_SOURCE, getRowSource } from './lib/detailed-issues.js';
+import { describeCriterion } from './lib/wcag-catalog.js';
+import { FUNCTIONAL_PERFORMANCE_HEADERS, getFunctionalPerformanceFile, getSummaryFunctionalPerformance, rollUpFunctionalPerformance } from './lib/functional-performance.js';
+import { escapeCSV, parseCSVRecords } from './lib/spreadsheet-csv.js';
+import { configureLLM, describeProvider, estimateTokens, formatCost, getCostCap, getModelRef, getProviderConfigError, isCostCapReached, priceTokens, printUsageSummary } from './lib/llm-provider.js';
+import { checkPromptVariables, configurePrompts, getPromptRef, loadPrompt, renderPrompt } from './lib/prompt-templates.js';
+import { writeCostSummary } from './lib/cost-summary.js';
+import { generateJSON, withSchemaInstructions } from './lib/structured-output.js';
+import { getResponseKey, hasResponse, loadResponseCache, lookupResponse, printResponseCacheSummary, saveResponseCache, storeResponse } from './lib/response-cache.js';
 
 // Load environment variables from .env file if it exists
 try {
@@ -19,123 +30,49 @@ try {
   // Silently ignore .env loading errors
 }
 
-// Configuration
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent';
+const ASSESSMENT_MAX_OUTPUT_TOKENS = 400;
 
-const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+// Variables buildAssessmentPrompt fills into prompts/criterion-assessment.txt
+const ASSESSMENT_PROMPT_VARIABLES = ['criterion', 'issueCount', 'issueList', 'resolvedList', 'scannerList'];
 
-// Parse CSV file
-function parseCSV(csvContent) {
-  const lines = csvContent.split('\n').filter(line => line.trim());
-  const headers = lines[0].split(',').map(h => h.replace(/"/g, '').trim());
-  
-  const rows = [];
-  for (let i = 1; i < lines.length; i++) {
-    const values = parseCSVLine(lines[i]);
-    if (values.length === headers.length) {
-      const row = {};
-      headers.forEach((header, index) => {
-        row[header] = values[index];
-      });
-      rows.push(row);
-    }
-  }
-  
-  return rows;
-}
+// Fields the model returns for each criterion (lib/structured-output.js validates them)
+const ASSESSMENT_SCHEMA = {
+  type: 'object',
+  properties: {
+    assessment: { type: 'string', enum: ['SUPPORTED', 'PARTIALLY_SUPPORTED', 'NOT_SUPPORTED', 'NOT_APPLICABLE'] },
+    summary: { type: 'string', description: 'Consolidated ACR summary, 1-3 paragraphs' }
+  },
+  required: ['assessment', 'summary']
+};
 
-// Simple CSV line parser that handles quoted fields
-function parseCSVLine(line) {
-  const values = [];
-  let current = '';
-  let inQuotes = false;
-  
-  for (let i = 0; i < line.length; i++) {
-    const char = line[i];
-    
-    if (char === '"') {
-      if (inQuotes && line[i + 1] === '"') {
-        // Escaped quote
-        current += '"';
-        i++; // Skip next quote
-      } else {
-        // Toggle quote state
-        inQuotes = !inQuotes;
-      }
-    } else if (char === ',' && !inQuotes) {
-      // Field separator
-      values.push(current.trim());
-      current = '';
-    } else {
-      current += char;
-    }
-  }
-  
-  // Add the last field
-  values.push(current.trim());
-  
-  return values;
-}
-
-// HTTPS request wrapper (same as in generate-issue-summaries.js)
-function makeHttpsRequest(url, options, postData) {
-  return new Promise((resolve, reject) => {
-    const req = https.request(url, options, (res) => {
-      let data = '';
-      res.on('data', (chunk) => data += chunk);
-      res.on('end', () => {
-        resolve({
-          ok: res.statusCode >= 200 && res.statusCode < 300,
-          status: res.statusCode,
-          statusText: res.statusMessage,
-          text: () => Promise.resolve(data),
-          json: () => Promise.resolve(JSON.parse(data)),
-          headers: {
-            get: (header) => res.headers[header.toLowerCase()]
-          }
-        });
-      });
-    });
-    
-    req.on('error', reject);
-    if (postData) req.write(postData);
-    req.end();
-  });
-}
+// Replayed responses need no backoff; live requests are paced by lib/rate-limiter.js
+const delay = ms => isReplaying() ? Promise.resolve() : new Promise(resolve => setTimeout(resolve, ms));
 
-// Enhanced fetch with more robust rate limiting for Gemini API
+// Enhanced fetch with more robust rate limiting for the LLM API
 async function fetchWithRetry(url, options, retries = 5) {
   for (let attempt = 1; attempt <= retries; attempt++) {
     try {
-      let response;
-      
-      if (options.method === 'POST') {
-        const urlObj = new URL(url);
-        const postData = options.body || '';
-        
-        const requestOptions = {
-          hostname: urlObj.hostname,
-          port: 443,
-          path: urlObj.pathname + urlObj.search,
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Content-Length': Buffer.byteLength(postData),
-            ...options.headers
-          }
-        };
-        
-        response = await makeHttpsRequest(urlObj, requestOptions, postData);
-      } else {
+      if (options.method !== 'POST') {
         throw new Error('Only POST requests supported in this context');
       }
       
+      const response = await httpsRequest(url, options);
+      
       if (response.ok) {
         return response;
       }
       
       if (response.status === 503 || response.status === 429) {
+        // Out of retries: fail the call rather than return nothing
+        if (attempt === retries) {
+          throw new Error(`HTTP ${response.status}: ${await response.text()}`);
+        }
+        
+        // With Retry-After the rate limiter already holds back the next request
+        if (getRetryAfterMs(response) !== null) {
+          continue;
+        }
+        
         // API is overloaded or rate limited - use much longer delays for 503 errors
         let baseWaitTime;
         if (response.status === 503) {
@@ -159,7 +96,7 @@ async function fetchWithRetry(url, options, retries = 5) {
       }
       
     } catch (error) {
-      if (attempt === retries) {
+      if (attempt === retries || error instanceof RequestBudgetError) {
         throw error;
       }
       
@@ -173,107 +110,78 @@ async function fetchWithRetry(url, options, retries = 5) {
   }
 }
 
-// Generate consolidated ACR summary for a WCAG Success Criterion
-async function generateWCAGSummary(wcagSC, issues) {
-  if (!GEMINI_API_KEY) {
-    throw new Error('GEMINI_API_KEY environment variable is required');
+// Scanner evidence for the prompt: one line per tool and rule, summed over pages
+function formatScannerFindings(findings) {
+  const byRule = new Map();
+  findings.forEach(finding => {
+    const key = `${finding.tool} ${finding.ruleId}`;
+    if (!byRule.has(key)) {
+      byRule.set(key, { ...finding, occurrences: 0, pages: new Set() });
+    }
+    const rule = byRule.get(key);
+    rule.occurrences += finding.occurrences;
+    if (finding.pageUrl) rule.pages.add(finding.pageUrl);
+  });
+  
+  return [...byRule.entries()]
+    .sort(([, a], [, b]) => b.occurrences - a.occurrences)
+    .map(([key, rule]) => {
+      const pages = rule.pages.size > 0 ? ` on ${rule.pages.size} page${rule.pages.size > 1 ? 's' : ''}` : '';
+      const impact = rule.impact ? `, ${rule.impact}` : '';
+      return {
+        key,
+        occurrences: rule.occurrences,
+        text: `[${key}: ${rule.occurrences} element${rule.occurrences > 1 ? 's' : ''}${pages}${impact}] ${rule.description}`
+      };
+    });
+}
+
+// Generate consolidated ACR summary for a WCAG Success Criterion.
+// `issues` are current barriers; `resolvedIssues` were fixed or closed during the reporting period;
+// `scannerFindings` are automated scanner failures imported with import-scanner-results.js.
+async function generateWCAGSummary(wcagSC, issues, resolvedIssues = [], scannerFindings = []) {
+  const configError = isReplaying() ? null : getProviderConfigError();
+  if (configError) {
+    throw new Error(configError);
   }
   
-  console.log(`   🤖 Generating consolidated summary for ${wcagSC} (${issues.length} issues)...`);
+  // Nothing left open: no need to ask the model whether resolved issues are barriers
+  if (issues.length === 0 && scannerFindings.length === 0 && resolvedIssues.length > 0) {
+    console.log(`   ✅ ${wcagSC}: no current barriers, ${resolvedIssues.length} resolved during this period`);
+    return {
+      assessment: 'SUPPORTED',
+      summary: `All ${resolvedIssues.length} identified issue${resolvedIssues.length > 1 ? 's were' : ' was'} fixed or closed during this reporting period.`,
+      issueIds: ''
+    };
+  }
   
-  // Prepare issue context for the AI - keep it concise
-  const issueContexts = issues.map((issue, index) => {
-    // Truncate very long ACR notes to prevent prompt overflow
-    const truncatedNote = issue.acrNote.length > 200 ? 
-      issue.acrNote.substring(0, 200) + '...' : 
-      issue.acrNote;
-    return `${index + 1}. ${truncatedNote}`;
-  }).join('\n');
+  console.log(`   🤖 Generating consolidated summary for ${wcagSC} (${issues.length} issues${resolvedIssues.length > 0 ? `, ${resolvedIssues.length} resolved` : ''}${scannerFindings.length > 0 ? `, ${scannerFindings.length} scanner findings` : ''})...`);
   
+  const prompt = buildAssessmentPrompt(wcagSC, issues, resolvedIssues, scannerFindings);
   const issueIds = issues.map(issue => issue.issueId).join(', ');
   
-  const prompt = `You are an accessibility expert creating a consolidated WCAG Success Criterion assessment for an Accessibility Conformance Report (ACR).
-
-WCAG SUCCESS CRITERION: ${wcagSC}
-
-INDIVIDUAL ISSUE SUMMARIES:
-${issueContexts}
-
-Based on these ${issues.length} issues, provide exactly two responses:
-
-1. ACR_ASSESSMENT: Choose the most appropriate conformance level:
-   - "SUPPORTED" - if all issues are minor or resolved, with no significant barriers
-   - "PARTIALLY_SUPPORTED" - if there are some barriers but basic functionality remains accessible
-   - "NOT_SUPPORTED" - if there are significant barriers that prevent accessibility
-   - "NOT_APPLICABLE" - if this Success Criterion doesn't apply to the current system
-
-2. ACR_SUMMARY: Write a consolidated summary (1-3 paragraphs, as concise as possible):
-   - For single issues: Write 1 focused paragraph describing the barrier and impact
-   - For multiple similar issues: Group by issue type and write 1-2 paragraphs
-   - For diverse issues: Write up to 3 paragraphs, each focusing on different barrier types
-   - Start with issue count context only if multiple diverse issues: "Based on [X] identified issues..." 
-   - Focus on the main accessibility barriers and user impact using concise language like "affects people without vision"
-   - Group similar issues together rather than listing each one separately
-   - Keep each paragraph focused on a specific aspect (barriers, impact, status/recommendations)
-   - DO NOT mention WCAG Success Criterion numbers or titles (redundant given the context)
-   - Use professional, concise language suitable for an ACR document
-   - Prioritize brevity while maintaining clarity and completeness
-
-Format your response as:
-ACR_ASSESSMENT: [SUPPORTED/PARTIALLY_SUPPORTED/NOT_SUPPORTED/NOT_APPLICABLE]
-ACR_SUMMARY: [your consolidated summary]
-
-Keep the summary concise but comprehensive, focusing on the overall conformance picture rather than individual issue details.`;
-
-  // Debug: Log prompt size
-  const promptLength = prompt.length;
-  console.log(`   📏 Prompt size: ${promptLength} characters`);
-
+  // Same summaries, findings, prompt and model as an earlier run: reuse its answer
+  const cacheKey = getAssessmentCacheKey(prompt);
+  const cached = lookupResponse(cacheKey);
+  if (cached) {
+    console.log(`   🗄️  ${wcagSC} unchanged, using cached assessment`);
+    return { ...cached, issueIds };
+  }
+  
   try {
-    const requestBody = {
-      contents: [{
-        parts: [{
-          text: prompt
-        }]
-      }],
-      generationConfig: {
-        maxOutputTokens: 400, // Reduced from 800
-        temperature: 0.1
-      }
-    };
-    
-    const response = await fetchWithRetry(
-      `${GEMINI_API_URL}?key=${GEMINI_API_KEY}`,
-      {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(requestBody)
-      }
-    );
-    
-    const data = await response.json();
-    
-    if (!data.candidates || !data.candidates[0] || !data.candidates[0].content) {
-      throw new Error('Invalid response structure from Gemini API');
-    }
-    
-    const responseText = data.candidates[0].content.parts[0].text;
-    
-    // Parse the response to extract assessment and summary
-    const assessmentMatch = responseText.match(/ACR_ASSESSMENT:\s*(.*?)(?=ACR_SUMMARY:|$)/s);
-    const summaryMatch = responseText.match(/ACR_SUMMARY:\s*(.*?)$/s);
+    // The schema's enum keeps anything but the four conformance levels out of the ACR
+    const usage = {};
+    const result = await generateJSON(prompt, ASSESSMENT_SCHEMA, { maxOutputTokens: ASSESSMENT_MAX_OUTPUT_TOKENS, temperature: 0.1, usage }, fetchWithRetry);
+    console.log(`   💰 ${wcagSC}: ${usage.inputTokens} input + ${usage.outputTokens} output tokens, ${formatCost(usage.cost)}${usage.calls > 1 ? ` (${usage.calls} calls)` : ''}`);
     
-    const assessment = assessmentMatch ? assessmentMatch[1].trim() : 'UNKNOWN';
-    const summary = summaryMatch ? summaryMatch[1].trim() : 'Unable to generate summary';
-    
-    // Add rate limiting delay between requests - shorter for smaller prompts
-    await delay(2000 + Math.random() * 3000); // 2-5 second delay
+    const assessment = {
+      assessment: result.assessment,
+      summary: result.summary.trim()
+    };
+    storeResponse(cacheKey, 'criterion-assessment', assessment, usage.cost);
     
     return {
-      assessment,
-      summary,
+      ...assessment,
       issueIds
     };
     
@@ -299,6 +207,44 @@ Keep the summary concise but comprehensive, focusing on the overall conformance
   }
 }
 
+// Prompt for one criterion, from its current and resolved issues and scanner findings
+// (template prompts/criterion-assessment.txt)
+function buildAssessmentPrompt(wcagSC, issues, resolvedIssues, scannerFindings) {
+  // Prepare issue context for the AI - keep it concise
+  const issueContexts = issues.map((issue, index) => {
+    // Truncate very long ACR notes to prevent prompt overflow
+    const truncatedNote = issue.acrNote.length > 200 ? 
+      issue.acrNote.substring(0, 200) + '...' : 
+      issue.acrNote;
+    // Audit findings are marked so the model can tell them from community issues
+    const sourceLabel = issue.source !== DRUPAL_SOURCE ? `[${issue.source}] ` : '';
+    return `${index + 1}. ${sourceLabel}${truncatedNote}`;
+  }).join('\n');
+  
+  const resolvedContexts = resolvedIssues.map((issue, index) => {
+    const truncatedNote = issue.acrNote.length > 150 ?
+      issue.acrNote.substring(0, 150) + '...' :
+      issue.acrNote;
+    return `${index + 1}. [${issue.status}${issue.resolvedDate ? ` ${issue.resolvedDate}` : ''}] ${truncatedNote}`;
+  }).join('\n');
+  
+  const scannerContexts = formatScannerFindings(scannerFindings)
+    .map((rule, index) => `${index + 1}. ${rule.text}`)
+    .join('\n');
+  
+  return renderPrompt(loadPrompt('criterion-assessment'), {
+    criterion: describeCriterion(wcagSC),
+    issueCount: issues.length,
+    issueList: issueContexts,
+    resolvedList: resolvedContexts,
+    scannerList: scannerContexts
+  });
+}
+
+function getAssessmentCacheKey(prompt) {
+  return getResponseKey('criterion-assessment', { promptVersion: loadPrompt('criterion-assessment').version, prompt, schema: ASSESSMENT_SCHEMA });
+}
+
 // Show help information
 function showHelp() {
   console.log('📋 WCAG Success Criteria ACR Consolidator');
@@ -314,11 +260,25 @@ function showHelp() {
   console.log('OPTIONS:');
   console.log('  -h, --help     Show this help information');
   console.log('  -v, --verbose  Show additional processing details');
+  console.log('  --no-scanner-evidence  Ignore imported axe-core/Pa11y/Lighthouse findings');
+  console.log('  --no-cache     Ask the LLM again even for criteria whose inputs are unchanged');
+  console.log('  --prompt-dir <dir>  Use <dir>/criterion-assessment.txt instead of the built-in prompt (or PROMPT_DIR)');
+  console.log('  --estimate     Price the LLM calls of the run and exit without making them');
+  console.log('  --max-cost <usd>  Stop making LLM calls once the run has spent this much (or LLM_MAX_COST)');
+  console.log('  --provider <name>  LLM provider: gemini, openai, anthropic or mock (default: gemini, or LLM_PROVIDER)');
+  console.log('  --model <name>     Model to use (default: per provider, or LLM_MODEL)');
+  console.log('  --record <dir> Save every LLM response to <dir> for later replay');
+  console.log('  --replay <dir> Serve LLM responses from <dir> instead of the network');
+  console.log('  --llm-rpm <n>  LLM requests per minute (default: 20, or LLM_RPM)');
+  console.log('  --llm-concurrency <n>  Criteria assessed at once (default: 4, or LLM_CONCURRENCY)');
+  console.log('  --max-requests <n>  Stop after n API requests (default: no limit, or MAX_REQUESTS)');
   console.log('');
   console.log('REQUIREMENTS:');
-  console.log('  • GEMINI_API_KEY environment variable must be set');
+  console.log('  • API key of the provider: GEMINI_API_KEY, OPENAI_API_KEY or ANTHROPIC_API_KEY');
+  console.log('    (not needed with --replay, --provider mock or a local OPENAI_BASE_URL)');
   console.log('  • Latest wcag-detailed-issues_*.csv file in results/ directory');
   console.log('  • Latest wcag-issue-summaries_*.csv file in results/ directory');
+  console.log('  • Optional: latest wcag-scanner-evidence_*.csv from import-scanner-results.js');
   console.log('');
   console.log('OUTPUT:');
   console.log('  Creates wcag-acr-consolidated_[timestamp].csv with:');
@@ -335,23 +295,43 @@ function showHelp() {
 // Main consolidation function
 async function consolidateWCAGSummaries() {
   // Check for help flag
-  const args = process.argv.slice(2);
+  const args = configurePrompts(configureLLM(configureRateLimits(configureHttpRecording(process.argv.slice(2)))));
   if (args.includes('-h') || args.includes('--help')) {
     showHelp();
     process.exit(0);
   }
   
   const verbose = args.includes('-v') || args.includes('--verbose');
+  const useScannerEvidence = !args.includes('--no-scanner-evidence');
+  const estimate = args.includes('--estimate');
   
   console.log('📋 WCAG Success Criteria ACR Consolidator');
   console.log('==========================================');
   
-  // Check for API key
-  if (!GEMINI_API_KEY) {
-    console.log('❌ Error: GEMINI_API_KEY environment variable is required');
-    console.log('💡 Set it with: export GEMINI_API_KEY="your-api-key-here"');
+  // Check for API key (replayed and estimated runs never call the API)
+  const configError = isReplaying() || estimate ? null : getProviderConfigError();
+  if (configError) {
+    console.log(`❌ Error: ${configError}`);
+    console.log('💡 Or pick another provider with --provider (gemini, openai, anthropic, mock)');
     process.exit(1);
   }
+  console.log(`🧠 LLM provider: ${describeProvider()}`);
+  
+  let assessmentPrompt;
+  try {
+    assessmentPrompt = loadPrompt('criterion-assessment');
+    checkPromptVariables(assessmentPrompt, ASSESSMENT_PROMPT_VARIABLES);
+  } catch (error) {
+    console.log(`❌ Error: could not load the prompt template: ${error.message}`);
+    process.exit(1);
+  }
+  
+  // Recorded and replayed runs must make every LLM request, so they skip the cache
+  const noCache = args.includes('--no-cache');
+  loadResponseCache({
+    disabled: noCache || isReplaying() || isRecording(),
+    reason: noCache ? '--no-cache' : 'recording or replaying HTTP responses'
+  });
   
   const resultsDir = 'results';
   if (!fs.existsSync(resultsDir)) {
@@ -393,57 +373,138 @@ async function consolidateWCAGSummaries() {
   const detailedContent = fs.readFileSync(detailedFile, 'utf8');
   const summaryContent = fs.readFileSync(summaryFile, 'utf8');
   
-  const detailedIssues = parseCSV(detailedContent);
-  const issueSummaries = parseCSV(summaryContent);
+  const detailedIssues = parseCSVRecords(detailedContent);
+  const issueSummaries = parseCSVRecords(summaryContent);
   
   console.log(`✅ Loaded ${detailedIssues.length} detailed issues`);
   console.log(`✅ Loaded ${issueSummaries.length} issue summaries`);
   
+  // Scanner evidence from import-scanner-results.js, grouped by criterion like the issues
+  const scannerEvidence = new Map();
+  const evidenceFile = useScannerEvidence ? findLatestEvidenceFile(resultsDir) : null;
+  if (evidenceFile) {
+    const evidenceRows = parseCSVRecords(fs.readFileSync(evidenceFile, 'utf8'));
+    evidenceRows.forEach(row => {
+      (row['WCAG SC'] || '').split(',').map(sc => sc.trim()).filter(Boolean).forEach(wcagSC => {
+        if (!scannerEvidence.has(wcagSC)) {
+          scannerEvidence.set(wcagSC, []);
+        }
+        scannerEvidence.get(wcagSC).push({
+          tool: row['Tool'],
+          ruleId: row['Rule ID'],
+          impact: row['Impact'] || '',
+          pageUrl: row['Page URL'] || '',
+          occurrences: parseInt(row['Occurrences'], 10) || 1,
+          description: row['Description'] || ''
+        });
+      });
+    });
+    console.log(`🔬 Loaded ${evidenceRows.length} scanner evidence records from ${path.basename(evidenceFile)}`);
+  }
+  
   // Create a map of issue summaries by ID for quick lookup
   const summaryMap = new Map();
   issueSummaries.forEach(summary => {
     summaryMap.set(summary['Issue ID'], summary);
   });
+  const failedSummaries = [...summaryMap.values()].filter(summary => summary['Status'] === 'error').length;
+  if (failedSummaries > 0) {
+    console.log(`⚠️  ${failedSummaries} issues have no summary (step 2 failed), their titles are used instead - run generate-issue-summaries.js --retry-errors to fix`);
+  }
+  const missingSummaries = new Set(detailedIssues.map(issue => issue['Issue ID']).filter(issueId => !summaryMap.has(issueId))).size;
+  if (missingSummaries > 0) {
+    console.log(`⚠️  ${missingSummaries} issues have no step 2 row (skipped or interrupted), their titles are used instead - run generate-issue-summaries.js --resume to fix`);
+  }
   
-  // Group issues by WCAG Success Criterion
+  // Group issues by WCAG Success Criterion - an issue tagged with several criteria
+  // ("wcag143, wcag1411") is fanned out into each of their groups
   const wcagGroups = new Map();
+  const seenPairs = new Set(); // Older step 1 CSVs repeat the issue once per criterion
+  const uniqueIssueIds = new Set();
   
   detailedIssues.forEach(issue => {
-    const wcagSC = issue['WCAG SC'];
     const issueId = issue['Issue ID'];
     const summary = summaryMap.get(issueId);
+    const criteriaList = (issue['WCAG SC'] || '').split(',').map(sc => sc.trim()).filter(Boolean);
     
-    if (!wcagGroups.has(wcagSC)) {
-      wcagGroups.set(wcagSC, []);
-    }
-    
-    if (summary) {
+    criteriaList.forEach(wcagSC => {
+      if (seenPairs.has(`${issueId}:${wcagSC}`)) return;
+      seenPairs.add(`${issueId}:${wcagSC}`);
+      
+      if (!wcagGroups.has(wcagSC)) {
+        wcagGroups.set(wcagSC, []);
+      }
+      
+      uniqueIssueIds.add(issueId);
       wcagGroups.get(wcagSC).push({
         issueId,
         wcagSC,
         title: issue['Issue Title'],
-        acrNote: summary['ACR Note'] || 'No ACR note available'
+        status: issue['Status'] || '',
+        // Older step 1 CSVs have no category column - everything in them was open
+        statusCategory: issue['Status Category'] || 'open',
+        resolvedDate: issue['Resolved Date'] || '',
+        source: getRowSource(issue),
+        // An issue whose summary failed or was never written still counts as a
+        // barrier; its title stands in for the note
+        acrNote: !summary || summary['Status'] === 'error'
+          ? `Not yet summarized: ${issue['Issue Title']}`
+          : summary['ACR Note'] || 'No ACR note available'
       });
+    });
+  });
+  
+  // Criteria with scanner failures but no tagged issues are assessed too
+  scannerEvidence.forEach((findings, wcagSC) => {
+    if (!wcagGroups.has(wcagSC)) {
+      wcagGroups.set(wcagSC, []);
     }
   });
   
-  console.log(`📊 Found ${wcagGroups.size} unique WCAG Success Criteria`);
+  // Split each criterion into current barriers and issues resolved during the period
+  const splitByStatus = groupIssues => ({
+    current: groupIssues.filter(issue => issue.statusCategory === 'open'),
+    resolved: groupIssues.filter(issue => issue.statusCategory !== 'open')
+  });
   
-  // Process each WCAG Success Criterion
-  const results = [];
+  console.log(`📊 Found ${wcagGroups.size} unique WCAG Success Criteria across ${uniqueIssueIds.size} unique issues`);
+  
+  if (estimate) {
+    const unsummarized = detailedIssues.filter(issue => !summaryMap.has(issue['Issue ID'])).length;
+    printAssessmentEstimate(wcagGroups, splitByStatus, scannerEvidence, unsummarized);
+    return;
+  }
+  
+  // Process the criteria a few at a time (the rate limiter caps concurrent LLM calls);
+  // results keep the criterion order so the CSV diffs cleanly between runs
   const failedEntries = []; // Track failed entries for retry
+  
+  // Rows record the prompt template and model that assessed them; criteria with
+  // no current barriers are marked SUPPORTED without asking the model
+  const getProvenance = (issues, scannerFindings) => issues.length > 0 || scannerFindings.length > 0
+    ? { prompt: getPromptRef(assessmentPrompt), model: getModelRef() }
+    : { prompt: '', model: '' };
   let processedCount = 0;
+  let skippedCount = 0;
   
-  for (const [wcagSC, issues] of wcagGroups) {
+  const outcomes = await mapWithConcurrency([...wcagGroups], getConcurrency('llm'), async ([wcagSC, groupIssues], index) => {
+    if (isBudgetExhausted() || isCostCapReached()) {
+      skippedCount++;
+      return null;
+    }
+    
+    const { current: issues, resolved } = splitByStatus(groupIssues);
+    const scannerFindings = scannerEvidence.get(wcagSC) || [];
+    
     try {
-      console.log(`\n[${processedCount + 1}/${wcagGroups.size}] Processing ${wcagSC} (${issues.length} issues)...`);
+      console.log(`\n[${index + 1}/${wcagGroups.size}] Processing ${wcagSC} (${issues.length} current, ${resolved.length} resolved${scannerFindings.length > 0 ? `, ${scannerFindings.length} scanner findings` : ''})...`);
       
       // Generate consolidated summary
-      const consolidatedSummary = await generateWCAGSummary(wcagSC, issues);
+      const consolidatedSummary = await generateWCAGSummary(wcagSC, issues, resolved, scannerFindings);
       
       // Check if this needs retry due to API issues
       if (consolidatedSummary.assessment === 'REQUIRES_REVIEW') {
-        failedEntries.push({ wcagSC, issues });
+        failedEntries.push({ wcagSC, issues, resolved, scannerFindings });
         console.log(`   ⚠️  ${wcagSC}: API overloaded, marked for retry`);
       } else {
         console.log(`   ✅ ${wcagSC}: ${consolidatedSummary.assessment}`);
@@ -456,42 +517,58 @@ async function consolidateWCAGSummaries() {
         });
       }
       
+      processedCount++;
+      
       // Store result
-      results.push({
+      return {
         wcagSC,
         assessment: consolidatedSummary.assessment,
         summary: consolidatedSummary.summary,
         issueCount: issues.length,
         issueIds: consolidatedSummary.issueIds,
+        resolvedCount: resolved.length,
+        resolvedIssueIds: resolved.map(i => i.issueId).join(', '),
+        sources: formatSources(issues),
+        ...summarizeScannerEvidence(scannerFindings),
+        ...getProvenance(issues, scannerFindings),
         processedAt: new Date().toISOString()
-      });
-      
-      processedCount++;
+      };
       
     } catch (error) {
       console.log(`   ❌ Error processing ${wcagSC}: ${error.message}`);
       
-      results.push({
+      return {
         wcagSC,
         assessment: 'ERROR',
         summary: `Error: ${error.message}`,
         issueCount: issues.length,
         issueIds: issues.map(i => i.issueId).join(', '),
+        resolvedCount: resolved.length,
+        resolvedIssueIds: resolved.map(i => i.issueId).join(', '),
+        sources: formatSources(issues),
+        ...summarizeScannerEvidence(scannerFindings),
+        ...getProvenance(issues, scannerFindings),
         processedAt: new Date().toISOString()
-      });
+      };
     }
+  });
+  
+  const results = outcomes.filter(Boolean);
+  if (skippedCount > 0) {
+    const reason = isCostCapReached() ? `Cost cap of ${formatCost(getCostCap())} reached` : 'Request budget exhausted';
+    console.log(`\n🛑 ${reason} - ${skippedCount} criteria left unprocessed`);
   }
   
-  // Retry failed entries if any exist
-  if (failedEntries.length > 0) {
+  // Retry failed entries if any exist (unless the cost cap leaves nothing to spend on them)
+  if (failedEntries.length > 0 && !isCostCapReached()) {
     console.log(`\n🔄 Retrying ${failedEntries.length} failed entries after 30-second delay...`);
     await delay(30000); // Wait 30 seconds before retry
     
-    for (const { wcagSC, issues } of failedEntries) {
+    for (const { wcagSC, issues, resolved, scannerFindings } of failedEntries) {
       try {
         console.log(`\n🔄 Retrying ${wcagSC} (${issues.length} issues)...`);
         
-        const consolidatedSummary = await generateWCAGSummary(wcagSC, issues);
+        const consolidatedSummary = await generateWCAGSummary(wcagSC, issues, resolved, scannerFindings);
         
         // Update the existing result
         const existingIndex = results.findIndex(r => r.wcagSC === wcagSC);
@@ -502,6 +579,11 @@ async function consolidateWCAGSummaries() {
             summary: consolidatedSummary.summary,
             issueCount: issues.length,
             issueIds: consolidatedSummary.issueIds,
+            resolvedCount: resolved.length,
+            resolvedIssueIds: resolved.map(i => i.issueId).join(', '),
+            sources: formatSources(issues),
+            ...summarizeScannerEvidence(scannerFindings),
+            ...getProvenance(issues, scannerFindings),
             processedAt: new Date().toISOString()
           };
           
@@ -521,13 +603,14 @@ async function consolidateWCAGSummaries() {
       }
     }
   }
+  saveResponseCache();
   
   // Generate output CSV
   console.log('\n📊 Generating consolidated ACR CSV...');
   const timestamp = new Date().toISOString().slice(0, 16).replace(/:/g, '-').replace('T', '_');
   const outputFile = path.join(resultsDir, `wcag-acr-consolidated_${timestamp}.csv`);
   
-  const csvHeaders = ['WCAG SC', 'ACR Assessment', 'ACR Summary', 'Issue Count', 'Issue IDs', 'Processed At'];
+  const csvHeaders = ['WCAG SC', 'ACR Assessment', 'ACR Summary', 'Issue Count', 'Issue IDs', 'Resolved Count', 'Resolved Issue IDs', 'Sources', 'Scanner Findings', 'Scanner Rules', 'Prompt', 'Model', 'Processed At'];
   let csvOutput = csvHeaders.join(',') + '\n';
   
   // Sort results by WCAG SC for better organization
@@ -540,12 +623,35 @@ async function consolidateWCAGSummaries() {
       escapeCSV(result.summary),
       escapeCSV(result.issueCount),
       escapeCSV(result.issueIds),
+      escapeCSV(result.resolvedCount),
+      escapeCSV(result.resolvedIssueIds),
+      escapeCSV(result.sources),
+      escapeCSV(result.scannerFindings),
+      escapeCSV(result.scannerRules),
+      escapeCSV(result.prompt),
+      escapeCSV(result.model),
       escapeCSV(result.processedAt)
     ];
     csvOutput += row.join(',') + '\n';
   });
   
   fs.writeFileSync(outputFile, csvOutput, 'utf8');
+  writeCostSummary(outputFile, { stoppedByCostCap: isCostCapReached() });
+  
+  // Roll the functional performance tags of step 2 up per Section 508 criterion:
+  // each summarized issue once, with all its WCAG criteria, rated by their assessments
+  const taggedIssues = new Map();
+  wcagGroups.forEach(groupIssues => groupIssues.forEach(issue => {
+    if (!taggedIssues.has(issue.issueId)) {
+      taggedIssues.set(issue.issueId, { ...issue, criteria: [], functionalPerformance: getSummaryFunctionalPerformance(summaryMap.get(issue.issueId)) });
+    }
+    taggedIssues.get(issue.issueId).criteria.push(issue.wcagSC);
+  }));
+  const functionalPerformance = rollUpFunctionalPerformance([...taggedIssues.values()], new Map(results.map(result => [result.wcagSC, result.assessment])));
+  const functionalPerformanceFile = getFunctionalPerformanceFile(outputFile);
+  const fpcRows = functionalPerformance.map(row => [row.num, row.name, row.assessment, row.issueCount, row.issueIds, row.resolvedCount, row.resolvedIssueIds, row.sources, row.wcagCriteria].map(escapeCSV).join(','));
+  fs.writeFileSync(functionalPerformanceFile, [FUNCTIONAL_PERFORMANCE_HEADERS.join(','), ...fpcRows].join('\n') + '\n', 'utf8');
+  const untagged = [...taggedIssues.values()].filter(issue => issue.functionalPerformance.length === 0).length;
   
   // Generate summary statistics
   const assessmentCounts = {};
@@ -558,6 +664,11 @@ async function consolidateWCAGSummaries() {
   console.log('==========================');
   console.log(`✅ Successfully processed: ${processedCount}/${wcagGroups.size} WCAG Success Criteria`);
   console.log(`📁 Output file: ${outputFile}`);
+  console.log(`📁 Functional performance rollup: ${functionalPerformanceFile}`);
+  printHttpRecordingSummary();
+  printRateLimitSummary();
+  printResponseCacheSummary();
+  printUsageSummary();
   
   console.log('\n📊 ACR Assessment Summary:');
   Object.entries(assessmentCounts).sort().forEach(([assessment, count]) => {
@@ -568,6 +679,17 @@ async function consolidateWCAGSummaries() {
     console.log(`   ${icon} ${assessment}: ${count} Success Criteria`);
   });
   
+  console.log('\n🧍 Functional Performance Criteria (Section 508 chapter 302):');
+  functionalPerformance.forEach(row => {
+    const icon = row.assessment === 'NOT_SUPPORTED' ? '🔴' :
+                 row.assessment === 'PARTIALLY_SUPPORTED' ? '🟡' :
+                 row.assessment === 'SUPPORTED' ? '🟢' : '⚪';
+    console.log(`   ${icon} ${row.num} ${row.name}: ${row.issueCount} current, ${row.resolvedCount} resolved`);
+  });
+  if (untagged > 0) {
+    console.log(`   ⚠️  ${untagged} issues have no functional performance tags (failed summaries or none given)`);
+  }
+  
   if (assessmentCounts['REQUIRES_REVIEW']) {
     console.log('\n⚠️  REQUIRES_REVIEW entries need manual assessment due to API limitations.');
     console.log('💡 You can re-run the script later when the API is less busy.');
@@ -585,19 +707,62 @@ async function consolidateWCAGSummaries() {
   console.log('• Focus on NOT_SUPPORTED and PARTIALLY_SUPPORTED criteria for remediation');
 }
 
-// CSV escape function
-function escapeCSV(field) {
-  if (field === null || field === undefined) {
-    return '';
-  }
-  
-  const str = String(field);
+// --estimate: price the criteria that would call the LLM, from their exact prompts;
+// output is priced at its token limit
+function printAssessmentEstimate(wcagGroups, splitByStatus, scannerEvidence, unsummarized) {
+  let calls = 0;
+  let cached = 0;
+  let inputTokens = 0;
+  
+  wcagGroups.forEach((groupIssues, wcagSC) => {
+    const { current: issues, resolved } = splitByStatus(groupIssues);
+    const scannerFindings = scannerEvidence.get(wcagSC) || [];
+    if (issues.length === 0 && scannerFindings.length === 0) return;
+    
+    const prompt = buildAssessmentPrompt(wcagSC, issues, resolved, scannerFindings);
+    if (hasResponse(getAssessmentCacheKey(prompt))) {
+      cached++;
+      return;
+    }
+    calls++;
+    inputTokens += estimateTokens(withSchemaInstructions(prompt, ASSESSMENT_SCHEMA));
+  });
   
-  if (str.includes('"') || str.includes(',') || str.includes('\n') || str.includes('\r')) {
-    return '"' + str.replace(/"/g, '""') + '"';
+  const outputTokens = calls * ASSESSMENT_MAX_OUTPUT_TOKENS;
+  const cost = priceTokens(inputTokens, outputTokens);
+  console.log(`\n💰 Estimate for ${wcagGroups.size} criteria with ${describeProvider()} (no LLM calls made):`);
+  console.log(`   ${calls} LLM calls: ~${inputTokens.toLocaleString()} input tokens, up to ${outputTokens.toLocaleString()} output tokens`);
+  if (cached > 0) {
+    console.log(`   ${cached} criteria answered from the response cache at no cost`);
   }
-  
-  return str;
+  if (unsummarized > 0) {
+    console.log(`   ${unsummarized} issues have no summary yet and are priced with their titles - estimate again after step 2 for a closer figure`);
+  }
+  console.log(`   Estimated cost: up to ${formatCost(cost)} (an invalid answer adds one repair call)`);
+  if (getCostCap() > 0) {
+    console.log(`   ${cost <= getCostCap() ? '✅ Within' : '⚠️  Over'} the --max-cost cap of ${formatCost(getCostCap())}`);
+  }
+}
+
+// Current issues by source: "Drupal.org: 3444444, 3111111; Manual audit: AUDIT-2"
+function formatSources(issues) {
+  const bySource = new Map();
+  issues.forEach(issue => {
+    if (!bySource.has(issue.source)) {
+      bySource.set(issue.source, []);
+    }
+    bySource.get(issue.source).push(issue.issueId);
+  });
+  return [...bySource.entries()].map(([source, ids]) => `${source}: ${ids.join(', ')}`).join('; ');
+}
+
+// Scanner columns of a result row: failing elements and "axe-core color-contrast (12); ..."
+function summarizeScannerEvidence(scannerFindings) {
+  const rules = formatScannerFindings(scannerFindings);
+  return {
+    scannerFindings: rules.reduce((sum, rule) => sum + rule.occurrences, 0),
+    scannerRules: rules.map(rule => `${rule.key} (${rule.occurrences})`).join('; ')
+  };
 }
 
 // Run the consolidator
@@ -2,6 +2,9 @@
 import fs from 'fs';
 import path from 'path';
 import csv from 'csv-parser';
+import { DRUPAL_SOURCE } from './lib/detailed-issues.js';
+import { WCAG_CRITERIA, getCriterion } from './lib/wcag-catalog.js';
+import { FUNCTIONAL_PERFORMANCE_CRITERIA, FUNCTIONAL_PERFORMANCE_HEADERS, getFunctionalPerformanceFile } from './lib/functional-performance.js';
 
 // Basic YAML helper functions
 function escapeYAML(str) {
@@ -67,143 +70,47 @@ function convertWCAGFormat(wcagSC) {
     return wcagSC;
   }
   
-  // Remove 'wcag' prefix and convert to dotted format
-  const numbers = wcagSC.slice(4); // Remove 'wcag'
-  
-  // Handle specific known patterns
-  const specialMappings = {
-    '1410': '1.4.10',
-    '1411': '1.4.11',
-    '1412': '1.4.12',
-    '2411': '2.4.11',
-    '233': '2.3.3',
-    '248': '2.4.8',
-    '249': '2.4.9',
-    '255': '2.5.5', // Map 255 to 2.5.5 (Level AAA)
-    '258': '2.5.8', // Fixed: 258 should map to 2.5.8, not 2.5.5
-    '325': '3.2.5',
-    '336': '3.3.6'
-  };
-  
-  if (specialMappings[numbers]) {
-    return specialMappings[numbers];
-  }
-  
-  // Handle standard patterns
-  if (numbers.length === 3) {
-    // Pattern: 111 -> 1.1.1
-    return `${numbers[0]}.${numbers[1]}.${numbers[2]}`;
-  } else if (numbers.length === 4) {
-    // Pattern: 1410 -> 1.4.10 (handled above)
-    // For other 4-digit patterns, try different splits
-    if (numbers.startsWith('1') || numbers.startsWith('2') || numbers.startsWith('3') || numbers.startsWith('4')) {
-      // Try x.y.zz format first
-      const first = numbers[0];
-      const second = numbers[1];
-      const third = numbers.slice(2);
-      return `${first}.${second}.${third}`;
-    }
+  // The catalog knows where the digits split ('wcag1410' is 1.4.10, 'wcag258' is 2.5.8)
+  const criterion = getCriterion(wcagSC);
+  if (criterion) {
+    return criterion.num;
   }
   
-  // Fallback for unusual formats
   console.warn(`⚠️  Unable to convert WCAG format: ${wcagSC}`);
   return wcagSC;
 }
 
-// WCAG Success Criteria positive accessibility statements
-// These describe what good accessibility looks like for each criterion
-const wcagPositiveStatements = {
-  // WCAG Level A criteria
-  '1.1.1': "Images and form elements have text alternatives that adequately describe the purpose and meaning",
-  '1.2.1': "Prerecorded audio and video are presented with captions, transcripts, or links to equivalent content",
-  '1.2.2': "Audio recordings and videos with sound have synchronized captions",
-  '1.2.3': "Audio description is provided for pre-recorded video",
-  '1.3.1': "The meaning conveyed by visual elements is the same when communicated programmatically for assistive technology users",
-  '1.3.2': "Keyboard users navigate the page in the same order the content is presented (top down, left to right)",
-  '1.3.3': "Descriptions and instructions don't rely on visual cues, like color or position",
-  '1.4.1': "Links and form elements use more than color (underlines, outlines) to convey state",
-  '1.4.2': "Users can pause or stop automated audio/video and control its volume in the UI",
-  '2.1.1': "Interactive elements are navigable and usable with keyboard commands",
-  '2.1.2': "Users can move focus to/from interactive elements with keyboard alone",
-  '2.1.4': "Custom character shortcuts are scoped to a focus event, use modifier keys, or can be customized or disabled",
-  '2.2.1': "Users can turn off or modify timers or time limits",
-  '2.2.2': "Users can pause animations or auto-updating content",
-  '2.3.1': "Pages don't have flashing content that exceeds flashing content thresholds",
-  '2.4.1': "Users can skip repeated navigation elements and go straight to main content",
-  '2.4.2': "Web pages have a descriptive title",
-  '2.4.3': "Focusable elements appear in the same order the content is presented (top down, left to right)",
-  '2.4.4': "Screen reader users can determine a link's purpose by its text and surrounding context",
-  '2.5.1': "Alternative methods using tap or a click are provided for path-based gestures (scrolling, drawing, zooming the page)",
-  '2.5.2': "Users can dismiss, cancel, or undo single-pointer actions",
-  '2.5.3': "Interactive elements have a programmatically derived accessible name that begins with or matches its visible label",
-  '2.5.4': "Motion actuation functionality can be disabled to prevent accidental triggering",
-  '3.1.1': "Pages have a 'lang' attribute that identifies the main language used for content",
-  '3.2.1': "No major changes to the page that could disorient users are made on focus",
-  '3.2.2': "No major changes to the page that could disorient users are made when a field changes value, unless the change is expected",
-  '3.3.1': "Error messages are provided in text",
-  '3.3.2': "Fields for user input have text labels or instructions",
-  '4.1.1': "Parsing of markup does not cause errors for assistive technologies",
-  '4.1.2': "Interactive elements have a programmatically derived accessible name, role, and value/state",
-  
-  // WCAG Level AA criteria
-  '1.2.4': "Live audio/video feeds have captions",
-  '1.2.5': "Meaningful information that's not conveyed in dialogue is described in captions",
-  '1.3.4': "On a mobile device, the site is fully functional whether in portrait or landscape orientation",
-  '1.3.5': "Form inputs are correctly labeled for screen reader users",
-  '1.4.3': "Text and links meet and often exceed minimum color contrast requirements",
-  '1.4.4': "The site remains legible and fully functional when users zoom the screen by 200% or more",
-  '1.4.5': "Text is only baked into an image when it needs to be, like for the site logo",
-  '1.4.10': "The site uses responsive development techniques so that content and functionality are retained regardless of device or viewport size (mobile, tablet, desktop)",
-  '1.4.11': "Form elements and buttons meet and often exceed minimum color contrast requirements",
-  '1.4.12': "Line height, letter, paragraph, and word spacing meet size requirements relative to font size",
-  '1.4.13': "Tooltips, which appear on hover and focus, persist until the user moves the pointer or focus elsewhere",
-  '2.4.5': "Users can reach pages by using search, global navigation, sidebar navigation, or links within page content",
-  '2.4.6': "Headings and labels are accurately described",
-  '2.4.7': "Interactive elements have a visible focus state when navigating by keyboard",
-  '2.4.11': "Interactive elements are at least partially visible (not obscured by other content) when focused",
-  '2.5.7': "When dragging actions are required, users have an alternate, single-pointer action like tap or click to perform the same task",
-  '2.5.8': "Interactive elements are at least 24x24 pixels or have sufficient space around them to prevent errant clicks, unless they're part of a sentence",
-  '3.1.2': "Sections of content that do not use the main page language have a 'lang' attribute that identifies the language used",
-  '3.2.3': "Navigation elements appear in the same location and order across the site",
-  '3.2.4': "Interactive elements with the same function have the same name, role, and behavior",
-  '3.3.3': "Corrective actions are suggested when users make an input error",
-  '3.3.4': "Forms that collect user data can be reviewed and confirmed or corrected",
-  '4.1.3': "Status messages are announced to users without having to focus on status message content",
-  
-  // WCAG Level AAA criteria
-  '1.2.6': "Sign Language interpretation is provided for audio content",
-  '1.2.7': "Extended audio description is provided for video content where pauses in dialogue are insufficient",
-  '1.2.8': "A full text alternative is provided for pre-recorded synchronized media",
-  '1.2.9': "Audio-only live content has alternative access methods",
-  '1.3.6': "The purpose of user interface components can be programmatically determined",
-  '1.4.6': "Text has a contrast ratio of at least 7:1 with its background",
-  '1.4.7': "Audio content has minimal or no background noise to aid comprehension",
-  '1.4.8': "Text presentation can be customized without loss of content or functionality",
-  '1.4.9': "Images of text are used only for decoration or when essential to the information",
-  '2.1.3': "All page functionality is available from a keyboard without requiring specific timings",
-  '2.2.3': "Timing is not an essential part of the event or activity",
-  '2.2.4': "Interruptions can be postponed or suppressed by the user",
-  '2.2.5': "When a session expires, the user can continue without loss of data",
-  '2.2.6': "Users are warned of the duration of inactivity that will cause data loss",
-  '2.3.2': "Web pages do not contain content that flashes more than three times in any one second period",
-  '2.3.3': "Animation from interactions can be disabled unless essential to functionality",
-  '2.4.8': "Information about the user's location within a website is available",
-  '2.4.9': "Link purpose can be identified from link text alone",
-  '2.4.10': "Section headings are used to organize content",
-  '2.5.5': "The size of the target for pointer inputs is at least 44 by 44 CSS pixels",
-  '2.5.6': "Input mechanisms are available for users who cannot perform complex gestures",
-  '3.1.3': "The meaning of unusual words, phrases, idioms, and abbreviations can be determined",
-  '3.1.4': "The expansion or explanation of abbreviations can be determined",
-  '3.1.5': "Reading level is lower secondary education level or supplemental content is available",
-  '3.1.6': "The pronunciation of words where meanings is ambiguous can be determined",
-  '3.2.5': "Changes of context are initiated only by user request or a mechanism is available to turn off such changes",
-  '3.3.5': "Context-sensitive help is available",
-  '3.3.6': "Error prevention mechanisms are provided for submissions that are irreversible or financial"
-};
-
-// Function to get positive accessibility statement for a WCAG criterion
+// Positive accessibility statement for a WCAG criterion, describing what good
+// accessibility looks like (from the shared catalog)
 function getPositiveStatement(wcagNum) {
-  return wcagPositiveStatements[wcagNum] || null;
+  const criterion = getCriterion(wcagNum);
+  return criterion ? criterion.statement : null;
+}
+
+// Sentence listing issues fixed or closed during the reporting period (from step 3)
+function formatResolvedNote(resolvedCount, resolvedIssueIds) {
+  const count = parseInt(resolvedCount, 10);
+  if (!count || !resolvedIssueIds) return '';
+  
+  const links = resolvedIssueIds.split(',').map(id => `#${id.trim()}`).join(', ');
+  return `Resolved during this reporting period: ${count} issue${count > 1 ? 's' : ''} (${links}).`;
+}
+
+// Sentence citing the current issues by source when audit findings are among them
+// (step 3 Sources column: "Drupal.org: 3444444; Manual audit: AUDIT-2, AUDIT-5")
+function formatSourcesNote(sources) {
+  if (!sources) return '';
+  
+  const groups = sources.split(';').map(group => {
+    const [source, ids] = group.split(':').map(part => part.trim());
+    return { source, ids: (ids || '').split(',').map(id => id.trim()).filter(Boolean) };
+  });
+  if (groups.every(group => group.source === DRUPAL_SOURCE)) return '';
+  
+  const citations = groups.map(({ source, ids }) => source === DRUPAL_SOURCE
+    ? `Drupal.org issue${ids.length > 1 ? 's' : ''} ${ids.map(id => `#${id}`).join(', ')}`
+    : `${source} finding${ids.length > 1 ? 's' : ''} ${ids.join(', ')}`);
+  return `Sources: ${citations.join('; ')}.`;
 }
 
 // WCAG Success Criteria that should be marked as Not Applicable
@@ -214,8 +121,58 @@ function isNotApplicable(wcagNum) {
   return naList.includes(wcagNum);
 }
 
+// Notes of a functional performance criterion from its step 3 rollup row:
+// "2 current issues affect people without vision (#3400001, #3400003), under WCAG 1.1.1, 2.1.1."
+// or "No open issues affect people without vision."
+function formatFunctionalPerformanceNotes(entry, row) {
+  const count = parseInt(row['Issue Count'], 10) || 0;
+  let notes = `No open issues affect ${entry.people}.`;
+  
+  if (count > 0) {
+    const links = row['Issue IDs'].split(',').map(id => `#${id.trim()}`).join(', ');
+    const criteria = row['WCAG SC'] ? row['WCAG SC'].split(',').map(sc => convertWCAGFormat(sc.trim())).join(', ') : '';
+    notes = `${count} current issue${count > 1 ? 's' : ''} ${count > 1 ? 'affect' : 'affects'} ${entry.people} (${links})${criteria ? `, under WCAG ${criteria}` : ''}.`;
+  }
+  
+  const resolvedNote = formatResolvedNote(row['Resolved Count'], row['Resolved Issue IDs']);
+  const sourcesNote = count > 0 ? formatSourcesNote(row['Sources']) : '';
+  return [notes, resolvedNote, sourcesNote].filter(Boolean).join(' ');
+}
+
+// functional_performance_criteria chapter (302.1-302.9). With the step 3 rollup the
+// levels and notes come from the issues tagged with each criterion; without one
+// (an older step 3 run) every criterion is not evaluated and the chapter stays disabled.
+function formatFunctionalPerformanceChapter(rows) {
+  const rowsByNum = new Map((rows || []).map(row => [row['FPC'], row]));
+  const currentIssues = new Set((rows || []).flatMap(row => (row['Issue IDs'] || '').split(',').map(id => id.trim()).filter(Boolean)));
+  const chapterNotes = rows
+    ? `Levels and notes follow the functional performance criteria each issue affects. ${currentIssues.size} current issue${currentIssues.size === 1 ? ' affects' : 's affect'} at least one criterion.`
+    : 'Not applicable.';
+  
+  let yaml = `  functional_performance_criteria:
+    notes: ${formatYAMLMultiline(chapterNotes, '    ')}
+    criteria:
+`;
+  
+  FUNCTIONAL_PERFORMANCE_CRITERIA.forEach(entry => {
+    const row = rowsByNum.get(entry.num);
+    const adherenceLevel = convertAssessmentToAdherence(row ? row['ACR Assessment'] : 'REQUIRES_REVIEW');
+    const notes = row ? formatFunctionalPerformanceNotes(entry, row) : 'Not evaluated: no functional performance rollup from step 3.';
+    yaml += `      - num: "${entry.num}"
+        components:
+          - name: none
+            adherence:
+              level: ${adherenceLevel}
+              notes: ${formatYAMLMultiline(notes, '              ')}
+`;
+  });
+  
+  return yaml + `    disabled: ${rows ? 'false' : 'true'}
+`;
+}
+
 // Generate the OpenACR YAML content
-function generateOpenACR(consolidatedData) {
+function generateOpenACR(consolidatedData, functionalPerformance = null) {
   const timestamp = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
   
   // Load template from external file
@@ -303,7 +260,7 @@ chapters:
   // TEMPORARY: Filter out WCAG 2.2 criteria that are not supported by OpenACR Editor
   // TODO: Remove this filtering when OpenACR Editor supports WCAG 2.2
   // WCAG 2.2 new criteria that need to be excluded:
-  const wcag22Criteria = ['2.4.11', '2.4.12', '2.4.13', '2.5.7', '2.5.8', '3.2.6', '3.3.7'];
+  const wcag22Criteria = WCAG_CRITERIA.filter(criterion => criterion.version === '2.2').map(criterion => criterion.num);
   
   consolidatedData.forEach(item => {
     const wcagNum = convertWCAGFormat(item['WCAG SC']);
@@ -332,6 +289,17 @@ chapters:
           notes = positiveStatement;
         }
       }
+      
+      // Keep recently fixed issues visible but separate from current barriers
+      const resolvedNote = formatResolvedNote(item['Resolved Count'], item['Resolved Issue IDs']);
+      if (resolvedNote) {
+        notes = `${notes} ${resolvedNote}`;
+      }
+      
+      const sourcesNote = formatSourcesNote(item['Sources']);
+      if (sourcesNote) {
+        notes = `${notes} ${sourcesNote}`;
+      }
     }
     
     const criterion = {
@@ -339,7 +307,9 @@ chapters:
       adherenceLevel,
       notes,
       issueCount: item['Issue Count'],
-      issueIds: item['Issue IDs']
+      issueIds: item['Issue IDs'],
+      resolvedCount: item['Resolved Count'] || 0,
+      resolvedIssueIds: item['Resolved Issue IDs'] || ''
     };
     
     // Determine WCAG level using the proper categorization
@@ -480,69 +450,7 @@ chapters:
   }
   
   yaml += `    disabled: false
-  functional_performance_criteria:
-    notes: Not applicable.
-    criteria:
-      - num: "302.1"
-        components:
-          - name: none
-            adherence:
-              level: supports
-              notes: "Testing has been done with JAWS, NVDA and VoiceOver."
-      - num: "302.2"
-        components:
-          - name: none
-            adherence:
-              level: supports
-              notes: Testing has been done with browser zoom and ZoomText.
-      - num: "302.3"
-        components:
-          - name: none
-            adherence:
-              level: supports
-              notes: The interface has been reviewed for use of color.
-      - num: "302.4"
-        components:
-          - name: none
-            adherence:
-              level: not-applicable
-              notes: ""
-      - num: "302.5"
-        components:
-          - name: none
-            adherence:
-              level: not-applicable
-              notes: ""
-      - num: "302.6"
-        components:
-          - name: none
-            adherence:
-              level: not-applicable
-              notes: ""
-      - num: "302.7"
-        components:
-          - name: none
-            adherence:
-              level: supports
-              notes: >-
-                Drupal's interface does not restrict users with limited
-                manipulation.
-      - num: "302.8"
-        components:
-          - name: none
-            adherence:
-              level: supports
-              notes: >-
-                Drupal's interface does not restrict users with limited reach or
-                strength.
-      - num: "302.9"
-        components:
-          - name: none
-            adherence:
-              level: not-applicable
-              notes: ""
-    disabled: true
-  hardware:
+${formatFunctionalPerformanceChapter(functionalPerformance)}  hardware:
     notes: >-
       Drupal is a web application. Hardware accessibility criteria is not
       applicable.
@@ -616,43 +524,10 @@ catalog: 2.4-edition-wcag-2.1-en
 
 // Determine if a WCAG criteria is Level A, AA, or AAA
 function getWCAGLevel(wcagNum) {
-  // WCAG 2.1 Level A criteria
-  const levelACriteria = [
-    '1.1.1', '1.2.1', '1.2.2', '1.2.3', '1.3.1', '1.3.2', '1.3.3',
-    '1.4.1', '1.4.2', '2.1.1', '2.1.2', '2.1.4', '2.2.1', '2.2.2',
-    '2.3.1', '2.4.1', '2.4.2', '2.4.3', '2.4.4', '2.5.1', '2.5.2',
-    '2.5.3', '2.5.4', '3.1.1', '3.2.1', '3.2.2', '3.3.1', '3.3.2',
-    '4.1.1', '4.1.2'
-  ];
-  
-  // WCAG 2.1 Level AA criteria (excluding WCAG 2.2 additions)
-  // TEMPORARY: Removed 2.4.11 and 2.5.8 which are WCAG 2.2 criteria
-  // TODO: Add back WCAG 2.2 criteria when OpenACR Editor supports them
-  const levelAACriteria = [
-    '1.2.4', '1.2.5', '1.3.4', '1.3.5', '1.4.3', '1.4.4', '1.4.5',
-    '1.4.10', '1.4.11', '1.4.12', '1.4.13', '2.4.5', '2.4.6', '2.4.7',
-    '3.1.2', '3.2.3', '3.2.4', '3.3.3', '3.3.4', '4.1.3'
-  ];
-  
-  // WCAG 2.1 Level AAA criteria
-  const levelAAACriteria = [
-    '1.2.6', '1.2.7', '1.2.8', '1.2.9', '1.3.6', '1.4.6', '1.4.7',
-    '1.4.8', '1.4.9', '2.1.3', '2.2.3', '2.2.4', '2.2.5', '2.2.6',
-    '2.3.2', '2.3.3', '2.4.8', '2.4.9', '2.4.10', '2.5.5', '2.5.6',
-    '3.1.3', '3.1.4', '3.1.5', '3.1.6', '3.2.5', '3.3.5',
-    '3.3.6'
-  ];
-  
-  if (levelACriteria.includes(wcagNum)) {
-    return 'A';
-  } else if (levelAACriteria.includes(wcagNum)) {
-    return 'AA';
-  } else if (levelAAACriteria.includes(wcagNum)) {
-    return 'AAA';
-  } else {
-    // Default to AA for unknown criteria
-    return 'AA';
-  }
+  const criterion = getCriterion(wcagNum);
+  
+  // Default to AA for unknown criteria
+  return criterion ? criterion.level : 'AA';
 }
 
 // Legacy function for backward compatibility
@@ -707,9 +582,24 @@ async function convertToOpenACR() {
     
     console.log(`✅ Loaded ${consolidatedData.length} WCAG Success Criteria assessments`);
     
+    // Functional performance rollup written by the same step 3 run
+    const functionalPerformanceFile = getFunctionalPerformanceFile(consolidatedFile);
+    let functionalPerformance = null;
+    if (functionalPerformanceFile && fs.existsSync(functionalPerformanceFile)) {
+      const header = fs.readFileSync(functionalPerformanceFile, 'utf8').split(/\r?\n/)[0];
+      if (header === FUNCTIONAL_PERFORMANCE_HEADERS.join(',')) {
+        functionalPerformance = await parseCSV(functionalPerformanceFile);
+        console.log(`✅ Loaded functional performance rollup: ${path.basename(functionalPerformanceFile)}`);
+      } else {
+        console.log(`⚠️  ${path.basename(functionalPerformanceFile)} is not a functional performance rollup - chapter 302 is not evaluated`);
+      }
+    } else {
+      console.log('ℹ️  No functional performance rollup next to this file - chapter 302 is not evaluated');
+    }
+    
     // Generate OpenACR YAML
     console.log('🔧 Converting to OpenACR YAML format...');
-    const yamlContent = generateOpenACR(consolidatedData);
+    const yamlContent = generateOpenACR(consolidatedData, functionalPerformance);
     
     // Write output file
     const timestamp = new Date().toISOString().slice(0, 16).replace(/:/g, '-').replace('T', '_');
@@ -0,0 +1,272 @@
+// Evaluate steps 2 and 3 against the golden set and compare configurations
+import fs from 'fs';
+import path from 'path';
+import http from 'http';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { DETAILED_CSV_HEADERS, issueToRow } from './lib/detailed-issues.js';
+import { GOLDEN_PAGE_PORT, GOLDEN_SET_FILE, METRICS, compareRuns, loadGoldenSet, renderIssuePage, scoreRun, toDetailedIssue } from './lib/golden-set.js';
+import { escapeCSV, parseCSVRecords } from './lib/spreadsheet-csv.js';
+
+// Load environment variables from .env file if it exists (the steps run in a
+// workspace directory, so they get the keys through the environment)
+try {
+  if (fs.existsSync('.env')) {
+    const envContent = fs.readFileSync('.env', 'utf8');
+    envContent.split('\n').forEach(line => {
+      const [key, value] = line.split('=');
+      if (key && value && !process.env[key]) {
+        process.env[key] = value.trim();
+      }
+    });
+  }
+} catch (error) {
+  // Silently ignore .env loading errors
+}
+
+const SCRIPT_DIR = path.dirname(fileURLToPath(import.meta.url));
+const EVAL_DIR = path.join('results', 'eval');
+
+// Step flags whose value is a path; the steps run in the workspace, so these are made absolute
+const PATH_FLAGS = ['--record', '--replay', '--prompt-dir'];
+
+// Show help information
+function showHelp() {
+  console.log('🎯 Golden Set Evaluation');
+  console.log('========================');
+  console.log('');
+  console.log('DESCRIPTION:');
+  console.log('  Runs steps 2 and 3 over the issues in fixtures/golden-set/golden-set.json and');
+  console.log('  scores how closely the results agree with the expected ones: impact phrases');
+  console.log('  in the ACR notes, success criterion classification and conformance levels.');
+  console.log('  Uses the mock provider unless --provider is given, so it runs offline; the');
+  console.log('  mock\'s answers are placeholders, so its scores only show that the steps ran.');
+  console.log('');
+  console.log('USAGE:');
+  console.log('  node evaluate-golden-set.js [options] [step 2-3 options]');
+  console.log('  node evaluate-golden-set.js --compare <baseline.json> <candidate.json>');
+  console.log('');
+  console.log('OPTIONS:');
+  console.log('  -h, --help            Show this help information');
+  console.log('  -v, --verbose         Show the output of steps 2 and 3');
+  console.log('  --label <name>        Name of this configuration in reports and file names');
+  console.log('  --baseline <file>     Compare this run with a saved eval report');
+  console.log('  --compare <a> <b>     Only compare two saved eval reports');
+  console.log('');
+  console.log('  Other options go to steps 2 and 3, e.g. --provider, --model, --prompt-dir,');
+  console.log('  --record <dir> and --replay <dir> to evaluate a real model offline.');
+  console.log('');
+  console.log('OUTPUT:');
+  console.log('  results/eval/eval_[timestamp].json with the scores, and the run\'s CSVs in');
+  console.log('  results/eval/eval_[timestamp]/. Exits with 1 when --baseline scores higher.');
+  console.log('');
+  console.log('EXAMPLES:');
+  console.log('  node evaluate-golden-set.js --provider gemini --record recordings/eval-gemini');
+  console.log('  node evaluate-golden-set.js --provider gemini --prompt-dir acme-prompts --baseline results/eval/eval_..._gemini.json');
+  console.log('  node evaluate-golden-set.js --provider gemini --replay recordings/eval-gemini');
+}
+
+// Arguments of this script, and the rest for steps 2 and 3
+function parseArgs(args) {
+  const options = { verbose: false, label: '', baseline: null, compare: null, stepArgs: [] };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '-v' || arg === '--verbose') {
+      options.verbose = true;
+    } else if (arg === '--label') {
+      options.label = args[++i] || '';
+    } else if (arg === '--baseline') {
+      options.baseline = args[++i];
+    } else if (arg === '--compare') {
+      options.compare = [args[++i], args[++i]];
+    } else if (PATH_FLAGS.includes(arg)) {
+      options.stepArgs.push(arg, path.resolve(args[++i] || ''));
+    } else {
+      options.stepArgs.push(arg);
+    }
+  }
+  if (!options.stepArgs.includes('--provider')) {
+    options.stepArgs.unshift('--provider', 'mock');
+  }
+  return options;
+}
+
+// Serve the golden issues as Drupal.org-style issue pages for step 2
+function startPageServer(goldenSet) {
+  const pages = new Map(goldenSet.issues.map(issue => [`/project/drupal/issues/${issue.issueId}`, renderIssuePage(issue)]));
+  const server = http.createServer((req, res) => {
+    const page = pages.get(new URL(req.url, `http://localhost:${GOLDEN_PAGE_PORT}`).pathname);
+    res.writeHead(page ? 200 : 404, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(page || 'Not found');
+  });
+  
+  return new Promise((resolve, reject) => {
+    server.once('error', error => reject(error.code === 'EADDRINUSE'
+      ? new Error(`port ${GOLDEN_PAGE_PORT} for the golden issue pages is in use`)
+      : error));
+    server.listen(GOLDEN_PAGE_PORT, () => resolve(server));
+  });
+}
+
+// Run a step script in the workspace; its output goes to the log unless verbose
+function runStep(script, args, workspace, logFile, verbose) {
+  return new Promise((resolve, reject) => {
+    const log = verbose ? null : fs.openSync(logFile, 'a');
+    const child = spawn(process.execPath, [path.join(SCRIPT_DIR, script), ...args], {
+      cwd: workspace,
+      stdio: verbose ? 'inherit' : ['ignore', log, log]
+    });
+    child.on('error', reject);
+    child.on('close', code => {
+      if (log !== null) fs.closeSync(log);
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(`${script} exited with code ${code}${verbose ? '' : ` - see ${logFile}`}`));
+      }
+    });
+  });
+}
+
+function readLatestCSV(dir, prefix) {
+  const files = fs.readdirSync(dir).filter(f => f.startsWith(prefix) && f.endsWith('.csv')).sort().reverse();
+  if (files.length === 0) {
+    throw new Error(`no ${prefix}*.csv written to ${dir}`);
+  }
+  return parseCSVRecords(fs.readFileSync(path.join(dir, files[0]), 'utf8'));
+}
+
+const formatScore = score => score.toFixed(2);
+const distinct = (rows, column) => [...new Set(rows.map(row => row[column]).filter(Boolean))].join(', ');
+
+function printScores(report) {
+  console.log(`\n📊 Scores for ${report.label}${report.prompts ? ` (${report.prompts}; ${report.models})` : ''}:`);
+  [...METRICS, 'overall'].forEach(metric => {
+    console.log(`   ${metric.padEnd(15)} ${formatScore(report.scores[metric])}`);
+  });
+  if (report.errors > 0) {
+    console.log(`   ⚠️  ${report.errors} issues have no summary (error or missing rows score 0)`);
+  }
+  Object.entries(report.criteria).forEach(([wcagSC, result]) => {
+    const icon = result.conformance === 1 ? '✅' : result.conformance > 0 ? '🟡' : '❌';
+    console.log(`   ${icon} ${wcagSC}: ${result.actual} (expected ${result.expected})`);
+  });
+}
+
+function printComparison(baseline, candidate) {
+  const { metrics, changes } = compareRuns(baseline, candidate);
+  
+  console.log(`\n📈 Regression report: ${baseline.label} → ${candidate.label}`);
+  if (baseline.prompts !== candidate.prompts) console.log(`   Prompt: ${baseline.prompts || 'none'} → ${candidate.prompts || 'none'}`);
+  if (baseline.models !== candidate.models) console.log(`   Model:  ${baseline.models || 'none'} → ${candidate.models || 'none'}`);
+  metrics.forEach(({ metric, before, after, delta }) => {
+    const icon = delta > 0 ? '⬆️ ' : delta < 0 ? '⬇️ ' : '  ';
+    console.log(`   ${icon} ${metric.padEnd(15)} ${formatScore(before)} → ${formatScore(after)} (${delta >= 0 ? '+' : ''}${formatScore(delta)})`);
+  });
+  
+  if (changes.length === 0) {
+    console.log('   No issue or criterion changed its score');
+  } else {
+    console.log(`   ${changes.length} changed scores:`);
+    changes.forEach(change => {
+      const icon = change.after > change.before ? '⬆️ ' : '⬇️ ';
+      console.log(`   ${icon} ${change.item} ${change.metric}: ${formatScore(change.before)} → ${formatScore(change.after)}${change.detail ? ` - ${change.detail}` : ''}`);
+    });
+  }
+  
+  return metrics.find(({ metric }) => metric === 'overall').delta;
+}
+
+function loadReport(file) {
+  if (!file || !fs.existsSync(file)) {
+    console.log(`❌ Error: eval report not found: ${file}`);
+    process.exit(1);
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+async function evaluate() {
+  const args = process.argv.slice(2);
+  if (args.includes('-h') || args.includes('--help')) {
+    showHelp();
+    process.exit(0);
+  }
+  
+  console.log('🎯 Golden Set Evaluation');
+  console.log('========================');
+  
+  const options = parseArgs(args);
+  
+  if (options.compare) {
+    const delta = printComparison(loadReport(options.compare[0]), loadReport(options.compare[1]));
+    process.exitCode = delta < 0 ? 1 : 0;
+    return;
+  }
+  const baseline = options.baseline ? loadReport(options.baseline) : null;
+  
+  const goldenSet = loadGoldenSet();
+  console.log(`✅ Loaded ${goldenSet.issues.length} golden issues and ${Object.keys(goldenSet.criteria).length} expected conformance levels`);
+  
+  // Each run gets a workspace of its own, with the golden issues as its step 1 output
+  const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-').replace('T', '_');
+  const runName = `eval_${timestamp}${options.label ? `_${options.label.replace(/[^\w-]+/g, '-')}` : ''}`;
+  const workspace = path.join(EVAL_DIR, runName);
+  const workspaceResults = path.join(workspace, 'results');
+  fs.mkdirSync(workspaceResults, { recursive: true });
+  
+  const extractedAt = new Date().toISOString();
+  const detailedCSV = [DETAILED_CSV_HEADERS.join(','), ...goldenSet.issues.map(issue => issueToRow(toDetailedIssue(issue, extractedAt)).map(escapeCSV).join(','))].join('\n') + '\n';
+  fs.writeFileSync(path.join(workspaceResults, `wcag-detailed-issues_${timestamp.slice(0, 16)}.csv`), detailedCSV, 'utf8');
+  
+  console.log(`📁 Workspace: ${workspace}`);
+  console.log(`⚙️  Step options: ${options.stepArgs.join(' ')}`);
+  
+  // Replayed runs get the issue pages from the recording
+  const server = options.stepArgs.includes('--replay') ? null : await startPageServer(goldenSet);
+  const logFile = path.resolve(workspace, 'eval.log');
+  try {
+    console.log('🤖 Step 2: generating issue summaries...');
+    await runStep('generate-issue-summaries.js', options.stepArgs, workspace, logFile, options.verbose);
+    console.log('📋 Step 3: consolidating by success criterion...');
+    await runStep('consolidate-wcag-summaries.js', options.stepArgs, workspace, logFile, options.verbose);
+  } finally {
+    if (server) server.close();
+  }
+  
+  const summaries = readLatestCSV(workspaceResults, 'wcag-issue-summaries_');
+  const consolidated = readLatestCSV(workspaceResults, 'wcag-acr-consolidated_');
+  const report = {
+    label: options.label || runName,
+    createdAt: new Date().toISOString(),
+    stepArgs: options.stepArgs,
+    prompts: [distinct(summaries, 'Prompt'), distinct(consolidated, 'Prompt')].filter(Boolean).join(', '),
+    models: distinct([...summaries, ...consolidated], 'Model'),
+    ...scoreRun(goldenSet, summaries, consolidated)
+  };
+  
+  const reportFile = path.join(EVAL_DIR, `${runName}.json`);
+  fs.writeFileSync(reportFile, JSON.stringify(report, null, 2), 'utf8');
+  
+  printScores(report);
+  console.log(`\n📁 Eval report: ${reportFile}`);
+  
+  const mock = options.stepArgs[options.stepArgs.indexOf('--provider') + 1] === 'mock';
+  if (mock) {
+    console.log('⚠️  The mock answers with placeholders - these scores only show that steps 2 and 3 ran; evaluate prompts and models with --provider');
+  }
+  
+  if (baseline) {
+    const delta = printComparison(baseline, report);
+    if (delta < 0) {
+      console.log('\n⚠️  The overall score dropped against the baseline');
+      process.exitCode = 1;
+    }
+  } else if (!mock) {
+    console.log(`💡 Compare a later run with: node evaluate-golden-set.js [options] --baseline ${reportFile}`);
+  }
+}
+
+evaluate().catch(error => {
+  console.error(`❌ Evaluation failed: ${error.message}`);
+  process.exit(1);
+});
@@ -1,8 +1,81 @@
 // Extract individual WCAG issues from Drupal.org search pages
 import fs from 'fs';
 import path from 'path';
+import { fetchIssuesFromAPI, DRUPAL_API_BASE } from './lib/drupal-api-source.js';
+import { loadIssueCache, saveIssueCache, lookupIssue, storeIssue, getIssueCacheStats } from './lib/issue-cache.js';
+import { CHECKPOINT_DIR, startCheckpointRun, loadCheckpoints, writeCheckpoint } from './lib/extraction-checkpoints.js';
+import { STATUS_SCOPES, getStatusQuery, getStatusCategory, isStatusLabelInScope } from './lib/issue-status.js';
+import { parseIssuePage, printParseHealthSummary } from './lib/issue-page-parser.js';
+import { saveThread, loadThread, writeThreadSidecar } from './lib/issue-threads.js';
+import { DETAILED_CSV_HEADERS, issueToRow } from './lib/detailed-issues.js';
+import { escapeCSV } from './lib/spreadsheet-csv.js';
+import { DISCOVERY_DIR, DISCOVERY_QUERIES, classifyCandidates, writeReviewFile, getReviewedIssueIds, loadAcceptedIssues } from './lib/issue-discovery.js';
+import { GITLAB_API_BASE, fetchMergeRequestStatuses, formatMergeRequestStatus } from './lib/gitlab-mr-status.js';
+import { WCAG_CRITERIA } from './lib/wcag-catalog.js';
+import { configureHttpRecording, recordedRequest, isReplaying, printHttpRecordingSummary } from './lib/http-recorder.js';
+import { RequestBudgetError, configureRateLimits, getConcurrency, getRetryAfterMs, isBudgetExhausted, printRateLimitSummary } from './lib/rate-limiter.js';
+import { configureLLM, describeProvider, getProviderConfigError } from './lib/llm-provider.js';
+import { mapWithConcurrency } from './lib/worker-pool.js';
 
-const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+// Load environment variables from .env file if it exists (LLM API key for --discover)
+try {
+  if (fs.existsSync('.env')) {
+    const envContent = fs.readFileSync('.env', 'utf8');
+    envContent.split('\n').forEach(line => {
+      const [key, value] = line.split('=');
+      if (key && value && !process.env[key]) {
+        process.env[key] = value.trim();
+      }
+    });
+  }
+} catch (error) {
+  // Silently ignore .env loading errors
+}
+
+// Command line options
+const args = configureLLM(configureRateLimits(configureHttpRecording(process.argv.slice(2))));
+
+function getArgValue(name, fallback) {
+  const index = args.indexOf(name);
+  return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+}
+
+// Issue source: 'html' scrapes the search page (falling back to RSS on 403),
+// 'rss' reads the search RSS feed, 'api' uses the Drupal.org api-d7 JSON endpoints
+const EXTRACTION_SOURCES = ['api', 'html', 'rss'];
+const extractionSource = getArgValue('--source', 'html');
+
+// Status scope: 'open' (default), 'closed' or 'all'. With --since, closed and fixed
+// issues resolved before that date are dropped so only this period's fixes remain.
+const statusScope = getArgValue('--status', 'open');
+const sinceDate = getArgValue('--since', '');
+
+// Ignore the issue cache and refetch every issue page
+const fullRefresh = args.includes('--full');
+
+// Continue the previous run from its checkpoints, or re-run only its blocked criteria
+const resumeRun = args.includes('--resume');
+const retryBlocked = args.includes('--retry-blocked');
+
+// Also look for accessibility issues without a wcag tag and write criteria suggestions for review
+const discoverMode = args.includes('--discover');
+
+// Skip the GitLab lookup of merge request state, mergeability and pipelines
+const skipMergeRequestStatus = args.includes('--skip-mr-status');
+
+// Upper bound on search result pages followed per criterion
+const maxPages = parseInt(getArgValue('--max-pages', process.env.MAX_PAGES || '20'), 10);
+
+// Pages and issues seen per criterion, reported in the final summary
+const paginationStats = new Map();
+
+function recordPagination(wcagCriteria, pages, issueCount, truncated) {
+  paginationStats.set(wcagCriteria, { pages, issues: issueCount, truncated });
+  console.log(`📑 ${wcagCriteria}: ${pages} page${pages === 1 ? '' : 's'}, ${issueCount} issues${truncated ? ` (cut short at ${maxPages} pages)` : ''}`);
+}
+
+// Replayed responses need no backoff; live requests are paced by lib/rate-limiter.js
+const delay = ms => isReplaying() ? Promise.resolve() : new Promise(resolve => setTimeout(resolve, ms));
 
 // Enhanced fetch with tool-based user agents that Drupal.org allows
 // Using tool User-Agents instead of browser ones to avoid bot detection
@@ -22,9 +95,6 @@ function getCurrentFingerprint() {
 }
 
 async function fetchWithTimeout(url, options = {}, timeoutMs = 30000, retries = 3) {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
-  
   // Get current browser fingerprint and increment counter
   const fingerprint = getCurrentFingerprint();
   requestCount++;
@@ -40,14 +110,15 @@ async function fetchWithTimeout(url, options = {}, timeoutMs = 30000, retries =
   };
   
   for (let attempt = 1; attempt <= retries; attempt++) {
+    // Each attempt gets its own timeout - an aborted signal cannot be reused
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+    
     try {
-      // Add random delay before each request to simulate human behavior
-      await delay(1000 + Math.random() * 2000);
-      
-      const response = await fetch(url, {
+      const response = await recordedRequest(url, defaultOptions, () => fetch(url, {
         ...defaultOptions,
         signal: controller.signal
-      });
+      }));
       
       clearTimeout(timeoutId);
       
@@ -62,21 +133,18 @@ async function fetchWithTimeout(url, options = {}, timeoutMs = 30000, retries =
     } catch (error) {
       clearTimeout(timeoutId);
       
+      // A spent --max-requests budget will not recover with a retry
+      if (error instanceof RequestBudgetError) throw error;
+      
       if (attempt === retries) {
         console.log(`❌ Failed after ${retries} attempts: ${error.message}`);
         throw error;
       }
       
-      // Exponential backoff with jitter
-      const delayTime = (attempt * 5000) + Math.random() * 3000;
+      // Linear backoff for network errors
+      const delayTime = attempt * 5000;
       console.log(`⚠️  Attempt ${attempt} failed (${error.message}), retrying in ${Math.round(delayTime/1000)}s...`);
       await delay(delayTime);
-      
-      // Create new controller for next attempt
-      const newController = new AbortController();
-      const newTimeoutId = setTimeout(() => newController.abort(), timeoutMs);
-      controller.signal = newController.signal;
-      timeoutId = newTimeoutId;
     }
   }
 }
@@ -99,6 +167,7 @@ function parseIssuesFromHTML(html, wcagCriteria) {
     
     let match;
     const foundIssues = new Set(); // Track duplicates
+    const listingSignals = parseListingSignals(html);
     
     for (const pattern of issuePatterns) {
       while ((match = pattern.exec(html)) !== null) {
@@ -140,6 +209,7 @@ function parseIssuesFromHTML(html, wcagCriteria) {
           title: cleanTitle,
           url: fullUrl,
           project: project || 'unknown',
+          listing: listingSignals.get(issueId),
           extractedAt: new Date().toISOString()
         });
       }
@@ -170,11 +240,75 @@ function parseIssuesFromHTML(html, wcagCriteria) {
   }
 }
 
+// Pull the reply count and "Last updated" cell of each search result row so the
+// issue cache can tell whether an issue changed without fetching its page
+function parseListingSignals(html) {
+  const signals = new Map();
+  const rows = html.split(/<tr[\s>]/).slice(1);
+  
+  rows.forEach(row => {
+    const idMatch = row.match(/href="[^"]*\/issues\/(\d+)"/);
+    if (!idMatch) return;
+    
+    const signal = {};
+    const repliesMatch = row.match(/views-field-comment-count[^>]*>\s*(\d+)/);
+    if (repliesMatch) {
+      signal.comments = repliesMatch[1];
+    }
+    
+    const updatedMatch = row.match(/views-field-last-comment-timestamp[^>]*>\s*([^<]+?)\s*</);
+    if (updatedMatch) {
+      const updated = parseRelativeDate(updatedMatch[1]);
+      if (updated) signal.updated = updated;
+    }
+    
+    if (Object.keys(signal).length > 0) {
+      signals.set(idMatch[1], signal);
+    }
+  });
+  
+  return signals;
+}
+
+// Convert "1 year 2 weeks ago" into the earliest YYYY-MM-DD it could refer to.
+// The listing drops smaller units, so one extra unit of the smallest kind is added.
+function parseRelativeDate(text) {
+  const unitMs = {
+    sec: 1000,
+    min: 60 * 1000,
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000,
+    month: 30 * 24 * 60 * 60 * 1000,
+    year: 365 * 24 * 60 * 60 * 1000
+  };
+  
+  const parts = [...text.matchAll(/(\d+)\s*(sec|min|hour|day|week|month|year)/g)];
+  if (parts.length === 0 || !/ago/.test(text)) return '';
+  
+  let totalMs = 0;
+  let smallestUnitMs = Infinity;
+  parts.forEach(([, amount, unit]) => {
+    totalMs += parseInt(amount, 10) * unitMs[unit];
+    smallestUnitMs = Math.min(smallestUnitMs, unitMs[unit]);
+  });
+  
+  return new Date(Date.now() - totalMs - smallestUnitMs).toISOString().split('T')[0];
+}
+
 async function extractIssuesFromCriteria(wcagCriteria, criteriaName, conformanceLevel, attemptNumber = 1) {
   console.log(`\n🔍 Extracting issues for: ${wcagCriteria} (${criteriaName}) - Attempt ${attemptNumber}`);
   console.log('=' + '='.repeat(60 + wcagCriteria.length));
   
-  const searchUrl = `https://www.drupal.org/project/issues/search?status%5BOpen%5D=Open&issue_tags=${wcagCriteria}`;
+  if (extractionSource === 'api') {
+    return extractIssuesFromAPI(wcagCriteria, criteriaName, conformanceLevel);
+  }
+  
+  if (extractionSource === 'rss') {
+    return extractIssuesFromRSS(wcagCriteria, criteriaName, conformanceLevel);
+  }
+  
+  const searchUrl = `https://www.drupal.org/project/issues/search?${getStatusQuery(statusScope)}&${getSearchFilter(wcagCriteria)}`;
   
   try {
     console.log(`📄 Fetching: ${searchUrl}`);
@@ -186,7 +320,7 @@ async function extractIssuesFromCriteria(wcagCriteria, criteriaName, conformance
         console.log(`🚫 Access denied (403) - implementing fallback strategy`);
         
         // Try RSS feed as fallback
-        const rssUrl = `https://www.drupal.org/project/issues/search/rss?status%5B0%5D=Open&issue_tags_op=%3D&issue_tags=${wcagCriteria}`;
+        const rssUrl = getRSSUrl(wcagCriteria);
         console.log(`� Trying RSS fallback: ${rssUrl}`);
         
         const rssResponse = await fetchWithTimeout(rssUrl, {
@@ -195,13 +329,15 @@ async function extractIssuesFromCriteria(wcagCriteria, criteriaName, conformance
         
         if (rssResponse.ok) {
           const rssText = await rssResponse.text();
-          return parseIssuesFromRSS(rssText, wcagCriteria, criteriaName, conformanceLevel);
+          return fetchAllRSSPages(rssText, wcagCriteria, criteriaName, conformanceLevel);
         } else {
           console.log(`❌ RSS fallback also failed: ${rssResponse.status}`);
           
           // Implement progressive retry strategy for persistent failures
           if (attemptNumber <= 3) {
-            const delayMinutes = getRetryDelay(attemptNumber);
+            // A Retry-After from Drupal.org replaces the progressive cooldown
+            const retryAfterMs = getRetryAfterMs(rssResponse) ?? getRetryAfterMs(response);
+            const delayMinutes = retryAfterMs !== null ? retryAfterMs / 60000 : getRetryDelay(attemptNumber);
             const formattedTime = formatTimeRemaining(delayMinutes);
             
             console.log(`⏰ Bot detection is active. Waiting ${formattedTime} before retry ${attemptNumber + 1}/3...`);
@@ -236,12 +372,12 @@ async function extractIssuesFromCriteria(wcagCriteria, criteriaName, conformance
           } else {
             console.log(`🛑 All retry attempts exhausted for ${wcagCriteria}. Marking as temporarily blocked.`);
             console.log(`💡 Consider running this criteria again later when bot detection may be less active.`);
-            return [];
+            throw new Error('Blocked by bot detection after all retry attempts');
           }
         }
       } else {
         console.log(`❌ HTTP Error: ${response.status} ${response.statusText}`);
-        return [];
+        throw new Error(`HTTP ${response.status} ${response.statusText}`);
       }
     }
     
@@ -257,7 +393,10 @@ async function extractIssuesFromCriteria(wcagCriteria, criteriaName, conformance
       fs.writeFileSync(path.join(resultsDir, `debug-${wcagCriteria}.html`), html);
     }
     
-    const basicIssues = parseIssuesFromHTML(html, wcagCriteria);
+    const firstPageIssues = parseIssuesFromHTML(html, wcagCriteria);
+    const basicIssues = firstPageIssues.length > 0
+      ? await fetchRemainingSearchPages(searchUrl, html, firstPageIssues, wcagCriteria)
+      : firstPageIssues;
     
     if (basicIssues.length > 0) {
       console.log(`✅ Found ${basicIssues.length} issues:`);
@@ -270,12 +409,23 @@ async function extractIssuesFromCriteria(wcagCriteria, criteriaName, conformance
         console.log(`   ... and ${basicIssues.length - 3} more issues`);
       }
       
-      // Fetch enhanced metadata for each issue
+      // Fetch enhanced metadata for new or changed issues, reuse the cache for the rest
       console.log(`   📋 Fetching enhanced metadata for ${basicIssues.length} issues...`);
-      const issues = [];
-      for (const issue of basicIssues) {
+      let cachedCount = 0;
+      const issues = await mapWithConcurrency(basicIssues, getConcurrency('drupal'), async issue => {
+        const cached = lookupIssue(issue.issueId, issue.listing);
+        if (cached) {
+          cachedCount++;
+          return { ...issue, ...cached };
+        }
+        
         const enhancedIssue = await fetchEnhancedMetadata(issue);
-        issues.push(enhancedIssue);
+        storeIssue(enhancedIssue, issue.listing);
+        return enhancedIssue;
+      });
+      
+      if (cachedCount > 0) {
+        console.log(`   🗄️  Reused cached metadata for ${cachedCount}/${basicIssues.length} unchanged issues`);
       }
       
       // Add criteria metadata to each issue
@@ -287,6 +437,7 @@ async function extractIssuesFromCriteria(wcagCriteria, criteriaName, conformance
       
     } else {
       console.log(`⚪ No issues found for ${wcagCriteria}`);
+      recordPagination(wcagCriteria, 1, 0, false);
       
       // Debug: check if we got a valid page but just couldn't parse it
       if (html.includes('search-results') || html.includes('issue')) {
@@ -297,8 +448,194 @@ async function extractIssuesFromCriteria(wcagCriteria, criteriaName, conformance
     }
     
   } catch (error) {
+    // Rethrow so the criterion is counted as blocked rather than empty
     console.error(`💥 Error processing ${wcagCriteria}:`, error.message);
-    return [];
+    throw error;
+  }
+}
+
+// Drupal 7 pager markup (with a couple of newer theme variants)
+function hasNextPage(html) {
+  return /class="[^"]*(pager-next|pager__item--next)[^"]*"/.test(html) || /<a[^>]+rel="next"/.test(html);
+}
+
+// Follow the search pager until there is no next link or --max-pages is reached
+async function fetchRemainingSearchPages(searchUrl, firstPageHtml, firstPageIssues, wcagCriteria) {
+  const basicIssues = [...firstPageIssues];
+  const seenIds = new Set(basicIssues.map(issue => issue.issueId));
+  let html = firstPageHtml;
+  let pages = 1;
+  let truncated = false;
+  
+  while (hasNextPage(html)) {
+    if (pages >= maxPages) {
+      console.log(`⚠️  Reached the ${maxPages} page limit for ${wcagCriteria}, remaining pages skipped`);
+      truncated = true;
+      break;
+    }
+    
+    // Drupal pages are zero-based, so the second page is page=1
+    const pageUrl = `${searchUrl}&page=${pages}`;
+    console.log(`📄 Fetching page ${pages + 1}: ${pageUrl}`);
+    
+    try {
+      const response = await fetchWithTimeout(pageUrl, {}, 25000, 3);
+      if (!response.ok) {
+        console.log(`❌ Page ${pages + 1} failed: ${response.status} ${response.statusText}`);
+        truncated = true;
+        break;
+      }
+      html = await response.text();
+    } catch (error) {
+      if (error instanceof RequestBudgetError) throw error;
+      console.log(`❌ Page ${pages + 1} failed: ${error.message}`);
+      truncated = true;
+      break;
+    }
+    
+    pages++;
+    const pageIssues = parseIssuesFromHTML(html, wcagCriteria).filter(issue => !seenIds.has(issue.issueId));
+    if (pageIssues.length === 0) break;
+    
+    pageIssues.forEach(issue => seenIds.add(issue.issueId));
+    basicIssues.push(...pageIssues);
+  }
+  
+  recordPagination(wcagCriteria, pages, basicIssues.length, truncated);
+  return basicIssues;
+}
+
+// The RSS feed has no pager links, so keep requesting pages until one adds no new issues
+async function fetchAllRSSPages(firstPageText, wcagCriteria, criteriaName, conformanceLevel) {
+  const issues = parseIssuesFromRSS(firstPageText, wcagCriteria, criteriaName, conformanceLevel);
+  const seenIds = new Set(issues.map(issue => issue.issueId));
+  let pages = 1;
+  let truncated = false;
+  let lastPageCount = issues.length;
+  
+  while (lastPageCount > 0) {
+    if (pages >= maxPages) {
+      console.log(`⚠️  Reached the ${maxPages} page limit for ${wcagCriteria} RSS, remaining pages skipped`);
+      truncated = true;
+      break;
+    }
+    
+    const pageUrl = `${getRSSUrl(wcagCriteria)}&page=${pages}`;
+    console.log(`📡 Fetching RSS page ${pages + 1}: ${pageUrl}`);
+    
+    let rssText;
+    try {
+      const response = await fetchWithTimeout(pageUrl, {
+        headers: { 'Accept': 'application/rss+xml, application/xml, text/xml' }
+      }, 20000, 2);
+      if (!response.ok) {
+        console.log(`❌ RSS page ${pages + 1} failed: ${response.status}`);
+        truncated = true;
+        break;
+      }
+      rssText = await response.text();
+    } catch (error) {
+      if (error instanceof RequestBudgetError) throw error;
+      console.log(`❌ RSS page ${pages + 1} failed: ${error.message}`);
+      truncated = true;
+      break;
+    }
+    
+    pages++;
+    const pageIssues = parseIssuesFromRSS(rssText, wcagCriteria, criteriaName, conformanceLevel)
+      .filter(issue => !seenIds.has(issue.issueId));
+    
+    pageIssues.forEach(issue => seenIds.add(issue.issueId));
+    issues.push(...pageIssues);
+    lastPageCount = pageIssues.length;
+  }
+  
+  recordPagination(wcagCriteria, pages, issues.length, truncated);
+  return issues;
+}
+
+function getRSSUrl(wcagCriteria) {
+  const statusQuery = statusScope === 'open' ? 'status%5B0%5D=Open' : getStatusQuery(statusScope);
+  return `https://www.drupal.org/project/issues/search/rss?${statusQuery}&issue_tags_op=%3D&${getSearchFilter(wcagCriteria)}`;
+}
+
+// Search filter for a tag ('wcag131', 'Accessibility') or a discovery title search ('text:screen reader')
+function getSearchFilter(query) {
+  return query.startsWith('text:')
+    ? `text=${encodeURIComponent(query.slice('text:'.length))}`
+    : `issue_tags=${encodeURIComponent(query)}`;
+}
+
+// Drop closed and fixed issues resolved before --since; open issues are always kept
+function filterResolvedBefore(issues) {
+  if (!sinceDate) return issues;
+  
+  const kept = issues.filter(issue => {
+    if (getStatusCategory(issue.status) === 'open') return true;
+    const resolved = issue.resolvedDate || issue.updated;
+    return !resolved || resolved >= sinceDate;
+  });
+  
+  if (kept.length < issues.length) {
+    console.log(`🗓️  Dropped ${issues.length - kept.length} issues resolved before ${sinceDate}`);
+  }
+  return kept;
+}
+
+// RSS-only source: no retries or metadata, the feed only carries title and link
+async function extractIssuesFromRSS(wcagCriteria, criteriaName, conformanceLevel) {
+  const rssUrl = getRSSUrl(wcagCriteria);
+  
+  try {
+    console.log(`📡 Fetching RSS: ${rssUrl}`);
+    
+    const rssResponse = await fetchWithTimeout(rssUrl, {
+      headers: { 'Accept': 'application/rss+xml, application/xml, text/xml' }
+    }, 20000, 2);
+    
+    if (!rssResponse.ok) {
+      console.log(`❌ RSS request failed: ${rssResponse.status} ${rssResponse.statusText}`);
+      throw new Error(`HTTP ${rssResponse.status} ${rssResponse.statusText}`);
+    }
+    
+    const rssText = await rssResponse.text();
+    return await fetchAllRSSPages(rssText, wcagCriteria, criteriaName, conformanceLevel);
+    
+  } catch (error) {
+    console.error(`💥 Error processing RSS for ${wcagCriteria}:`, error.message);
+    throw error;
+  }
+}
+
+// API source: the JSON endpoints already carry the metadata, so no per-issue page fetches
+async function extractIssuesFromAPI(wcagCriteria, criteriaName, conformanceLevel) {
+  try {
+    const { issues, pages, truncated } = await fetchIssuesFromAPI(wcagCriteria, fetchWithTimeout, maxPages, statusScope);
+    recordPagination(wcagCriteria, pages, issues.length, truncated);
+    
+    if (issues.length > 0) {
+      console.log(`✅ Found ${issues.length} issues:`);
+      issues.slice(0, 3).forEach((issue, index) => {
+        console.log(`   ${index + 1}. [${issue.project}] ${issue.title}`);
+        console.log(`      🔗 ${issue.url}`);
+      });
+      
+      if (issues.length > 3) {
+        console.log(`   ... and ${issues.length - 3} more issues`);
+      }
+    } else {
+      console.log(`⚪ No issues found for ${wcagCriteria}`);
+    }
+    
+    return issues.map(issue => ({
+      ...issue,
+      wcagCriteriaName: criteriaName,
+      conformanceLevel
+    }));
+    
+  } catch (error) {
+    console.error(`💥 Error processing ${wcagCriteria} via API:`, error.message);
+    throw error;
   }
 }
 
@@ -356,115 +693,106 @@ function parseIssuesFromRSS(rssText, wcagCriteria, criteriaName, conformanceLeve
   }
 }
 
-// WCAG 2.2 Success Criteria with names and levels (Complete set - 80 criteria)
-const wcagCriteria = [
-  // Level A (25 criteria)
-  { code: 'wcag111', name: 'Non-text Content', level: 'Level A' },
-  { code: 'wcag121', name: 'Audio-only and Video-only (Prerecorded)', level: 'Level A' },
-  { code: 'wcag122', name: 'Captions (Prerecorded)', level: 'Level A' },
-  { code: 'wcag123', name: 'Audio Description or Media Alternative (Prerecorded)', level: 'Level A' },
-  { code: 'wcag131', name: 'Info and Relationships', level: 'Level A' },
-  { code: 'wcag132', name: 'Meaningful Sequence', level: 'Level A' },
-  { code: 'wcag133', name: 'Sensory Characteristics', level: 'Level A' },
-  { code: 'wcag141', name: 'Use of Color', level: 'Level A' },
-  { code: 'wcag142', name: 'Audio Control', level: 'Level A' },
-  { code: 'wcag211', name: 'Keyboard', level: 'Level A' },
-  { code: 'wcag212', name: 'No Keyboard Trap', level: 'Level A' },
-  { code: 'wcag221', name: 'Timing Adjustable', level: 'Level A' },
-  { code: 'wcag222', name: 'Pause, Stop, Hide', level: 'Level A' },
-  { code: 'wcag241', name: 'Bypass Blocks', level: 'Level A' },
-  { code: 'wcag242', name: 'Page Titled', level: 'Level A' },
-  { code: 'wcag243', name: 'Focus Order', level: 'Level A' },
-  { code: 'wcag244', name: 'Link Purpose (In Context)', level: 'Level A' },
-  { code: 'wcag311', name: 'Language of Page', level: 'Level A' },
-  { code: 'wcag321', name: 'On Focus', level: 'Level A' },
-  { code: 'wcag322', name: 'On Input', level: 'Level A' },
-  { code: 'wcag331', name: 'Error Identification', level: 'Level A' },
-  { code: 'wcag332', name: 'Labels or Instructions', level: 'Level A' },
-  { code: 'wcag411', name: 'Parsing', level: 'Level A' },
-  { code: 'wcag412', name: 'Name, Role, Value', level: 'Level A' },
-  
-  // Level AA (28 criteria)
-  { code: 'wcag124', name: 'Captions (Live)', level: 'Level AA' },
-  { code: 'wcag125', name: 'Audio Description (Prerecorded)', level: 'Level AA' },
-  { code: 'wcag134', name: 'Orientation', level: 'Level AA' },
-  { code: 'wcag135', name: 'Identify Input Purpose', level: 'Level AA' },
-  { code: 'wcag143', name: 'Contrast (Minimum)', level: 'Level AA' },
-  { code: 'wcag144', name: 'Resize Text', level: 'Level AA' },
-  { code: 'wcag145', name: 'Images of Text', level: 'Level AA' },
-  { code: 'wcag1410', name: 'Reflow', level: 'Level AA' },
-  { code: 'wcag1411', name: 'Non-text Contrast', level: 'Level AA' },
-  { code: 'wcag1412', name: 'Text Spacing', level: 'Level AA' },
-  { code: 'wcag1413', name: 'Content on Hover or Focus', level: 'Level AA' },
-  { code: 'wcag214', name: 'Character Key Shortcuts', level: 'Level AA' },
-  { code: 'wcag245', name: 'Multiple Ways', level: 'Level AA' },
-  { code: 'wcag246', name: 'Headings and Labels', level: 'Level AA' },
-  { code: 'wcag247', name: 'Focus Visible', level: 'Level AA' },
-  { code: 'wcag2411', name: 'Focus Not Obscured (Minimum)', level: 'Level AA' },
-  { code: 'wcag251', name: 'Pointer Gestures', level: 'Level AA' },
-  { code: 'wcag252', name: 'Pointer Cancellation', level: 'Level AA' },
-  { code: 'wcag253', name: 'Label in Name', level: 'Level AA' },
-  { code: 'wcag254', name: 'Motion Actuation', level: 'Level AA' },
-  { code: 'wcag257', name: 'Dragging Movements', level: 'Level AA' },
-  { code: 'wcag258', name: 'Target Size (Minimum)', level: 'Level AA' },
-  { code: 'wcag312', name: 'Language of Parts', level: 'Level AA' },
-  { code: 'wcag323', name: 'Consistent Navigation', level: 'Level AA' },
-  { code: 'wcag324', name: 'Consistent Identification', level: 'Level AA' },
-  { code: 'wcag333', name: 'Error Suggestion', level: 'Level AA' },
-  { code: 'wcag334', name: 'Error Prevention (Legal, Financial, Data)', level: 'Level AA' },
-  { code: 'wcag413', name: 'Status Messages', level: 'Level AA' },
-  
-  // Level AAA (27 criteria)
-  { code: 'wcag126', name: 'Sign Language (Prerecorded)', level: 'Level AAA' },
-  { code: 'wcag127', name: 'Extended Audio Description (Prerecorded)', level: 'Level AAA' },
-  { code: 'wcag128', name: 'Media Alternative (Prerecorded)', level: 'Level AAA' },
-  { code: 'wcag129', name: 'Audio-only (Live)', level: 'Level AAA' },
-  { code: 'wcag136', name: 'Identify Purpose', level: 'Level AAA' },
-  { code: 'wcag146', name: 'Contrast (Enhanced)', level: 'Level AAA' },
-  { code: 'wcag147', name: 'Low or No Background Audio', level: 'Level AAA' },
-  { code: 'wcag148', name: 'Visual Presentation', level: 'Level AAA' },
-  { code: 'wcag149', name: 'Images of Text (No Exception)', level: 'Level AAA' },
-  { code: 'wcag213', name: 'No Timing', level: 'Level AAA' },
-  { code: 'wcag223', name: 'No Timing', level: 'Level AAA' },
-  { code: 'wcag224', name: 'Interruptions', level: 'Level AAA' },
-  { code: 'wcag225', name: 'Re-authenticating', level: 'Level AAA' },
-  { code: 'wcag226', name: 'Timeouts', level: 'Level AAA' },
-  { code: 'wcag231', name: 'Three Flashes or Below Threshold', level: 'Level AAA' },
-  { code: 'wcag232', name: 'Three Flashes', level: 'Level AAA' },
-  { code: 'wcag233', name: 'Animation from Interactions', level: 'Level AAA' },
-  { code: 'wcag248', name: 'Location', level: 'Level AAA' },
-  { code: 'wcag249', name: 'Link Purpose (Link Only)', level: 'Level AAA' },
-  { code: 'wcag2410', name: 'Section Headings', level: 'Level AAA' },
-  { code: 'wcag2412', name: 'Focus Not Obscured (Enhanced)', level: 'Level AAA' },
-  { code: 'wcag255', name: 'Target Size (Enhanced)', level: 'Level AAA' },
-  { code: 'wcag256', name: 'Concurrent Input Mechanisms', level: 'Level AAA' },
-  { code: 'wcag313', name: 'Unusual Words', level: 'Level AAA' },
-  { code: 'wcag314', name: 'Abbreviations', level: 'Level AAA' },
-  { code: 'wcag315', name: 'Reading Level', level: 'Level AAA' },
-  { code: 'wcag316', name: 'Pronunciation', level: 'Level AAA' },
-  { code: 'wcag325', name: 'Change on Request', level: 'Level AAA' },
-  { code: 'wcag335', name: 'Help', level: 'Level AAA' },
-  { code: 'wcag336', name: 'Error Prevention (All)', level: 'Level AAA' }
-];
+// Every WCAG 2.0-2.2 Success Criterion from the shared catalog, searched by its Drupal.org tag
+const wcagCriteria = WCAG_CRITERIA.map(criterion => ({
+  code: criterion.code,
+  name: criterion.name,
+  level: `Level ${criterion.level}`
+}));
 
 async function generateDetailedIssuesList() {
   console.log('🎯 WCAG Issues Extraction Tool');
   console.log('==============================');
+  
+  if (!EXTRACTION_SOURCES.includes(extractionSource)) {
+    console.log(`❌ Error: Unknown source "${extractionSource}"`);
+    console.log(`💡 Use --source ${EXTRACTION_SOURCES.join('|')}`);
+    process.exit(1);
+  }
+  
+  if (!STATUS_SCOPES[statusScope]) {
+    console.log(`❌ Error: Unknown status scope "${statusScope}"`);
+    console.log(`💡 Use --status ${Object.keys(STATUS_SCOPES).join('|')}`);
+    process.exit(1);
+  }
+  
+  if (sinceDate && !/^\d{4}-\d{2}-\d{2}$/.test(sinceDate)) {
+    console.log(`❌ Error: --since must be a YYYY-MM-DD date, got "${sinceDate}"`);
+    process.exit(1);
+  }
+  
   console.log(`📊 Processing ${wcagCriteria.length} WCAG SC`);
+  console.log(`🔌 Source: ${extractionSource}${extractionSource === 'api' ? ` (${DRUPAL_API_BASE})` : ''}`);
+  console.log(`🚦 Status scope: ${statusScope}${sinceDate ? ` (closed/fixed since ${sinceDate})` : ''}`);
+  console.log(`📑 Following up to ${maxPages} result pages per criterion`);
+  loadIssueCache({ full: fullRefresh });
+  
+  // Decide which criteria to run: everything, the unfinished ones, or only the blocked ones
+  let checkpoints = new Map();
+  if (resumeRun || retryBlocked) {
+    const previous = loadCheckpoints();
+    checkpoints = previous.checkpoints;
+    
+    if (!previous.manifest) {
+      console.log(`❌ Error: No previous run found in ${CHECKPOINT_DIR}`);
+      console.log('💡 Run without --resume/--retry-blocked to start a new extraction');
+      process.exit(1);
+    }
+    
+    if (previous.manifest.source !== extractionSource) {
+      console.log(`⚠️  Previous run used --source ${previous.manifest.source}, continuing with --source ${extractionSource}`);
+    }
+    
+    if ((previous.manifest.statusScope || 'open') !== statusScope) {
+      console.log(`⚠️  Previous run used --status ${previous.manifest.statusScope || 'open'}, continuing with --status ${statusScope}`);
+    }
+    
+    const blocked = [...checkpoints.values()].filter(c => c.status === 'blocked').length;
+    console.log(`♻️  ${retryBlocked ? 'Retrying blocked criteria' : 'Resuming'} run started ${previous.manifest.startedAt}: ${checkpoints.size} criteria checkpointed, ${blocked} blocked`);
+  } else {
+    startCheckpointRun({ source: extractionSource, statusScope, since: sinceDate, maxPages });
+  }
+  
+  const shouldProcess = criteria => {
+    const checkpoint = checkpoints.get(criteria.code);
+    if (retryBlocked) return Boolean(checkpoint) && checkpoint.status === 'blocked';
+    if (resumeRun) return !checkpoint;
+    return true;
+  };
+  
+  const pendingCount = wcagCriteria.filter(shouldProcess).length;
+  console.log(`📋 ${pendingCount} criteria to process${pendingCount < wcagCriteria.length ? `, ${wcagCriteria.length - pendingCount} restored from checkpoints` : ''}`);
+  
+  if (retryBlocked) {
+    const neverRun = wcagCriteria.filter(criteria => !checkpoints.has(criteria.code)).length;
+    if (neverRun > 0) {
+      console.log(`⚠️  ${neverRun} criteria never ran in the previous run - use --resume to process them`);
+    }
+  }
+  
+  // Keep the cache when interrupted; finished criteria are already checkpointed
+  process.on('SIGINT', () => {
+    saveIssueCache();
+    console.log(`\n🛑 Interrupted. Finished criteria are saved in ${CHECKPOINT_DIR}`);
+    console.log('💡 Continue with: node extract-wcag-issues.js --resume');
+    process.exit(130);
+  });
+  
   console.log(`⏱️  This may take several minutes due to rate limiting\n`);
   
-  // Warm up session by visiting the homepage first
-  console.log('🔥 Warming up session...');
-  try {
-    const homeResponse = await fetchWithTimeout('https://www.drupal.org/', {}, 10000, 1);
-    if (homeResponse.ok) {
-      console.log('✅ Session established');
-      await delay(2000); // Brief pause after session warming
-    } else {
-      console.log('⚠️  Session warming failed, continuing anyway...');
+  // Warm up session by visiting the homepage first (not needed for the JSON API)
+  if (extractionSource !== 'api' && pendingCount > 0) {
+    console.log('🔥 Warming up session...');
+    try {
+      const homeResponse = await fetchWithTimeout('https://www.drupal.org/', {}, 10000, 1);
+      if (homeResponse.ok) {
+        console.log('✅ Session established');
+      } else {
+        console.log('⚠️  Session warming failed, continuing anyway...');
+      }
+    } catch (error) {
+      console.log('⚠️  Session warming error, continuing anyway...');
     }
-  } catch (error) {
-    console.log('⚠️  Session warming error, continuing anyway...');
   }
   
   let allIssues = [];
@@ -472,71 +800,129 @@ async function generateDetailedIssuesList() {
   let successCount = 0;
   let blockedCount = 0;
   
+  let remainingCount = pendingCount;
+  
   for (let i = 0; i < wcagCriteria.length; i++) {
     const criteria = wcagCriteria[i];
     const progress = `[${i + 1}/${wcagCriteria.length}]`;
     
+    // Restore criteria finished in the previous run
+    if (!shouldProcess(criteria)) {
+      const checkpoint = checkpoints.get(criteria.code);
+      if (!checkpoint) continue;
+      
+      if (checkpoint.status === 'blocked') {
+        blockedCount++;
+      } else {
+        allIssues.push(...checkpoint.issues);
+        if (checkpoint.issues.length > 0) successCount++;
+        processedCount++;
+      }
+      if (checkpoint.pagination) {
+        paginationStats.set(criteria.code, checkpoint.pagination);
+      }
+      console.log(`${progress} ♻️  ${criteria.code}: restored from checkpoint (${checkpoint.status}, ${checkpoint.issueCount} issues)`);
+      continue;
+    }
+    
     console.log(`${progress} Processing: ${criteria.code}`);
+    remainingCount--;
     
     try {
-      const issues = await extractIssuesFromCriteria(criteria.code, criteria.name, criteria.level);
+      const issues = filterResolvedBefore(await extractIssuesFromCriteria(criteria.code, criteria.name, criteria.level));
       
       if (issues.length > 0) {
         allIssues.push(...issues);
         successCount++;
         console.log(`✅ Successfully extracted ${issues.length} issues for ${criteria.code}`);
       } else {
-        // Check if this was a complete failure vs just no issues found
-        console.log(`⚪ No issues found for ${criteria.code} (may be blocked or genuinely empty)`);
+        console.log(`⚪ No issues found for ${criteria.code}`);
       }
       
       processedCount++;
+      writeCheckpoint(criteria.code, issues.length > 0 ? 'done' : 'empty', issues, paginationStats.get(criteria.code));
       
     } catch (error) {
+      if (error instanceof RequestBudgetError) {
+        // No checkpoint, so --resume extracts this criterion again
+        remainingCount++;
+        saveIssueCache();
+        console.log(`\n🛑 ${error.message} with ${remainingCount} criteria left - continue with: node extract-wcag-issues.js --resume`);
+        break;
+      }
       console.log(`❌ Failed to process ${criteria.code}: ${error.message}`);
       blockedCount++;
+      writeCheckpoint(criteria.code, 'blocked', [], null, error.message);
     }
     
-    // More sophisticated rate limiting with session warming
-    if (i < wcagCriteria.length - 1) {
-      // Start with longer delays and reduce them as we build session trust
-      const baseDelay = Math.max(15000 - (successCount * 1000), 5000);
-      const jitter = Math.random() * 5000;
-      const delayTime = baseDelay + jitter;
-      
-      console.log(`⏸️  Waiting ${Math.round(delayTime/1000)}s before next request... (session trust: ${successCount})`);
-      await delay(delayTime);
-      
-      // Every 5 successful requests, do a longer pause to avoid pattern detection
-      if (successCount > 0 && successCount % 5 === 0) {
-        console.log(`🛑 Longer pause after ${successCount} successful requests...`);
-        await delay(10000 + Math.random() * 10000);
-      }
+    saveIssueCache();
+    
+    // Criteria left unprocessed have no checkpoint, so --resume picks them up
+    if (remainingCount > 0 && isBudgetExhausted()) {
+      console.log(`\n🛑 Request budget exhausted with ${remainingCount} criteria left - continue with: node extract-wcag-issues.js --resume`);
+      break;
     }
   }
   
+  saveIssueCache();
+  
+  // One canonical row per issue, however many criteria it is tagged with
+  const canonicalIssues = mergeIssuesByCriteria(allIssues);
+  
+  if (discoverMode) {
+    await discoverUntaggedIssues(canonicalIssues);
+  }
+  addAcceptedDiscoveries(canonicalIssues);
+  
+  if (!skipMergeRequestStatus) {
+    await addMergeRequestStatus(canonicalIssues);
+  }
+  
   // Generate CSV with detailed issue information
   let csvFile = '';
-  if (allIssues.length > 0) {
-    csvFile = await generateDetailedCSV(allIssues);
+  if (canonicalIssues.length > 0) {
+    csvFile = await generateDetailedCSV(canonicalIssues);
   }
   
   console.log(`\n📊 Final Summary:`);
   console.log('================');
   console.log(`✅ Successfully processed: ${successCount}/${processedCount} criteria`);
   console.log(`� Temporarily blocked: ${blockedCount} criteria`);
-  console.log(`�📋 Total issues extracted: ${allIssues.length}`);
+  console.log(`�📋 Total issues extracted: ${canonicalIssues.length} unique (${canonicalIssues.reduce((sum, issue) => sum + issue.wcagCriteriaList.length, 0)} criterion tags)`);
   if (csvFile) {
     console.log(`📁 Detailed CSV generated: ${csvFile}`);
   }
+  printHttpRecordingSummary();
+  printRateLimitSummary();
+  
+  // A field missing from most issue pages means the markup changed - fail the run
+  // so the blank columns are not mistaken for real data
+  if (!printParseHealthSummary()) {
+    process.exitCode = 1;
+  }
+  
+  if (paginationStats.size > 0) {
+    const totalPages = [...paginationStats.values()].reduce((sum, stat) => sum + stat.pages, 0);
+    console.log(`\n📑 Pagination (${totalPages} pages across ${paginationStats.size} criteria):`);
+    paginationStats.forEach((stat, criteria) => {
+      console.log(`  - ${criteria}: ${stat.pages} page${stat.pages === 1 ? '' : 's'}, ${stat.issues} issues${stat.truncated ? ' ⚠️  cut short' : ''}`);
+    });
+    
+    const truncatedCriteria = [...paginationStats.entries()].filter(([, stat]) => stat.truncated).map(([criteria]) => criteria);
+    if (truncatedCriteria.length > 0) {
+      console.log(`\n⚠️  Results may be incomplete for ${truncatedCriteria.length} criteria: ${truncatedCriteria.join(', ')}`);
+      console.log(`💡 Raise the limit with --max-pages (currently ${maxPages}) or re-run when the failed pages are reachable.`);
+    }
+  }
   
   if (blockedCount > 0) {
     console.log(`\n⚠️  ${blockedCount} criteria were blocked by bot detection.`);
     console.log(`💡 Consider running the script again later for these criteria:`);
+    console.log(`   node extract-wcag-issues.js --retry-blocked`);
     console.log(`   The bot detection system may be less active at different times.`);
   }
   
-  if (allIssues.length === 0) {
+  if (canonicalIssues.length === 0) {
     console.log(`\n💡 No issues were extracted. This could be due to:`);
     console.log(`   • Bot detection blocking all requests`);
     console.log(`   • Changes in Drupal.org HTML structure`);
@@ -545,61 +931,139 @@ async function generateDetailedIssuesList() {
   }
 }
 
+// Pull in issues tagged only "Accessibility"/"a11y" (or found by title) that no wcag
+// tag search returned, suggest criteria for them and write a review file
+async function discoverUntaggedIssues(canonicalIssues) {
+  console.log(`\n🔭 Discovery: looking for accessibility issues without a wcag tag`);
+  
+  const tagged = new Set(canonicalIssues.map(issue => issue.issueId));
+  const reviewed = getReviewedIssueIds();
+  const candidates = new Map();
+  
+  for (const query of DISCOVERY_QUERIES) {
+    if (query.startsWith('text:') && extractionSource === 'api') {
+      console.log(`⏭️  Skipping title search "${query.slice('text:'.length)}" - not available with the api source`);
+      continue;
+    }
+    
+    try {
+      const issues = filterResolvedBefore(await extractIssuesFromCriteria(query, 'Discovery', ''));
+      issues.forEach(issue => {
+        if (tagged.has(issue.issueId) || reviewed.has(issue.issueId) || candidates.has(issue.issueId)) return;
+        candidates.set(issue.issueId, { ...issue, foundBy: query });
+      });
+    } catch (error) {
+      console.log(`⚠️  Discovery query ${query} failed: ${error.message}`);
+    }
+  }
+  saveIssueCache();
+  
+  if (candidates.size === 0) {
+    console.log('✅ Discovery found no new untagged issues');
+    return;
+  }
+  
+  const configError = getProviderConfigError();
+  const useLLM = !configError || isReplaying();
+  console.log(`🏷️  Suggesting criteria for ${candidates.size} untagged issues (keyword rules${useLLM ? ` + ${describeProvider()}` : ` only, ${configError}`})...`);
+  const classified = await classifyCandidates([...candidates.values()], wcagCriteria, { useLLM });
+  
+  const reviewFile = writeReviewFile(classified);
+  console.log(`📝 Review file: ${reviewFile}`);
+  console.log('💡 Set Accept to "yes" for real barriers (correct Accepted WCAG SC if needed), then re-run step 1 to include them');
+}
+
+// Add the discovered issues a reviewer accepted, unless a wcag tag search already found them
+function addAcceptedDiscoveries(canonicalIssues) {
+  const tagged = new Set(canonicalIssues.map(issue => issue.issueId));
+  const accepted = filterResolvedBefore(loadAcceptedIssues().filter(issue => {
+    return !tagged.has(issue.issueId) && isStatusLabelInScope(issue.status, statusScope);
+  }));
+  
+  if (accepted.length > 0) {
+    canonicalIssues.push(...accepted);
+    console.log(`✅ Added ${accepted.length} reviewed issues from ${DISCOVERY_DIR}`);
+  }
+}
+
+// Look up the GitLab state of every merge request referenced in each issue's thread.
+// Run on every extraction (not cached) because MRs move without the issue changing.
+async function addMergeRequestStatus(issues) {
+  const withMergeRequests = issues
+    .map(issue => ({ issue, thread: loadThread(issue.issueId) }))
+    .filter(({ thread }) => thread && thread.mergeRequests && thread.mergeRequests.length > 0);
+  
+  if (withMergeRequests.length === 0) return;
+  
+  console.log(`\n🔀 Fetching merge request status for ${withMergeRequests.length} issues from ${GITLAB_API_BASE}...`);
+  
+  await mapWithConcurrency(withMergeRequests, getConcurrency('gitlab'), async ({ issue, thread }) => {
+    issue.mergeRequests = await fetchMergeRequestStatuses(issue.project, thread.mergeRequests, fetchWithTimeout);
+    issue.mergeRequestStatus = formatMergeRequestStatus(issue.mergeRequests);
+    issue.hasFork = 'Yes';
+  });
+  
+  const states = {};
+  withMergeRequests.forEach(({ issue }) => issue.mergeRequests.forEach(mr => {
+    states[mr.state] = (states[mr.state] || 0) + 1;
+  }));
+  console.log(`✅ Merge requests: ${Object.entries(states).map(([state, count]) => `${count} ${state}`).join(', ')}`);
+}
+
+// Merge the per-criterion rows of an issue tagged with several criteria (e.g. wcag143
+// and wcag1411) into one record carrying the list of criteria in catalog order
+function mergeIssuesByCriteria(allIssues) {
+  const criteriaOrder = new Map(wcagCriteria.map((criteria, index) => [criteria.code, index]));
+  const byId = new Map();
+  
+  allIssues.forEach(issue => {
+    const existing = byId.get(issue.issueId);
+    if (!existing) {
+      byId.set(issue.issueId, { ...issue, wcagCriteriaList: [issue.wcagCriteria] });
+      return;
+    }
+    
+    if (!existing.wcagCriteriaList.includes(issue.wcagCriteria)) {
+      existing.wcagCriteriaList.push(issue.wcagCriteria);
+    }
+    
+    // Fill any metadata the first row is missing (e.g. a failed page fetch)
+    Object.entries(issue).forEach(([key, value]) => {
+      if (value && !existing[key]) existing[key] = value;
+    });
+  });
+  
+  const merged = [...byId.values()];
+  merged.forEach(issue => {
+    issue.wcagCriteriaList.sort((a, b) => (criteriaOrder.get(a) ?? Infinity) - (criteriaOrder.get(b) ?? Infinity));
+    issue.wcagCriteria = issue.wcagCriteriaList[0];
+  });
+  
+  const multiTagged = merged.filter(issue => issue.wcagCriteriaList.length > 1).length;
+  if (multiTagged > 0) {
+    console.log(`🔗 Merged ${allIssues.length - merged.length} duplicate rows: ${multiTagged} issues are tagged with several criteria`);
+  }
+  
+  return merged;
+}
+
 async function generateDetailedCSV(allIssues) {
   try {
     console.log(`\n📊 Generating detailed CSV report...`);
     
-    // CSV headers for detailed issue information
-    const headers = [
-      'WCAG SC',
-      'Issue ID',
-      'Issue Title',
-      'Issue URL',
-      'Project',
-      'Status',
-      'Priority',
-      'Component',
-      'Version',
-      'Reporter',
-      'Created',
-      'Updated',
-      'Comments',
-      'Has Fork',
-      'Last Commenter',
-      'Extracted At'
-    ];
-    
     // Create CSV content
-    let csvContent = headers.join(',') + '\n';
+    let csvContent = DETAILED_CSV_HEADERS.join(',') + '\n';
     
-    // Sort issues by WCAG SC, then by project
+    // Sort issues by (first) WCAG SC, then by project
     allIssues.sort((a, b) => {
-      if (a.wcagCriteria !== b.wcagCriteria) {
-        return a.wcagCriteria.localeCompare(b.wcagCriteria);
+      if (a.wcagCriteriaList[0] !== b.wcagCriteriaList[0]) {
+        return a.wcagCriteriaList[0].localeCompare(b.wcagCriteriaList[0]);
       }
       return a.project.localeCompare(b.project);
     });
     
     allIssues.forEach(issue => {
-      const row = [
-        escapeCSV(issue.wcagCriteria),
-        escapeCSV(issue.issueId),
-        escapeCSV(issue.title),
-        escapeCSV(issue.url),
-        escapeCSV(issue.project),
-        escapeCSV(issue.status || ''),
-        escapeCSV(issue.priority || ''),
-        escapeCSV(issue.component || ''),
-        escapeCSV(issue.version || ''),
-        escapeCSV(issue.reporter || ''),
-        escapeCSV(issue.created || ''),
-        escapeCSV(issue.updated || ''),
-        escapeCSV(issue.comments || '0'),
-        escapeCSV(issue.hasFork || 'No'),
-        escapeCSV(issue.lastCommenter || ''),
-        escapeCSV(issue.extractedAt)
-      ];
-      csvContent += row.join(',') + '\n';
+      csvContent += issueToRow(issue).map(escapeCSV).join(',') + '\n';
     });
     
     // Create results directory if it doesn't exist
@@ -620,6 +1084,8 @@ async function generateDetailedCSV(allIssues) {
     console.log(`📁 File: ${outputFile}`);
     console.log(`📊 Total issues: ${allIssues.length}`);
     
+    writeThreadSidecar(outputFile, allIssues);
+    
     // Generate summary statistics
     const stats = generateStats(allIssues);
     console.log(`\n📈 Summary Statistics:`);
@@ -632,6 +1098,9 @@ async function generateDetailedCSV(allIssues) {
     Object.entries(stats.byProject).slice(0, 10).forEach(([project, count]) => {
       console.log(`  - ${project}: ${count} issues`);
     });
+    console.log(`• Issue cache:`);
+    console.log(`  - Hits: ${stats.cache.hits} (${stats.cache.hitRate}%)`);
+    console.log(`  - Misses: ${stats.cache.misses} (${stats.cache.newIssues} new, ${stats.cache.changedIssues} changed)`);
     
     return outputFile; // Return the filename for use in main function
     
@@ -640,34 +1109,26 @@ async function generateDetailedCSV(allIssues) {
   }
 }
 
-function escapeCSV(field) {
-  if (field === null || field === undefined) {
-    return '';
-  }
-  
-  const str = String(field);
-  
-  if (str.includes('"') || str.includes(',') || str.includes('\n') || str.includes('\r')) {
-    return '"' + str.replace(/"/g, '""') + '"';
-  }
-  
-  return str;
-}
-
 function generateStats(allIssues) {
   const byCriteria = {};
   const byProject = {};
   const byLevel = {};
   
+  const levels = new Map(wcagCriteria.map(criteria => [criteria.code, criteria.level]));
+  
   allIssues.forEach(issue => {
-    // Count by criteria
-    byCriteria[issue.wcagCriteria] = (byCriteria[issue.wcagCriteria] || 0) + 1;
+    // Count by criteria - a multi-criterion issue counts once under each of them
+    issue.wcagCriteriaList.forEach(code => {
+      byCriteria[code] = (byCriteria[code] || 0) + 1;
+    });
     
     // Count by project
     byProject[issue.project] = (byProject[issue.project] || 0) + 1;
     
-    // Count by conformance level
-    byLevel[issue.conformanceLevel] = (byLevel[issue.conformanceLevel] || 0) + 1;
+    // Count by conformance level (once per level, even with several criteria at that level)
+    new Set(issue.wcagCriteriaList.map(code => levels.get(code) || issue.conformanceLevel)).forEach(level => {
+      byLevel[level] = (byLevel[level] || 0) + 1;
+    });
   });
   
   // Sort projects by issue count
@@ -675,7 +1136,7 @@ function generateStats(allIssues) {
     .sort(([,a], [,b]) => b - a)
     .reduce((r, [k, v]) => ({ ...r, [k]: v }), {});
   
-  return { byCriteria, byProject: sortedProjects, byLevel };
+  return { byCriteria, byProject: sortedProjects, byLevel, cache: getIssueCacheStats() };
 }
 
 // Progressive retry delays for bot detection scenarios
@@ -718,158 +1179,19 @@ async function fetchEnhancedMetadata(issue) {
     
     const html = await response.text();
     
-    // Extract status - look for field-issue-status
-    let status = '';
-    const statusMatch = html.match(/<div class="field field-name-field-issue-status[^>]*><div class="field-items"><div class="field-item even">([^<]+)<\/div>/);
-    if (statusMatch) {
-      status = statusMatch[1].trim();
+    const { missing, thread, ...metadata } = parseIssuePage(html, issue.issueId);
+    if (missing.length > 0) {
+      console.log(`   ⚠️  Could not find ${missing.join(', ')} on the page for ${issue.issueId}`);
     }
-    
-    // Extract priority - look for field-issue-priority
-    let priority = '';
-    const priorityMatch = html.match(/<div class="field-label">Priority:&nbsp;<\/div><div class="field-items"><div class="field-item even">([^<]+)<\/div>/);
-    if (priorityMatch) {
-      priority = priorityMatch[1].trim();
-    }
-    
-    // Extract component - look for field-issue-component
-    let component = '';
-    const componentMatch = html.match(/<div class="field-label">Component:&nbsp;<\/div><div class="field-items"><div class="field-item even">([^<]+)<\/div>/);
-    if (componentMatch) {
-      component = componentMatch[1].trim();
-    }
-    
-    // Extract version - look for field-issue-version
-    let version = '';
-    const versionMatch = html.match(/<div class="field-label">Version:&nbsp;<\/div><div class="field-items"><div class="field-item even">([^<]+)<\/div>/);
-    if (versionMatch) {
-      version = versionMatch[1].trim();
-    }
-    
-    // Extract reporter - look for the specific structure
-    let reporter = '';
-    const reporterMatch = html.match(/<div class="field-label">Reporter:&nbsp;<\/div><div class="field-items"><div class="field-item even"><a href="[^"]*" [^>]*class="username">([^<]+)<\/a>\s*<\/div>/);
-    if (reporterMatch) {
-      reporter = reporterMatch[1].trim();
-    }
-    
-    // Extract created date - look for the specific structure
-    let created = '';
-    const createdMatch = html.match(/<div class="field-label">Created:&nbsp;<\/div><div class="field-items"><div class="field-item even">([^<]+)<\/div>/);
-    if (createdMatch) {
-      // Parse the date string "12 Oct 2019 at 03:45 UTC"
-      const dateStr = createdMatch[1].trim();
-      try {
-        const parsedDate = new Date(dateStr.replace(' at ', ' ').replace(' UTC', ''));
-        if (!isNaN(parsedDate)) {
-          created = parsedDate.toISOString().split('T')[0]; // Format as YYYY-MM-DD
-        }
-      } catch (e) {
-        console.log(`   ⚠️  Could not parse created date: ${dateStr}`);
-      }
-    }
-    
-    // Extract updated date - look for the specific structure
-    let updated = '';
-    const updatedMatch = html.match(/<div class="field-label">Updated:&nbsp;<\/div><div class="field-items"><div class="field-item even">([^<]+)<\/div>/);
-    if (updatedMatch) {
-      // Parse the date string "13 May 2025 at 20:58 UTC"
-      const dateStr = updatedMatch[1].trim();
-      try {
-        const parsedDate = new Date(dateStr.replace(' at ', ' ').replace(' UTC', ''));
-        if (!isNaN(parsedDate)) {
-          updated = parsedDate.toISOString().split('T')[0]; // Format as YYYY-MM-DD
-        }
-      } catch (e) {
-        console.log(`   ⚠️  Could not parse updated date: ${dateStr}`);
-      }
-    }
-    
-    // Extract comments count - count actual comment divs with comment IDs
-    let comments = '0';
-    // Look for comment divs with IDs like "comment-14202808"
-    const commentDivMatches = html.match(/<div[^>]+id="comment-\d+"[^>]*>/g);
-    if (commentDivMatches && commentDivMatches.length > 0) {
-      comments = commentDivMatches.length.toString();
-    } else {
-      // Fallback: look for comment permalink patterns like "#1", "#2", etc.
-      const permalinkMatches = html.match(/<a href="[^"]*#comment-\d+"[^>]*>\s*<span[^>]*>Comment\s*<\/span>\s*#(\d+)<\/a>/g);
-      if (permalinkMatches && permalinkMatches.length > 0) {
-        // Get the highest comment number
-        const numbers = permalinkMatches
-          .map(match => {
-            const numMatch = match.match(/#(\d+)<\/a>/);
-            return numMatch ? parseInt(numMatch[1]) : 0;
-          })
-          .filter(num => num > 0);
-        
-        if (numbers.length > 0) {
-          comments = Math.max(...numbers).toString();
-        }
-      }
-    }
-    
-    // Extract last commenter from "Most recent" link or comment metadata
-    let lastCommenter = '';
-    const mostRecentMatch = html.match(/<a href="[^"]*#comment-(\d+)" class="most-recent active">Most recent<\/a>/);
-    if (mostRecentMatch) {
-      const commentId = mostRecentMatch[1];
-      // Try multiple patterns to find the comment author
-      const patterns = [
-        // Pattern 1: Look for username near comment ID
-        new RegExp(`id="comment-${commentId}"[^>]*>.*?class="username">([^<]+)<`, 's'),
-        // Pattern 2: Look for submitted by pattern
-        new RegExp(`comment-${commentId}[^>]*>.*?<a href="/u/([^"]+)"`, 's'),
-        // Pattern 3: Look for author in comment metadata
-        new RegExp(`comment-${commentId}[^>]*>.*?submitted.*?/u/([^"]+)"`, 's')
-      ];
-      
-      for (const pattern of patterns) {
-        const match = html.match(pattern);
-        if (match) {
-          lastCommenter = match[1].trim();
-          break;
-        }
-      }
-    }
-    
-    // Fallback: get the last commenter from the update field if no comment-specific match
-    if (!lastCommenter) {
-      // Sometimes the updated field contains info about who last updated
-      const updateMatch = html.match(/Updated.*?by.*?class="username">([^<]+)</);
-      if (updateMatch) {
-        lastCommenter = updateMatch[1].trim();
-      }
-    }
-    
-    // Check for issue fork - look for actual merge request indicators, not "Create" buttons
-    let hasFork = 'No';
-    // Look for actual merge request references or existing forks
-    if ((html.includes('Merge request') && !html.includes('Create merge request')) || 
-        html.includes('!\\d+') || // GitLab MR format
-        (html.includes('fork') && html.includes('Available')) ||
-        html.includes('merge-request-link')) {
-      hasFork = 'Yes';
-    }
-    
-    // Add small delay between metadata requests
-    await delay(500 + Math.random() * 500);
+    saveThread(issue.issueId, 'html', thread);
     
     return {
       ...issue,
-      status,
-      priority,
-      component,
-      version,
-      reporter,
-      created,
-      updated,
-      comments,
-      hasFork,
-      lastCommenter
+      ...metadata
     };
     
   } catch (error) {
+    if (error instanceof RequestBudgetError) throw error;
     console.log(`   ❌ Error fetching metadata for ${issue.issueId}: ${error.message}`);
     return issue; // Return original issue if error occurs
   }
@@ -1,8 +1,20 @@
-// Generate AI-powered summaries for WCAG issues using Gemini
+// Generate AI-powered summaries for WCAG issues using the configured LLM provider
 import fs from 'fs';
 import path from 'path';
-import https from 'https';
-import { URL } from 'url';
+import { configureHttpRecording, httpsRequest, isRecording, isReplaying, printHttpRecordingSummary } from './lib/http-recorder.js';
+import { RequestBudgetError, configureRateLimits, getConcurrency, getRetryAfterMs, isBudgetExhausted, printRateLimitSummary } from './lib/rate-limiter.js';
+import { mapWithConcurrency } from './lib/worker-pool.js';
+import { DRUPAL_SOURCE, getRowSource } from './lib/detailed-issues.js';
+import { loadThread, loadThreadSidecar } from './lib/issue-threads.js';
+import { collectEvidence, verifyDeveloperNote } from './lib/note-verification.js';
+import { FUNCTIONAL_PERFORMANCE_NUMS, describeFunctionalPerformanceCriteria } from './lib/functional-performance.js';
+import { escapeCSV, parseCSVRecords } from './lib/spreadsheet-csv.js';
+import { describeCriterion } from './lib/wcag-catalog.js';
+import { configureLLM, describeProvider, estimateTokens, formatCost, getCostCap, getModelRef, getProviderConfigError, isCostCapReached, priceTokens, printUsageSummary } from './lib/llm-provider.js';
+import { checkPromptVariables, configurePrompts, getPromptRef, loadPrompt, renderPrompt } from './lib/prompt-templates.js';
+import { writeCostSummary } from './lib/cost-summary.js';
+import { generateJSON, withSchemaInstructions } from './lib/structured-output.js';
+import { getResponseKey, hasResponse, loadResponseCache, lookupResponse, printResponseCacheSummary, saveResponseCache, storeResponse } from './lib/response-cache.js';
 
 // Load environment variables from .env file if it exists
 try {
@@ -19,83 +31,51 @@ try {
   // Silently ignore .env loading errors
 }
 
-// Configuration
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent';
+const SUMMARY_MAX_OUTPUT_TOKENS = 500;
 
-const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+// Variables buildSummaryPrompt fills into prompts/issue-summary.txt
+const SUMMARY_PROMPT_VARIABLES = ['auditSource', 'criteria', 'wcagSC', 'title', 'status', 'priority', 'mergeRequests', 'description', 'comments', 'functionalPerformanceCriteria'];
 
-// HTTPS request wrapper
-function makeHttpsRequest(url, options, postData) {
-  return new Promise((resolve, reject) => {
-    const req = https.request(url, options, (res) => {
-      let data = '';
-      res.on('data', (chunk) => data += chunk);
-      res.on('end', () => {
-        resolve({
-          ok: res.statusCode >= 200 && res.statusCode < 300,
-          status: res.statusCode,
-          statusText: res.statusMessage,
-          text: () => Promise.resolve(data),
-          json: () => Promise.resolve(JSON.parse(data)),
-          headers: {
-            get: (header) => res.headers[header.toLowerCase()]
-          }
-        });
-      });
-    });
-    
-    req.on('error', reject);
-    if (postData) req.write(postData);
-    req.end();
-  });
-}
+// Fields the model returns for each issue (lib/structured-output.js validates them)
+const SUMMARY_SCHEMA = {
+  type: 'object',
+  properties: {
+    acrNote: { type: 'string', description: 'Accessibility conformance note, 1-2 sentences' },
+    functionalPerformance: { type: 'array', items: { type: 'string', enum: FUNCTIONAL_PERFORMANCE_NUMS }, description: 'Section 508 functional performance criteria the barrier affects' },
+    developerNote: { type: 'string', description: 'Technical guidance for Drupal developers, 3-4 sentences' },
+    titleAssessment: { type: 'string', description: 'TITLE_OK: ... or TITLE_SUGGEST: ...' },
+    wcagAssessment: { type: 'string', description: 'WCAG_AGREE: ... or WCAG_SUGGEST: ...' }
+  },
+  required: ['acrNote', 'functionalPerformance', 'developerNote', 'titleAssessment', 'wcagAssessment']
+};
+
+// Replayed responses need no backoff; live requests are paced by lib/rate-limiter.js
+const delay = ms => isReplaying() ? Promise.resolve() : new Promise(resolve => setTimeout(resolve, ms));
 
-// Enhanced fetch with rate limiting for Gemini API
+// Enhanced fetch with rate limiting for the LLM API
 async function fetchWithRetry(url, options, retries = 3) {
   for (let attempt = 1; attempt <= retries; attempt++) {
     try {
-      let response;
-      
-      if (options.method === 'POST') {
-        const urlObj = new URL(url);
-        const postData = options.body || '';
-        
-        const requestOptions = {
-          hostname: urlObj.hostname,
-          port: 443,
-          path: urlObj.pathname + urlObj.search,
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Content-Length': Buffer.byteLength(postData),
-            ...options.headers
-          }
-        };
-        
-        response = await makeHttpsRequest(urlObj, requestOptions, postData);
-      } else {
-        // For GET requests
-        const urlObj = new URL(url);
-        const requestOptions = {
-          hostname: urlObj.hostname,
-          port: 443,
-          path: urlObj.pathname + urlObj.search,
-          method: options.method || 'GET',
-          headers: {
-            'User-Agent': 'curl/8.7.1',
-            ...options.headers
-          }
-        };
-        
-        response = await makeHttpsRequest(urlObj, requestOptions);
-      }
+      const response = await httpsRequest(url, {
+        ...options,
+        headers: options.method === 'POST' ? options.headers : { 'User-Agent': 'curl/8.7.1', ...options.headers }
+      });
       
       if (response.ok) {
         return response;
       }
       
       if (response.status === 429) {
+        // Out of retries: fail the call rather than return nothing
+        if (attempt === retries) {
+          throw new Error(`HTTP ${response.status}: ${await response.text()}`);
+        }
+        
+        // With Retry-After the rate limiter already holds back the next request
+        if (getRetryAfterMs(response) !== null) {
+          continue;
+        }
+        
         // Rate limit hit, wait longer
         const waitTime = Math.pow(2, attempt) * 1000; // Exponential backoff
         console.log(`⏳ Rate limit hit, waiting ${waitTime/1000}s before retry ${attempt}/${retries}...`);
@@ -109,7 +89,7 @@ async function fetchWithRetry(url, options, retries = 3) {
       }
       
     } catch (error) {
-      if (attempt === retries) {
+      if (attempt === retries || error instanceof RequestBudgetError) {
         throw error;
       }
       
@@ -119,57 +99,30 @@ async function fetchWithRetry(url, options, retries = 3) {
   }
 }
 
-// Parse CSV file
-function parseCSV(csvContent) {
-  const lines = csvContent.split('\n').filter(line => line.trim());
-  const headers = lines[0].split(',').map(h => h.replace(/"/g, '').trim());
-  
-  const issues = [];
-  for (let i = 1; i < lines.length; i++) {
-    const values = parseCSVLine(lines[i]);
-    if (values.length === headers.length) {
-      const issue = {};
-      headers.forEach((header, index) => {
-        issue[header] = values[index];
-      });
-      issues.push(issue);
-    }
-  }
+// Older step 1 CSVs have one row per WCAG tag - summarize each issue once,
+// with all of its criteria in the WCAG SC field
+function mergeDuplicateIssues(rows) {
+  const byId = new Map();
   
-  return issues;
-}
-
-// Simple CSV line parser that handles quoted fields
-function parseCSVLine(line) {
-  const values = [];
-  let current = '';
-  let inQuotes = false;
-  
-  for (let i = 0; i < line.length; i++) {
-    const char = line[i];
-    
-    if (char === '"') {
-      if (inQuotes && line[i + 1] === '"') {
-        // Escaped quote
-        current += '"';
-        i++; // Skip next quote
-      } else {
-        // Toggle quote state
-        inQuotes = !inQuotes;
-      }
-    } else if (char === ',' && !inQuotes) {
-      // Field separator
-      values.push(current.trim());
-      current = '';
-    } else {
-      current += char;
+  rows.forEach(row => {
+    const existing = byId.get(row['Issue ID']);
+    if (!existing) {
+      byId.set(row['Issue ID'], { ...row });
+      return;
     }
-  }
+    
+    const criteria = existing['WCAG SC'].split(',').map(sc => sc.trim());
+    (row['WCAG SC'] || '').split(',').map(sc => sc.trim()).filter(Boolean).forEach(sc => {
+      if (!criteria.includes(sc)) criteria.push(sc);
+    });
+    existing['WCAG SC'] = criteria.join(', ');
+  });
   
-  // Add the last field
-  values.push(current.trim());
+  if (byId.size < rows.length) {
+    console.log(`🔗 Merged ${rows.length - byId.size} duplicate rows for issues tagged with several criteria`);
+  }
   
-  return values;
+  return [...byId.values()];
 }
 
 // Fetch issue content from Drupal.org
@@ -252,6 +205,18 @@ async function fetchIssueContent(issueUrl) {
     comments.sort((a, b) => b.priority - a.priority);
     const relevantComments = comments.slice(0, 5).map(c => c.text);
     
+    // Patches, merge requests and comments anywhere on the page, to check the
+    // developer note against (lib/note-verification.js)
+    const pageText = html.replace(/<[^>]*>/g, ' ');
+    const patchLinks = [...html.matchAll(/href="[^"]*\/([^"\/]+\.(?:patch|diff))"/gi)].map(match => decodeURIComponent(match[1]));
+    const mrLinks = [...html.matchAll(/\/merge_requests\/(\d+)/g)].map(match => `!${match[1]}`);
+    const mrMentions = (pageText.match(/(?:^|\s)!(\d+)\b/g) || []).map(ref => ref.trim());
+    const evidence = {
+      patches: [...new Set([...patchLinks, ...(pageText.match(/\b[\w.-]+\.(?:patch|diff)\b/gi) || [])])],
+      mergeRequests: [...new Set([...mrLinks, ...mrMentions])],
+      commentCount: (html.match(/<div[^>]+id="comment-\d+"/g) || []).length
+    };
+    
     return {
       title,
       description: description.substring(0, 1200), // Slightly longer description
@@ -259,140 +224,222 @@ async function fetchIssueContent(issueUrl) {
       userAliases: Array.from(userAliases).sort(),
       hasPatchActivity: comments.some(c => c.hasPatchInfo),
       hasMRActivity: comments.some(c => c.hasMRInfo),
-      hasForkActivity: comments.some(c => c.hasForkInfo)
+      hasForkActivity: comments.some(c => c.hasForkInfo),
+      evidence
     };
     
   } catch (error) {
-    console.log(`   ❌ Error fetching content: ${error.message}`);
-    return {
-      title: 'Unable to fetch title',
-      description: 'Unable to fetch description',
-      comments: []
-    };
+    // Summarizing without the issue content would only produce a placeholder
+    throw new Error(`Could not fetch issue content: ${error.message}`);
   }
 }
 
-// Generate summaries using Gemini AI
-async function generateSummaries(issue, issueContent) {
-  if (!GEMINI_API_KEY) {
-    throw new Error('GEMINI_API_KEY environment variable is required');
-  }
+// Content of a Drupal.org issue from the thread step 1 saved (sidecar or thread
+// cache), comments with patches or merge requests first as on the issue page
+function getThreadContent(issue, thread) {
+  const comments = (thread.comments || [])
+    .map(comment => ({ text: (comment.body || '').substring(0, 800), priority: (comment.patches || []).length + (comment.mergeRequests || []).length }))
+    .filter(comment => comment.text.length > 30 || comment.priority > 0)
+    .slice(0, 8)
+    .sort((a, b) => b.priority - a.priority);
+  const userAliases = new Set((thread.comments || []).map(comment => comment.author).filter(Boolean));
+  if (issue['Reporter']) userAliases.add(issue['Reporter']);
   
-  console.log(`   🤖 Generating AI summaries for issue ${issue['Issue ID']}...`);
+  return {
+    title: issue['Issue Title'],
+    description: (thread.description || '').substring(0, 1200),
+    comments: comments.slice(0, 5).map(comment => comment.text),
+    userAliases: Array.from(userAliases).sort()
+  };
+}
+
+// Content of a Drupal.org issue, read from the comment thread step 1 saved; the
+// issue page is only fetched for issues without a saved thread
+async function getIssueContent(issue, threads) {
+  const entry = threads[issue['Issue ID']];
+  const thread = (entry && entry.thread) || loadThread(issue['Issue ID']);
+  if (thread) {
+    return getThreadContent(issue, thread);
+  }
   
-  // Prepare the prompt with issue context
+  return await fetchIssueContent(issue['Issue URL']);
+}
+
+// Content of an audit finding: there is no issue page, the import wrote the
+// finding's description to the thread sidecar
+function getAuditFindingContent(issue, threads) {
+  const thread = threads[issue['Issue ID']] && threads[issue['Issue ID']].thread;
+  return {
+    title: issue['Issue Title'],
+    description: thread ? thread.description : issue['Issue Title'],
+    comments: [],
+    userAliases: issue['Reporter'] ? [issue['Reporter']] : []
+  };
+}
+
+// Prompt for one issue, from its detailed CSV row and its content (template prompts/issue-summary.txt)
+function buildSummaryPrompt(issue, issueContent) {
   const wcagSC = issue['WCAG SC'] || 'Unknown';
-  const title = issueContent.title;
-  const description = issueContent.description;
-  const status = issue['Status'] || 'Unknown';
-  const priority = issue['Priority'] || 'Unknown';
-  const comments = issueContent.comments.join('\n\n');
+  const source = getRowSource(issue);
   
-  const prompt = `You are an accessibility expert analyzing a Drupal.org issue. Please provide four specific analyses:
+  return renderPrompt(loadPrompt('issue-summary'), {
+    auditSource: source !== DRUPAL_SOURCE ? source : '',
+    criteria: wcagSC.split(',').map(sc => describeCriterion(sc.trim())).join(', '),
+    wcagSC,
+    title: issueContent.title,
+    status: issue['Status'] || 'Unknown',
+    priority: issue['Priority'] || 'Unknown',
+    // Older step 1 CSVs have no Merge Requests column
+    mergeRequests: issue['Merge Requests'] === undefined ? 'Unknown' : (issue['Merge Requests'] || 'None'),
+    description: issueContent.description,
+    comments: issueContent.comments.join('\n\n'),
+    functionalPerformanceCriteria: describeFunctionalPerformanceCriteria()
+  });
+}
 
-ISSUE CONTEXT:
-- Current WCAG Classification: ${wcagSC}
-- Title: ${title}
-- Status: ${status}
-- Priority: ${priority}
-- Description: ${description}
-- Recent Comments: ${comments}
+function getSummaryCacheKey(prompt) {
+  return getResponseKey('issue-summary', { promptVersion: loadPrompt('issue-summary').version, prompt, schema: SUMMARY_SCHEMA });
+}
 
-Please provide exactly four responses:
+// Generate summaries with the configured LLM provider
+async function generateSummaries(issue, issueContent) {
+  const configError = isReplaying() ? null : getProviderConfigError();
+  if (configError) {
+    throw new Error(configError);
+  }
+  
+  console.log(`   🤖 Generating AI summaries for issue ${issue['Issue ID']}...`);
+  
+  const prompt = buildSummaryPrompt(issue, issueContent);
+  
+  // Same issue content, prompt and model as an earlier run: reuse its answer
+  const cacheKey = getSummaryCacheKey(prompt);
+  const cached = lookupResponse(cacheKey);
+  if (cached) {
+    console.log(`   🗄️  Issue ${issue['Issue ID']} unchanged, using cached summaries`);
+    return cached;
+  }
+  
+  try {
+    // Low temperature for consistent, factual responses; a response that does
+    // not match SUMMARY_SCHEMA after one repair request throws
+    const usage = {};
+    const summaries = await generateJSON(prompt, SUMMARY_SCHEMA, { maxOutputTokens: SUMMARY_MAX_OUTPUT_TOKENS, temperature: 0.1, usage }, fetchWithRetry);
+    console.log(`   💰 Issue ${issue['Issue ID']}: ${usage.inputTokens} input + ${usage.outputTokens} output tokens, ${formatCost(usage.cost)}${usage.calls > 1 ? ` (${usage.calls} calls)` : ''}`);
+    
+    const result = {
+      acrNote: summaries.acrNote.trim(),
+      functionalPerformance: FUNCTIONAL_PERFORMANCE_NUMS.filter(num => summaries.functionalPerformance.includes(num)).join(', '),
+      developerNote: summaries.developerNote.trim(),
+      titleAssessment: summaries.titleAssessment.trim(),
+      wcagAssessment: summaries.wcagAssessment.trim()
+    };
+    storeResponse(cacheKey, 'issue-summary', result, usage.cost);
+    return result;
+    
+  } catch (error) {
+    // The issue gets the error status and --retry-errors picks it up again
+    throw new Error(`Could not generate summaries: ${error.message}`);
+  }
+}
 
-1. ACR_NOTE: A note for an accessibility conformance report (1-2 sentences):
-   - Focus on the specific accessibility barrier and its impact on users with disabilities
-   - Use concise impact language: "Affects people without vision", "Affects people without hearing", "Affects people with limited vision", "Affects people with limited hearing", "Affects people without speech", "Affects people with limited manipulation", "Affects people with limited reach and strength", "Affects people with limited language, cognitive, and learning abilities"
-   - DO NOT mention WCAG Success Criteria numbers (tracked separately)
-   - Use concise, professional compliance language
+// --estimate: price the pending issues without calling the LLM. Issue pages are
+// only fetched when an issue is summarized, so Drupal.org issues are priced from
+// the comment threads step 1 cached; output is priced at its token limit.
+function printSummaryEstimate(pending, threads) {
+  let calls = 0;
+  let cached = 0;
+  let withoutThread = 0;
+  let inputTokens = 0;
+  
+  pending.forEach(issue => {
+    let content;
+    if (getRowSource(issue) === DRUPAL_SOURCE) {
+      const entry = threads[issue['Issue ID']];
+      const thread = (entry && entry.thread) || loadThread(issue['Issue ID']);
+      if (!thread) withoutThread++;
+      content = thread
+        ? getThreadContent(issue, thread)
+        : { title: issue['Issue Title'], description: '', comments: [] };
+    } else {
+      content = getAuditFindingContent(issue, threads);
+    }
+    
+    const prompt = buildSummaryPrompt(issue, content);
+    if (hasResponse(getSummaryCacheKey(prompt))) {
+      cached++;
+      return;
+    }
+    calls++;
+    inputTokens += estimateTokens(withSchemaInstructions(prompt, SUMMARY_SCHEMA));
+  });
+  
+  const outputTokens = calls * SUMMARY_MAX_OUTPUT_TOKENS;
+  const cost = priceTokens(inputTokens, outputTokens);
+  console.log(`\n💰 Estimate for ${pending.length} issues with ${describeProvider()} (no LLM calls made):`);
+  console.log(`   ${calls} LLM calls: ~${inputTokens.toLocaleString()} input tokens, up to ${outputTokens.toLocaleString()} output tokens`);
+  if (cached > 0) {
+    console.log(`   ${cached} issues answered from the response cache at no cost`);
+  }
+  if (withoutThread > 0) {
+    console.log(`   ${withoutThread} issues have no cached comment thread and were priced from their title only`);
+  }
+  console.log(`   Estimated cost: up to ${formatCost(cost)} (an invalid answer adds one repair call)`);
+  if (getCostCap() > 0) {
+    console.log(`   ${cost <= getCostCap() ? '✅ Within' : '⚠️  Over'} the --max-cost cap of ${formatCost(getCostCap())}`);
+  }
+}
 
-2. DEVELOPER_NOTE: Technical guidance for Drupal developers (3-4 sentences):
-   - Analyze patch/merge request status from comments (look for .patch files, merge requests, issue forks)
-   - If patches exist but are old, note they need updating/rebasing
-   - Identify specific technical actions needed (code changes, testing, reviews)
-   - Provide concrete next steps based on the most recent comments
-   - If "Create issue fork" button exists but no actual patches, note "no current patches"
+// Columns of wcag-issue-summaries_*.csv; failures carry Status "error" and their
+// message in Error, with the note columns left empty
+const SUMMARY_CSV_HEADERS = ['Issue ID', 'ACR Note', 'Functional Performance', 'Developer Note', 'Note Verification', 'Title Assessment', 'WCAG Assessment', 'User Aliases', 'Prompt', 'Model', 'Status', 'Error', 'Processed At'];
 
-3. TITLE_ASSESSMENT: Evaluate if the title accurately reflects the issue content:
-   - If title is accurate, respond: "TITLE_OK: Current title accurately reflects the issue"
-   - If title needs improvement, respond: "TITLE_SUGGEST: [better title under 80 characters]"
-   - Consider scope, specificity, and clarity improvements
+function toSummaryRecord(issueId, { acrNote = '', functionalPerformance = '', developerNote = '', noteVerification = '', titleAssessment = '', wcagAssessment = '', userAliases = '', prompt = '', model = '', status, error = '' }) {
+  return {
+    'Issue ID': issueId,
+    'ACR Note': acrNote,
+    'Functional Performance': functionalPerformance,
+    'Developer Note': developerNote,
+    'Note Verification': noteVerification,
+    'Title Assessment': titleAssessment,
+    'WCAG Assessment': wcagAssessment,
+    'User Aliases': userAliases,
+    'Prompt': prompt,
+    'Model': model,
+    'Status': status,
+    'Error': error,
+    'Processed At': new Date().toISOString()
+  };
+}
 
-4. WCAG_ASSESSMENT: Analyze the WCAG Success Criterion classification:
-   - The issue is currently classified as "${wcagSC}"
-   - Based on the description and comments, identify the most appropriate WCAG 2.1 Success Criterion (format: X.X.X)
-   - If you agree with the current classification, respond: "WCAG_AGREE: ${wcagSC}"
-   - If you think it should be different/additional, respond: "WCAG_SUGGEST: X.X.X - [brief explanation]"
+function toSummaryCSVLine(record) {
+  return SUMMARY_CSV_HEADERS.map(header => escapeCSV(record[header])).join(',') + '\n';
+}
 
-Format your response as:
-ACR_NOTE: [your accessibility conformance note]
-DEVELOPER_NOTE: [your developer guidance note]
-TITLE_ASSESSMENT: [your title evaluation]
-WCAG_ASSESSMENT: [your WCAG classification analysis]
+function writeSummaryFile(file, records) {
+  fs.writeFileSync(file, SUMMARY_CSV_HEADERS.join(',') + '\n' + records.map(toSummaryCSVLine).join(''), 'utf8');
+}
 
-Focus on actionable insights and accurate technical details from the comments.`;
+function findLatestSummariesFile(resultsDir) {
+  const files = fs.readdirSync(resultsDir)
+    .filter(f => f.startsWith('wcag-issue-summaries_') && f.endsWith('.csv'))
+    .sort()
+    .reverse();
+  return files.length > 0 ? path.join(resultsDir, files[0]) : null;
+}
 
-  try {
-    const requestBody = {
-      contents: [{
-        parts: [{
-          text: prompt
-        }]
-      }],
-      generationConfig: {
-        maxOutputTokens: 500,
-        temperature: 0.1 // Low temperature for consistent, factual responses
-      }
-    };
-    
-    const response = await fetchWithRetry(
-      `${GEMINI_API_URL}?key=${GEMINI_API_KEY}`,
-      {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(requestBody)
-      }
-    );
-    
-    const data = await response.json();
-    
-    if (!data.candidates || !data.candidates[0] || !data.candidates[0].content) {
-      throw new Error('Invalid response structure from Gemini API');
-    }
-    
-    const responseText = data.candidates[0].content.parts[0].text;
-    
-    // Parse the response to extract all four components
-    const acrMatch = responseText.match(/ACR_NOTE:\s*(.*?)(?=DEVELOPER_NOTE:|$)/s);
-    const devMatch = responseText.match(/DEVELOPER_NOTE:\s*(.*?)(?=TITLE_ASSESSMENT:|$)/s);
-    const titleMatch = responseText.match(/TITLE_ASSESSMENT:\s*(.*?)(?=WCAG_ASSESSMENT:|$)/s);
-    const wcagMatch = responseText.match(/WCAG_ASSESSMENT:\s*(.*?)$/s);
-    
-    const acrNote = acrMatch ? acrMatch[1].trim() : 'Unable to generate ACR note';
-    const developerNote = devMatch ? devMatch[1].trim() : 'Unable to generate developer note';
-    const titleAssessment = titleMatch ? titleMatch[1].trim() : 'Unable to assess title';
-    const wcagAssessment = wcagMatch ? wcagMatch[1].trim() : 'Unable to assess WCAG classification';
-    
-    // Add rate limiting delay
-    await delay(1000 + Math.random() * 1000);
-    
-    return {
-      acrNote,
-      developerNote,
-      titleAssessment,
-      wcagAssessment
-    };
-    
-  } catch (error) {
-    console.log(`   ❌ Error generating summaries: ${error.message}`);
-    return {
-      acrNote: `Error generating ACR note: ${error.message}`,
-      developerNote: `Error generating developer note: ${error.message}`,
-      titleAssessment: `Error assessing title: ${error.message}`
-    };
-  }
+// Rows of an earlier summaries file by issue ID. An interrupted run can leave a
+// retried issue twice, and the later row wins. Files from before the Status
+// column mark failures with "Error..." in the note columns.
+function loadSummaryRecords(file) {
+  const records = new Map();
+  parseCSVRecords(fs.readFileSync(file, 'utf8')).forEach(row => {
+    const failed = row['Status'] ? row['Status'] === 'error' : /^Error/.test(row['ACR Note']);
+    records.set(row['Issue ID'], failed && !row['Status']
+      ? toSummaryRecord(row['Issue ID'], { status: 'error', error: row['ACR Note'].replace(/^Error( generating ACR note)?: /, '') })
+      : { ...row, 'Status': failed ? 'error' : 'ok' });
+  });
+  return records;
 }
 
 // Main processing function
@@ -400,14 +447,35 @@ async function processIssues() {
   console.log('🤖 WCAG Issue AI Summary Generator');
   console.log('==================================');
   
-  // Check for API key
-  if (!GEMINI_API_KEY) {
-    console.log('❌ Error: GEMINI_API_KEY environment variable is required');
-    console.log('💡 Set it with: export GEMINI_API_KEY="your-api-key-here"');
-    console.log('📖 Get an API key from: https://aistudio.google.com/app/apikey');
+  const args = configurePrompts(configureLLM(configureRateLimits(configureHttpRecording(process.argv.slice(2)))));
+  
+  const estimate = args.includes('--estimate');
+  
+  // Check for API key (replayed and estimated runs never call the API)
+  const configError = isReplaying() || estimate ? null : getProviderConfigError();
+  if (configError) {
+    console.log(`❌ Error: ${configError}`);
+    console.log('💡 Or pick another provider with --provider (gemini, openai, anthropic, mock)');
+    process.exit(1);
+  }
+  console.log(`🧠 LLM provider: ${describeProvider()}`);
+  
+  let summaryPrompt;
+  try {
+    summaryPrompt = loadPrompt('issue-summary');
+    checkPromptVariables(summaryPrompt, SUMMARY_PROMPT_VARIABLES);
+  } catch (error) {
+    console.log(`❌ Error: could not load the prompt template: ${error.message}`);
     process.exit(1);
   }
   
+  // Recorded and replayed runs must make every LLM request, so they skip the cache
+  const noCache = args.includes('--no-cache');
+  loadResponseCache({
+    disabled: noCache || isReplaying() || isRecording(),
+    reason: noCache ? '--no-cache' : 'recording or replaying HTTP responses'
+  });
+  
   // Find the latest WCAG issues CSV file
   const resultsDir = 'results';
   if (!fs.existsSync(resultsDir)) {
@@ -416,8 +484,12 @@ async function processIssues() {
     process.exit(1);
   }
   
+  const resume = args.includes('--resume');
+  const retryErrors = args.includes('--retry-errors');
+  const removeUnsupported = args.includes('--remove-unsupported-claims');
+  
   // Check for command line argument to specify file, otherwise use latest
-  let targetFile = process.argv[2]; // Optional command line argument
+  let targetFile = args.filter(arg => !arg.startsWith('--'))[0]; // Optional command line argument
   let inputFile;
   
   if (targetFile) {
@@ -459,96 +531,160 @@ async function processIssues() {
   // Read and parse the CSV
   console.log('📊 Reading CSV file...');
   const csvContent = fs.readFileSync(inputFile, 'utf8');
-  const issues = parseCSV(csvContent);
+  const issues = mergeDuplicateIssues(parseCSVRecords(csvContent));
+  const auditCount = issues.filter(issue => getRowSource(issue) !== DRUPAL_SOURCE).length;
+  const threads = loadThreadSidecar(inputFile);
   
-  console.log(`✅ Loaded ${issues.length} issues`);
+  console.log(`✅ Loaded ${issues.length} issues${auditCount > 0 ? ` (${auditCount} audit findings)` : ''}`);
   
-  // Process each issue
-  const results = [];
+  // --resume continues the latest summaries file with the issues it has no row for;
+  // --retry-errors re-runs the issues whose row there has the error status
+  let outputFile;
+  let previous = new Map();
+  if (resume || retryErrors) {
+    outputFile = findLatestSummariesFile(resultsDir);
+    if (!outputFile) {
+      console.log('❌ Error: No wcag-issue-summaries_*.csv file to continue');
+      console.log('💡 Run without --resume/--retry-errors to start a new one');
+      process.exit(1);
+    }
+    previous = loadSummaryRecords(outputFile);
+    const previousErrors = [...previous.values()].filter(record => record['Status'] === 'error').length;
+    console.log(`⏯️  Continuing ${path.basename(outputFile)}: ${previous.size - previousErrors} issues done, ${previousErrors} with errors`);
+  } else {
+    const timestamp = new Date().toISOString().slice(0, 16).replace(/:/g, '-').replace('T', '_');
+    outputFile = path.join(resultsDir, `wcag-issue-summaries_${timestamp}.csv`);
+  }
+  
+  const pending = issues.filter(issue => {
+    const record = previous.get(issue['Issue ID']);
+    if (!record) return !retryErrors || resume;
+    return retryErrors && record['Status'] === 'error';
+  });
+  if (pending.length < issues.length) {
+    console.log(`⏭️  Skipping ${issues.length - pending.length} issues, ${pending.length} to process`);
+  }
+  
+  if (estimate) {
+    printSummaryEstimate(pending, threads);
+    return;
+  }
+  
+  // Rewritten up front so an older file gets the Status/Error columns before rows are appended
+  writeSummaryFile(outputFile, [...previous.values()]);
+  
+  // Process the issues a few at a time: each one fetches from Drupal.org and calls
+  // the LLM, and the rate limiter caps how many of those requests run at once.
+  // Each row is appended as soon as it is done, so an interrupted run keeps what
+  // it paid for; the file is rewritten in input order at the end.
   let processedCount = 0;
   let errorCount = 0;
+  let skippedCount = 0;
+  let unsupportedCount = 0;
+  const poolSize = Math.max(getConcurrency('drupal'), getConcurrency('llm'));
+  // Every row records the prompt template and model that produced it
+  const provenance = { prompt: getPromptRef(summaryPrompt), model: getModelRef() };
   
-  for (const issue of issues) {
+  const outcomes = await mapWithConcurrency(pending, poolSize, async (issue, index) => {
+    if (isBudgetExhausted() || isCostCapReached()) {
+      skippedCount++;
+      return null;
+    }
+    
+    let record;
     try {
-      console.log(`\n[${processedCount + 1}/${issues.length}] Processing Issue ${issue['Issue ID']}: ${issue['Issue Title']?.substring(0, 60)}...`);
+      console.log(`\n[${index + 1}/${pending.length}] Processing Issue ${issue['Issue ID']}: ${issue['Issue Title']?.substring(0, 60)}...`);
       
-      // Fetch issue content
-      const issueContent = await fetchIssueContent(issue['Issue URL']);
+      // Fetch issue content (audit findings have no issue page)
+      const issueContent = getRowSource(issue) === DRUPAL_SOURCE
+        ? await getIssueContent(issue, threads)
+        : getAuditFindingContent(issue, threads);
       
       // Generate AI summaries
       const summaries = await generateSummaries(issue, issueContent);
       
-      // Display full ACR Note in CLI for immediate feedback
-      console.log(`   📋 ACR Note: ${summaries.acrNote}`);
+      // Check the patches, merge requests and states the developer note claims
+      // against the thread step 1 scraped and the page fetched above
+      const threadEntry = threads[issue['Issue ID']] || { thread: loadThread(issue['Issue ID']) };
+      const check = verifyDeveloperNote(summaries.developerNote, collectEvidence(issue, threadEntry, issueContent.evidence), { removeUnsupported });
+      if (check.unsupported > 0) {
+        unsupportedCount++;
+        console.log(`   🔎 Developer note (${issue['Issue ID']}) ${check.verification}`);
+      }
       
-      // Store result with new fields
-      results.push({
-        issueId: issue['Issue ID'],
-        acrNote: summaries.acrNote,
-        developerNote: summaries.developerNote,
-        titleAssessment: summaries.titleAssessment,
-        wcagAssessment: summaries.wcagAssessment,
-        userAliases: issueContent.userAliases.join(', '),
-        processedAt: new Date().toISOString()
-      });
+      // Display full ACR Note in CLI for immediate feedback
+      console.log(`   📋 ACR Note (${issue['Issue ID']}): ${summaries.acrNote}`);
       
       processedCount++;
       console.log(`   ✅ Completed issue ${issue['Issue ID']} (${issueContent.userAliases.length} users involved)`);
       
+      record = toSummaryRecord(issue['Issue ID'], {
+        ...summaries,
+        developerNote: check.note,
+        noteVerification: check.verification,
+        userAliases: issueContent.userAliases.join(', '),
+        ...provenance,
+        status: 'ok'
+      });
+      
     } catch (error) {
+      // Refused by the cost cap: no row, so --resume picks the issue up again
+      if (isCostCapReached()) {
+        console.log(`   🛑 Issue ${issue['Issue ID']} not summarized: ${error.message}`);
+        skippedCount++;
+        return null;
+      }
+
       console.log(`   ❌ Error processing issue ${issue['Issue ID']}: ${error.message}`);
       errorCount++;
       
-      // Add error entry
-      results.push({
-        issueId: issue['Issue ID'],
-        acrNote: `Error: ${error.message}`,
-        developerNote: `Error: ${error.message}`,
-        titleAssessment: `Error: ${error.message}`,
-        wcagAssessment: `Error: ${error.message}`,
-        userAliases: '',
-        processedAt: new Date().toISOString()
+      record = toSummaryRecord(issue['Issue ID'], {
+        ...provenance,
+        status: 'error',
+        error: error.message
       });
     }
     
-    // Rate limiting between issues
-    if (processedCount < issues.length) {
-      await delay(2000 + Math.random() * 1000);
-    }
-  }
-  
-  // Generate output CSV
-  console.log('\n📊 Generating summary CSV...');
-  const timestamp = new Date().toISOString().slice(0, 16).replace(/:/g, '-').replace('T', '_');
-  const outputFile = path.join(resultsDir, `wcag-issue-summaries_${timestamp}.csv`);
-  
-  const csvHeaders = ['Issue ID', 'ACR Note', 'Developer Note', 'Title Assessment', 'WCAG Assessment', 'User Aliases', 'Processed At'];
-  let csvOutput = csvHeaders.join(',') + '\n';
-  
-  results.forEach(result => {
-    const row = [
-      escapeCSV(result.issueId),
-      escapeCSV(result.acrNote),
-      escapeCSV(result.developerNote),
-      escapeCSV(result.titleAssessment),
-      escapeCSV(result.wcagAssessment),
-      escapeCSV(result.userAliases),
-      escapeCSV(result.processedAt)
-    ];
-    csvOutput += row.join(',') + '\n';
+    fs.appendFileSync(outputFile, toSummaryCSVLine(record), 'utf8');
+    return record;
   });
+  saveResponseCache();
+  
+  // Final file: one row per issue in input order, then rows for issues no longer in the input
+  const records = new Map(previous);
+  outcomes.filter(Boolean).forEach(record => records.set(record['Issue ID'], record));
+  const inputIds = new Set(issues.map(issue => issue['Issue ID']));
+  const ordered = [
+    ...issues.map(issue => records.get(issue['Issue ID'])).filter(Boolean),
+    ...[...records.values()].filter(record => !inputIds.has(record['Issue ID']))
+  ];
+  writeSummaryFile(outputFile, ordered);
+  writeCostSummary(outputFile, { stoppedByCostCap: isCostCapReached() });
   
-  fs.writeFileSync(outputFile, csvOutput, 'utf8');
+  const totalErrors = ordered.filter(record => record['Status'] === 'error').length;
   
   console.log('\n📈 Summary Complete!');
   console.log('===================');
-  console.log(`✅ Successfully processed: ${processedCount}/${issues.length} issues`);
+  console.log(`✅ Successfully processed: ${processedCount}/${pending.length} issues`);
   console.log(`❌ Errors encountered: ${errorCount}`);
   console.log(`📁 Output file: ${outputFile}`);
-  console.log(`📊 Total summaries generated: ${results.length}`);
+  console.log(`📊 Total summaries in file: ${ordered.length - totalErrors} (${totalErrors} errors)`);
+  if (unsupportedCount > 0) {
+    console.log(`🔎 Developer notes with unsupported claims: ${unsupportedCount} (${removeUnsupported ? 'sentences removed' : 'see the Note Verification column'})`);
+  }
+  printHttpRecordingSummary();
+  printRateLimitSummary();
+  printResponseCacheSummary();
+  printUsageSummary();
   
-  if (errorCount > 0) {
-    console.log(`\n⚠️  ${errorCount} issues had errors. Check the output CSV for details.`);
+  if (skippedCount > 0) {
+    const reason = isCostCapReached() ? `Cost cap of ${formatCost(getCostCap())} reached` : 'Request budget exhausted';
+    console.log(`\n🛑 ${reason} - ${skippedCount} issues left unprocessed`);
+    console.log('💡 Run again with --resume to continue');
+  }
+  
+  if (totalErrors > 0) {
+    console.log(`\n⚠️  ${totalErrors} issues have the error status. Run again with --retry-errors to retry only those.`);
   }
   
   console.log('\n💡 Next steps:');
@@ -557,20 +693,5 @@ async function processIssues() {
   console.log('• Use the developer notes to prioritize issue work');
 }
 
-// CSV escape function
-function escapeCSV(field) {
-  if (field === null || field === undefined) {
-    return '';
-  }
-  
-  const str = String(field);
-  
-  if (str.includes('"') || str.includes(',') || str.includes('\n') || str.includes('\r')) {
-    return '"' + str.replace(/"/g, '""') + '"';
-  }
-  
-  return str;
-}
-
 // Run the processor
 processIssues().catch(console.error);
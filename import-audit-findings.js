@@ -0,0 +1,180 @@
+// Import manual audit findings (CSV/XLSX) as a detailed issues CSV for steps 2-4
+import fs from 'fs';
+import path from 'path';
+import { loadColumnMapping, importAuditFindings } from './lib/audit-import.js';
+import { DETAILED_CSV_HEADERS, issueToRow, getRowSource } from './lib/detailed-issues.js';
+import { saveThread, writeThreadSidecar } from './lib/issue-threads.js';
+import { escapeCSV, parseCSVRecords } from './lib/spreadsheet-csv.js';
+
+const RESULTS_DIR = 'results';
+
+// Show help information
+function showHelp() {
+  console.log('📝 Manual Audit Importer');
+  console.log('========================');
+  console.log('');
+  console.log('DESCRIPTION:');
+  console.log('  Imports an accessibility audit spreadsheet (one finding per row) and writes');
+  console.log('  it as a wcag-detailed-issues CSV, so steps 2-4 process the findings like');
+  console.log('  Drupal.org issues. Every row records its source for the ACR.');
+  console.log('');
+  console.log('USAGE:');
+  console.log('  node import-audit-findings.js <audit.csv|audit.xlsx> [options]');
+  console.log('');
+  console.log('OPTIONS:');
+  console.log('  -h, --help            Show this help information');
+  console.log('  --mapping <file>      JSON column mapping (see README)');
+  console.log('  --source <name>       Source name cited in the ACR (default: "Manual audit")');
+  console.log('  --with-issues         Include the rows of the latest detailed issues CSV');
+  console.log('                        (Drupal.org issues, other audits) in the output');
+  console.log('');
+  console.log('OUTPUT:');
+  console.log('  Creates results/wcag-detailed-issues_[timestamp].csv and its .threads.json sidecar');
+}
+
+function getArgValue(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : null;
+}
+
+// Latest detailed issues CSV, read back as row objects
+function loadLatestDetailedRows() {
+  if (!fs.existsSync(RESULTS_DIR)) return null;
+  const files = fs.readdirSync(RESULTS_DIR)
+    .filter(f => f.startsWith('wcag-detailed-issues_') && f.endsWith('.csv'))
+    .sort()
+    .reverse();
+  if (files.length === 0) return null;
+  
+  const file = path.join(RESULTS_DIR, files[0]);
+  return { file, rows: parseCSVRecords(fs.readFileSync(file, 'utf8')) };
+}
+
+async function importAudit() {
+  const args = process.argv.slice(2);
+  if (args.includes('-h') || args.includes('--help') || args.length === 0) {
+    showHelp();
+    process.exit(args.length === 0 ? 1 : 0);
+  }
+  
+  console.log('📝 Manual Audit Importer');
+  console.log('========================');
+  
+  const auditFile = args[0];
+  if (!fs.existsSync(auditFile)) {
+    console.log(`❌ Error: Audit file not found: ${auditFile}`);
+    process.exit(1);
+  }
+  
+  let mapping;
+  try {
+    mapping = loadColumnMapping(getArgValue(args, '--mapping'));
+  } catch (error) {
+    console.log(`❌ Error: Could not read column mapping: ${error.message}`);
+    process.exit(1);
+  }
+  if (getArgValue(args, '--source')) {
+    mapping.source = getArgValue(args, '--source');
+  }
+  
+  console.log(`📁 Reading: ${auditFile}`);
+  let result;
+  try {
+    result = await importAuditFindings(auditFile, mapping);
+  } catch (error) {
+    console.log(`❌ Error: ${error.message}`);
+    console.log('💡 Map your column headers with --mapping (see README: Manual Audit Import)');
+    process.exit(1);
+  }
+  
+  const { issues, skipped, columns } = result;
+  console.log(`🗂️  Columns: ${columns.join(', ')}`);
+  console.log(`✅ ${issues.length} findings from "${mapping.source}"`);
+  skipped.forEach(({ rowNumber, value }) => {
+    console.log(`⚠️  Row ${rowNumber}: no WCAG success criterion in "${value}" - skipped`);
+  });
+  
+  if (issues.length === 0) {
+    console.log('❌ No findings to import');
+    process.exit(1);
+  }
+  
+  // Keep the other sources of the latest detailed CSV; an earlier import of this audit is replaced
+  let latest = null;
+  let keptRows = [];
+  if (args.includes('--with-issues')) {
+    latest = loadLatestDetailedRows();
+    if (!latest) {
+      console.log('⚠️  --with-issues: no detailed issues CSV found - writing the audit findings only');
+    } else {
+      keptRows = latest.rows.filter(row => getRowSource(row) !== mapping.source);
+    }
+  }
+  
+  // Steps 2 and 3 key rows and threads by Issue ID, so a finding may not reuse an ID
+  // of this audit or of a kept row
+  const takenIds = new Map(keptRows.map(row => [row['Issue ID'], getRowSource(row)]));
+  const duplicates = [];
+  issues.forEach(issue => {
+    if (takenIds.has(issue.issueId)) duplicates.push(`${issue.issueId} (${takenIds.get(issue.issueId)})`);
+    takenIds.set(issue.issueId, mapping.source);
+  });
+  if (duplicates.length > 0) {
+    console.log(`❌ Error: ${duplicates.length} finding IDs are already used: ${duplicates.join(', ')}`);
+    console.log('💡 Give this audit its own ID prefix with "idPrefix" in the --mapping file, or fix the ID column');
+    process.exit(1);
+  }
+  
+  // Step 2 reads audit findings from the thread sidecar instead of an issue page
+  issues.forEach(issue => saveThread(issue.issueId, 'audit', issue.thread));
+  
+  let csvContent = DETAILED_CSV_HEADERS.join(',') + '\n';
+  issues.forEach(issue => {
+    csvContent += issueToRow(issue).map(escapeCSV).join(',') + '\n';
+  });
+  
+  const sidecarIssues = [...issues];
+  keptRows.forEach(row => {
+    csvContent += DETAILED_CSV_HEADERS
+      .map(header => escapeCSV(header === 'Source' ? getRowSource(row) : (row[header] || '')))
+      .join(',') + '\n';
+    sidecarIssues.push({
+      issueId: row['Issue ID'],
+      title: row['Issue Title'],
+      url: row['Issue URL'],
+      wcagCriteriaList: (row['WCAG SC'] || '').split(',').map(sc => sc.trim()).filter(Boolean)
+    });
+  });
+  if (latest) {
+    console.log(`🔗 Included ${keptRows.length} rows from ${path.basename(latest.file)}`);
+  }
+  
+  fs.mkdirSync(RESULTS_DIR, { recursive: true });
+  const timestamp = new Date().toISOString().slice(0, 16).replace(/:/g, '-').replace('T', '_');
+  const outputFile = path.join(RESULTS_DIR, `wcag-detailed-issues_${timestamp}.csv`);
+  fs.writeFileSync(outputFile, csvContent, 'utf8');
+  writeThreadSidecar(outputFile, sidecarIssues);
+  
+  // Findings per criterion
+  const byCriteria = {};
+  issues.forEach(issue => {
+    issue.wcagCriteriaList.forEach(sc => {
+      byCriteria[sc] = (byCriteria[sc] || 0) + 1;
+    });
+  });
+  
+  console.log('\n📈 Import Complete!');
+  console.log('===================');
+  console.log(`📁 Output file: ${outputFile}`);
+  console.log('📊 Findings by WCAG SC:');
+  Object.entries(byCriteria).sort(([a], [b]) => a.localeCompare(b)).forEach(([sc, count]) => {
+    console.log(`   ${sc}: ${count}`);
+  });
+  
+  console.log('\n💡 Next step: node run-acr-workflow.js --from 2');
+}
+
+importAudit().catch(error => {
+  console.error(`❌ Import failed: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,116 @@
+// Import automated scanner results (axe-core, Pa11y, Lighthouse) as WCAG evidence
+import fs from 'fs';
+import path from 'path';
+import { importScannerReport, writeEvidenceFile } from './lib/scanner-import.js';
+
+// Show help information
+function showHelp() {
+  console.log('🔬 Scanner Results Importer');
+  console.log('===========================');
+  console.log('');
+  console.log('DESCRIPTION:');
+  console.log('  Reads axe-core, Pa11y and Lighthouse JSON reports of your Drupal builds,');
+  console.log('  maps each failing rule to WCAG Success Criteria and writes the findings as');
+  console.log('  evidence that consolidate-wcag-summaries.js weighs alongside issue notes.');
+  console.log('');
+  console.log('USAGE:');
+  console.log('  node import-scanner-results.js <report.json|directory> [...]');
+  console.log('');
+  console.log('OPTIONS:');
+  console.log('  -h, --help     Show this help information');
+  console.log('');
+  console.log('SUPPORTED REPORTS:');
+  console.log('  • axe-core results JSON (single page, or the array written by @axe-core/cli)');
+  console.log('  • Pa11y JSON (pa11y --reporter json, or pa11y-ci --json)');
+  console.log('  • Lighthouse JSON (lighthouse --output json)');
+  console.log('');
+  console.log('OUTPUT:');
+  console.log('  Creates results/wcag-scanner-evidence_[timestamp].csv');
+}
+
+// Report files from the arguments; directories contribute their .json files
+function collectReportFiles(inputs) {
+  const files = [];
+  inputs.forEach(input => {
+    if (!fs.existsSync(input)) {
+      console.log(`⚠️  Not found: ${input}`);
+      return;
+    }
+    
+    if (fs.statSync(input).isDirectory()) {
+      fs.readdirSync(input)
+        .filter(f => f.endsWith('.json'))
+        .sort()
+        .forEach(f => files.push(path.join(input, f)));
+    } else {
+      files.push(input);
+    }
+  });
+  return files;
+}
+
+function importScannerResults() {
+  const args = process.argv.slice(2);
+  if (args.includes('-h') || args.includes('--help') || args.length === 0) {
+    showHelp();
+    process.exit(args.length === 0 ? 1 : 0);
+  }
+  
+  console.log('🔬 Scanner Results Importer');
+  console.log('===========================');
+  
+  const files = collectReportFiles(args);
+  const findings = [];
+  const toolCounts = {};
+  let unmappedRules = 0;
+  let failedFiles = 0;
+  
+  files.forEach(file => {
+    try {
+      const result = importScannerReport(file);
+      findings.push(...result.findings);
+      unmappedRules += result.unmapped;
+      toolCounts[result.format] = (toolCounts[result.format] || 0) + 1;
+      console.log(`✅ ${file}: ${result.format}, ${result.findings.length} failing rule${result.findings.length === 1 ? '' : 's'}${result.unmapped > 0 ? ` (+${result.unmapped} best-practice rule${result.unmapped === 1 ? '' : 's'} without a WCAG criterion)` : ''}`);
+    } catch (error) {
+      failedFiles++;
+      console.log(`❌ ${file}: ${error.message}`);
+    }
+  });
+  
+  if (findings.length === 0) {
+    console.log('\n⚠️  No WCAG failures found in the given reports - no evidence file written');
+    if (failedFiles > 0) process.exitCode = 1;
+    return;
+  }
+  
+  const outputFile = writeEvidenceFile(findings);
+  
+  // Evidence per criterion, counting each finding once for every criterion it maps to
+  const criteriaCounts = {};
+  findings.forEach(finding => {
+    finding.wcagCriteria.forEach(sc => {
+      criteriaCounts[sc] = (criteriaCounts[sc] || 0) + finding.occurrences;
+    });
+  });
+  
+  console.log('\n📈 Import Complete!');
+  console.log('===================');
+  console.log(`📁 Reports: ${Object.entries(toolCounts).map(([tool, count]) => `${count} ${tool}`).join(', ')}${failedFiles > 0 ? `, ${failedFiles} unreadable` : ''}`);
+  console.log(`🔎 Evidence records: ${findings.length} (rule × page)`);
+  if (unmappedRules > 0) {
+    console.log(`ℹ️  Skipped ${unmappedRules} best-practice rules that map to no WCAG criterion`);
+  }
+  console.log(`📁 Output file: ${outputFile}`);
+  
+  console.log('\n📊 Failing elements by WCAG SC:');
+  Object.entries(criteriaCounts).sort(([a], [b]) => a.localeCompare(b)).forEach(([sc, count]) => {
+    console.log(`   ${sc}: ${count}`);
+  });
+  
+  console.log('\n💡 Next step: node consolidate-wcag-summaries.js (uses the latest evidence file)');
+  
+  if (failedFiles > 0) process.exitCode = 1;
+}
+
+importScannerResults();
@@ -0,0 +1,179 @@
+// Manual audit findings from a CSV or XLSX spreadsheet
+// Each row becomes an issue record in the detailed issues shape, so steps 2-4
+// treat audit findings like Drupal.org issues. Which spreadsheet column holds
+// which field is configurable; the defaults match common audit templates.
+import fs from 'fs';
+import path from 'path';
+import { readSheet } from 'read-excel-file/node';
+import { parseCSVRows } from './spreadsheet-csv.js';
+import { getCriterion } from './wcag-catalog.js';
+
+export const DEFAULT_AUDIT_SOURCE = 'Manual audit';
+const DEFAULT_ID_PREFIX = 'AUDIT';
+
+// Field -> spreadsheet column headers tried in order (case-insensitive)
+const DEFAULT_COLUMNS = {
+  sc: ['SC', 'WCAG SC', 'Success Criterion', 'Success Criteria', 'WCAG', 'Criterion'],
+  page: ['Page', 'Page URL', 'URL'],
+  component: ['Component', 'Element'],
+  severity: ['Severity', 'Impact', 'Priority'],
+  description: ['Description', 'Finding', 'Issue', 'Details'],
+  title: ['Title', 'Summary'],
+  id: ['ID', 'Finding ID', 'Ref'],
+  status: ['Status'],
+  auditor: ['Auditor', 'Tester', 'Reporter'],
+  date: ['Date', 'Found', 'Created']
+};
+
+// Status of a finding when the sheet has no status column: a current barrier
+const DEFAULT_STATUS = 'Active';
+
+// Audit statuses -> Drupal.org labels, so the lifecycle categories of
+// lib/issue-status.js separate current barriers from remediated findings
+function normalizeStatus(status) {
+  if (!status) return DEFAULT_STATUS;
+  if (/fixed|resolved|remediated|verified/i.test(status)) return 'Fixed';
+  if (/closed|won'?t fix|false positive|not an issue/i.test(status)) return `Closed (${status.toLowerCase()})`;
+  return status;
+}
+
+// Mapping file (JSON), all keys optional:
+// { "source": "Acme audit 2025", "idPrefix": "ACME", "sheet": "Findings",
+//   "columns": { "sc": "Criterion", "page": "Screen", ... } }
+export function loadColumnMapping(file) {
+  const mapping = file ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+  const columns = { ...DEFAULT_COLUMNS };
+  Object.entries(mapping.columns || {}).forEach(([field, header]) => {
+    if (!DEFAULT_COLUMNS[field]) {
+      throw new Error(`unknown field "${field}" in column mapping (expected one of: ${Object.keys(DEFAULT_COLUMNS).join(', ')})`);
+    }
+    columns[field] = [].concat(header);
+  });
+
+  return {
+    source: mapping.source || DEFAULT_AUDIT_SOURCE,
+    idPrefix: mapping.idPrefix || '',
+    sheet: mapping.sheet || 1,
+    columns
+  };
+}
+
+// Spreadsheet cells as strings: dates as YYYY-MM-DD, line breaks as \n so a
+// multi-line description reaches step 2 as written
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().split('T')[0];
+  return String(value).split(/\r\n?|\n/).map(line => line.trim()).join('\n').trim();
+}
+
+// Header row and data rows of the audit spreadsheet
+async function readSpreadsheet(file, sheet) {
+  const rows = path.extname(file).toLowerCase() === '.xlsx'
+    ? await readSheet(file, sheet)
+    : parseCSVRows(fs.readFileSync(file, 'utf8'));
+  const [headers = [], ...dataRows] = rows.map(row => row.map(cellText));
+  return { headers, dataRows };
+}
+
+// "1.4.3", "SC 1.4.3 Contrast (Minimum)", "wcag143; 2.4.7" -> ['wcag143', 'wcag247']
+// Numbers that are not WCAG success criteria (typos, "9.9.9") are ignored
+export function normalizeCriteria(value) {
+  const criteria = [];
+  const add = match => {
+    const criterion = getCriterion(match);
+    if (criterion && !criteria.includes(criterion.code)) criteria.push(criterion.code);
+  };
+  (value.match(/\b[1-4]\.\d{1,2}\.\d{1,2}\b/g) || []).forEach(add);
+  (value.match(/\bwcag\d{3,}\b/gi) || []).forEach(add);
+  return criteria;
+}
+
+// ID prefix of an audit without an idPrefix in its mapping, from its source name
+// ("Acme audit 2025" -> "ACME-AUDIT-2025"), so two audits never share IDs and
+// their threads in results/cache/threads; the default source keeps "AUDIT"
+export function getDefaultIdPrefix(source) {
+  const prefix = source.toUpperCase().replace(/[^A-Z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  return source === DEFAULT_AUDIT_SOURCE || !prefix ? DEFAULT_ID_PREFIX : prefix;
+}
+
+// "AUDIT-12" from an ID column value of "12" (or "AUDIT-12"), else from the row number
+function getFindingId(id, rowNumber, prefix) {
+  if (!id) return `${prefix}-${rowNumber}`;
+  return id.toUpperCase().startsWith(`${prefix.toUpperCase()}-`) ? id : `${prefix}-${id}`;
+}
+
+// Column index of each field, or -1 when the sheet has none of its headers
+function resolveColumns(headers, columns) {
+  const normalized = headers.map(header => header.toLowerCase());
+  return Object.fromEntries(Object.entries(columns).map(([field, candidates]) => [
+    field,
+    candidates.map(candidate => normalized.indexOf(candidate.toLowerCase())).find(index => index !== -1) ?? -1
+  ]));
+}
+
+// Read the audit spreadsheet; returns { issues, skipped, columns } where skipped
+// lists the rows without a recognizable success criterion
+export async function importAuditFindings(file, mapping) {
+  const { headers, dataRows } = await readSpreadsheet(file, mapping.sheet);
+  const columnIndex = resolveColumns(headers, mapping.columns);
+
+  if (columnIndex.sc === -1) {
+    throw new Error(`no success criterion column found (looked for: ${mapping.columns.sc.join(', ')})`);
+  }
+  if (columnIndex.description === -1 && columnIndex.title === -1) {
+    throw new Error(`no description column found (looked for: ${[...mapping.columns.description, ...mapping.columns.title].join(', ')})`);
+  }
+
+  const idPrefix = mapping.idPrefix || getDefaultIdPrefix(mapping.source);
+  const extractedAt = new Date().toISOString();
+  const issues = [];
+  const skipped = [];
+
+  dataRows.forEach((values, index) => {
+    const field = name => columnIndex[name] === -1 ? '' : (values[columnIndex[name]] || '');
+    const rowNumber = index + 2; // Spreadsheet row, after the header row
+    const criteria = normalizeCriteria(field('sc'));
+    if (criteria.length === 0) {
+      skipped.push({ rowNumber, value: field('sc') });
+      return;
+    }
+
+    const description = field('description');
+    // Titles are one line; a long description is cut to make one
+    const titleText = (field('title') || description).replace(/\s*\n+\s*/g, ' ');
+    const title = (field('title') || titleText.length <= 80) ? titleText : `${titleText.substring(0, 77)}...`;
+    const page = field('page');
+    const component = field('component');
+
+    issues.push({
+      issueId: getFindingId(field('id'), rowNumber, idPrefix),
+      wcagCriteria: criteria[0],
+      wcagCriteriaList: criteria,
+      title,
+      url: page,
+      project: '',
+      status: normalizeStatus(field('status')),
+      priority: field('severity'),
+      component,
+      reporter: field('auditor'),
+      created: field('date'),
+      updated: field('date'),
+      comments: '0',
+      hasFork: 'No',
+      criteriaSource: 'audit',
+      source: mapping.source,
+      extractedAt,
+      // Kept for the thread sidecar, which step 2 reads instead of an issue page
+      thread: {
+        description: [description, page ? `Page: ${page}` : '', component ? `Component: ${component}` : '']
+          .filter(Boolean).join('\n'),
+        comments: [],
+        attachments: [],
+        mergeRequests: []
+      }
+    });
+  });
+
+  const found = Object.entries(columnIndex).filter(([, index]) => index !== -1).map(([name, index]) => `${name}=${headers[index]}`);
+  return { issues, skipped, columns: found };
+}
@@ -0,0 +1,52 @@
+// Cost summary written next to the output CSV of steps 2 and 3
+// results/wcag-issue-summaries_<timestamp>.csv -> results/wcag-issue-summaries_<timestamp>.cost.json
+// Each run that writes the CSV adds an entry, so a step 2 file completed over
+// several --resume runs shows what each run spent and the total for the file.
+import fs from 'fs';
+import path from 'path';
+import { describeProvider, formatCost, getCostCap, getUsage } from './llm-provider.js';
+import { getResponseCacheStats } from './response-cache.js';
+
+const round = cost => Math.round(cost * 1000000) / 1000000;
+
+export function getCostSummaryFile(csvFile) {
+  return csvFile.replace(/\.csv$/, '.cost.json');
+}
+
+export function writeCostSummary(csvFile, { stoppedByCostCap = false } = {}) {
+  const file = getCostSummaryFile(csvFile);
+  let runs = [];
+  try {
+    if (fs.existsSync(file)) {
+      runs = JSON.parse(fs.readFileSync(file, 'utf8')).runs || [];
+    }
+  } catch (error) {
+    console.log(`⚠️  Could not read ${path.basename(file)}, starting a new cost summary: ${error.message}`);
+  }
+
+  const usage = getUsage();
+  const cache = getResponseCacheStats();
+  runs.push({
+    finishedAt: new Date().toISOString(),
+    model: describeProvider(),
+    calls: usage.calls,
+    inputTokens: usage.inputTokens,
+    outputTokens: usage.outputTokens,
+    estimatedCalls: usage.estimatedCalls,
+    cost: round(usage.cost),
+    cacheHits: cache.hits,
+    savedCost: round(cache.savedCost),
+    maxCost: getCostCap() || null,
+    stoppedByCostCap
+  });
+
+  const total = ['calls', 'inputTokens', 'outputTokens', 'cost', 'cacheHits', 'savedCost'].reduce((sum, field) => {
+    sum[field] = runs.reduce((value, run) => value + (run[field] || 0), 0);
+    return sum;
+  }, {});
+  total.cost = round(total.cost);
+  total.savedCost = round(total.savedCost);
+
+  fs.writeFileSync(file, JSON.stringify({ file: path.basename(csvFile), total, runs }, null, 2), 'utf8');
+  console.log(`💰 Cost summary: ${file} (${formatCost(total.cost)} for this file${runs.length > 1 ? ` over ${runs.length} runs` : ''})`);
+}
@@ -0,0 +1,65 @@
+// Columns of the detailed issues CSV (results/wcag-detailed-issues_*.csv)
+// Step 1 and the manual audit import both write this shape, so steps 2-4
+// process Drupal.org issues and audit findings the same way.
+import { getStatusCategory } from './issue-status.js';
+
+// Source of rows extracted from Drupal.org; audit rows carry the audit's name
+export const DRUPAL_SOURCE = 'Drupal.org';
+
+export const DETAILED_CSV_HEADERS = [
+  'WCAG SC',
+  'Issue ID',
+  'Issue Title',
+  'Issue URL',
+  'Project',
+  'Status',
+  'Status Category',
+  'Status Lifecycle',
+  'Resolved Date',
+  'Priority',
+  'Component',
+  'Version',
+  'Reporter',
+  'Created',
+  'Updated',
+  'Comments',
+  'Has Fork',
+  'Merge Requests',
+  'Criteria Source',
+  'Source',
+  'Last Commenter',
+  'Extracted At'
+];
+
+// Values of one issue record, in header order
+export function issueToRow(issue) {
+  return [
+    issue.wcagCriteriaList.join(', '),
+    issue.issueId,
+    issue.title,
+    issue.url,
+    issue.project,
+    issue.status || '',
+    issue.status ? getStatusCategory(issue.status) : '',
+    issue.statusLifecycle || '',
+    issue.resolvedDate || '',
+    issue.priority || '',
+    issue.component || '',
+    issue.version || '',
+    issue.reporter || '',
+    issue.created || '',
+    issue.updated || '',
+    issue.comments || '0',
+    issue.hasFork || 'No',
+    issue.mergeRequestStatus || '',
+    issue.criteriaSource || 'tag',
+    issue.source || DRUPAL_SOURCE,
+    issue.lastCommenter || '',
+    issue.extractedAt
+  ];
+}
+
+// Source of a row read back from a detailed CSV; older CSVs have no Source column
+export function getRowSource(row) {
+  return row['Source'] || DRUPAL_SOURCE;
+}
@@ -0,0 +1,247 @@
+// Drupal.org REST API (api-d7) source adapter for WCAG issue extraction
+// Resolves tag, project and user references into the same issue record
+// that the HTML and RSS parsers produce, so the CSV shape stays identical.
+import { lookupIssue, storeIssue } from './issue-cache.js';
+import { ISSUE_STATUSES, isInScope, getStatusCategory } from './issue-status.js';
+import { saveThread } from './issue-threads.js';
+import { findMergeRequests } from './issue-page-parser.js';
+import { RequestBudgetError, getConcurrency } from './rate-limiter.js';
+import { mapWithConcurrency } from './worker-pool.js';
+
+export const DRUPAL_API_BASE = (process.env.DRUPAL_API_BASE || 'https://www.drupal.org/api-d7').replace(/\/$/, '');
+
+// Issue tags live in taxonomy vocabulary 9 on Drupal.org
+const ISSUE_TAGS_VOCABULARY = 9;
+
+const ISSUE_PRIORITIES = {
+  100: 'Minor',
+  200: 'Normal',
+  300: 'Major',
+  400: 'Critical'
+};
+
+// Reference caches shared across criteria - tags, projects and users repeat a lot
+const termCache = new Map();
+const projectCache = new Map();
+const userCache = new Map();
+
+async function fetchJSON(path, fetchFn) {
+  const url = `${DRUPAL_API_BASE}/${path}`;
+  const response = await fetchFn(url, {
+    headers: { 'Accept': 'application/json' }
+  }, 20000, 2);
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} for ${url}`);
+  }
+
+  return response.json();
+}
+
+// Resolve an issue tag name (e.g. 'wcag131') to its taxonomy term ID
+async function resolveTagId(tagName, fetchFn) {
+  if (termCache.has(tagName)) {
+    return termCache.get(tagName);
+  }
+
+  const data = await fetchJSON(`taxonomy_term.json?name=${encodeURIComponent(tagName)}&vocabulary=${ISSUE_TAGS_VOCABULARY}`, fetchFn);
+  const term = (data.list || []).find(t => t.name.toLowerCase() === tagName.toLowerCase());
+  const tid = term ? term.tid : null;
+
+  termCache.set(tagName, tid);
+  return tid;
+}
+
+// Resolve a project node reference to its machine name (e.g. 'drupal')
+async function resolveProject(projectRef, fetchFn) {
+  if (!projectRef || !projectRef.id) return 'unknown';
+  if (projectCache.has(projectRef.id)) {
+    return projectCache.get(projectRef.id);
+  }
+
+  let machineName = 'unknown';
+  try {
+    const node = await fetchJSON(`node/${projectRef.id}.json`, fetchFn);
+    machineName = node.field_project_machine_name || 'unknown';
+  } catch (error) {
+    if (error instanceof RequestBudgetError) throw error;
+    console.log(`   ⚠️  Could not resolve project ${projectRef.id}: ${error.message}`);
+  }
+
+  projectCache.set(projectRef.id, machineName);
+  return machineName;
+}
+
+// Resolve a user reference to a username
+async function resolveUser(userRef, fetchFn) {
+  if (!userRef || !userRef.id) return '';
+  if (userCache.has(userRef.id)) {
+    return userCache.get(userRef.id);
+  }
+
+  let name = '';
+  try {
+    const user = await fetchJSON(`user/${userRef.id}.json`, fetchFn);
+    name = user.name || '';
+  } catch (error) {
+    if (error instanceof RequestBudgetError) throw error;
+    console.log(`   ⚠️  Could not resolve user ${userRef.id}: ${error.message}`);
+  }
+
+  userCache.set(userRef.id, name);
+  return name;
+}
+
+function stripTags(html) {
+  return (html || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Fetch every comment of an issue into the same thread shape the issue page parser
+// produces. The API has no field change tables, so status changes are not available.
+async function resolveThread(commentRefs, fetchFn) {
+  const comments = [];
+  const attachments = [];
+  const refs = Array.isArray(commentRefs) ? commentRefs : [];
+
+  for (const [index, ref] of refs.entries()) {
+    try {
+      const comment = await fetchJSON(`comment/${ref.id}.json`, fetchFn);
+      const bodyHtml = (comment.comment_body && comment.comment_body.value) || '';
+      const body = stripTags(bodyHtml);
+      const links = [...bodyHtml.matchAll(/href="([^"]+)"/g)].map(match => match[1]);
+      const files = links
+        .filter(url => /\/files\/issues\/|\.(patch|diff)$/.test(url))
+        .map(url => ({
+          filename: decodeURIComponent(url.split('/').pop()),
+          url,
+          type: /\.(patch|diff)$/.test(url) ? 'patch' : 'file',
+          commentNumber: index + 1
+        }));
+      attachments.push(...files);
+
+      comments.push({
+        commentId: String(comment.cid || ref.id),
+        number: index + 1,
+        author: comment.name || await resolveUser(comment.author, fetchFn),
+        date: comment.created ? new Date(parseInt(comment.created, 10) * 1000).toISOString() : '',
+        body,
+        statusChange: null,
+        changes: [],
+        patches: files.filter(file => file.type === 'patch').map(file => file.filename),
+        files: files.map(file => file.filename),
+        mergeRequests: findMergeRequests(body, links)
+      });
+    } catch (error) {
+      if (error instanceof RequestBudgetError) throw error;
+      console.log(`   ⚠️  Could not resolve comment ${ref.id}: ${error.message}`);
+    }
+  }
+
+  return {
+    comments,
+    attachments,
+    mergeRequests: [...new Set(comments.flatMap(comment => comment.mergeRequests))]
+  };
+}
+
+// Format a unix timestamp string as YYYY-MM-DD to match the HTML parser output
+function formatTimestamp(timestamp) {
+  const seconds = parseInt(timestamp, 10);
+  if (isNaN(seconds)) return '';
+  return new Date(seconds * 1000).toISOString().split('T')[0];
+}
+
+// Convert an api-d7 project_issue node into the shared issue record.
+// Unchanged issues reuse the cached reporter, last commenter and thread.
+async function buildIssueRecord(node, wcagCriteria, fetchFn) {
+  const issueId = String(node.nid);
+  const listing = { updated: formatTimestamp(node.changed), comments: String(node.comment_count || 0) };
+  const cached = lookupIssue(issueId, listing);
+
+  const project = await resolveProject(node.field_project, fetchFn);
+  const status = ISSUE_STATUSES[node.field_issue_status] || '';
+  const updated = formatTimestamp(node.changed);
+  const reporter = cached ? cached.reporter : await resolveUser(node.author, fetchFn);
+  const thread = cached ? null : await resolveThread(node.comments, fetchFn);
+  const lastCommenter = cached ? cached.lastCommenter : (thread.comments.length > 0 ? thread.comments[thread.comments.length - 1].author : '');
+
+  const issue = {
+    wcagCriteria,
+    issueId,
+    title: (node.title || '').replace(/\s+/g, ' ').trim(),
+    url: `https://www.drupal.org/project/${project}/issues/${node.nid}`,
+    project,
+    status,
+    priority: ISSUE_PRIORITIES[node.field_issue_priority] || '',
+    component: node.field_issue_component || '',
+    version: node.field_issue_version || '',
+    reporter,
+    created: formatTimestamp(node.created),
+    updated,
+    comments: String(node.comment_count || 0),
+    // api-d7 exposes neither node revisions nor the status changes of comments, so
+    // the lifecycle cannot be rebuilt: it holds the current status with the last
+    // update date, which also stands in for the resolved date (see the README)
+    statusLifecycle: status ? `${status} (${updated})` : '',
+    resolvedDate: getStatusCategory(status) !== 'open' ? updated : '',
+    lastCommenter,
+    extractedAt: new Date().toISOString()
+  };
+
+  if (!cached) {
+    saveThread(issueId, 'api', { description: stripTags(node.body && node.body.value), ...thread });
+    storeIssue(issue, listing);
+  }
+
+  return issue;
+}
+
+// Fetch issues in the status scope ('open', 'closed' or 'all') carrying the given tag
+// from the api-d7 node listing, following its `next` links for up to maxPages pages
+export async function fetchIssuesFromAPI(wcagCriteria, fetchFn, maxPages = 20, statusScope = 'open') {
+  const tid = await resolveTagId(wcagCriteria, fetchFn);
+  if (!tid) {
+    console.log(`⚪ Tag ${wcagCriteria} not found in the Drupal.org issue tags vocabulary`);
+    return { issues: [], pages: 0, truncated: false };
+  }
+
+  const listPath = `node.json?type=project_issue&taxonomy_vocabulary_${ISSUE_TAGS_VOCABULARY}=${tid}&sort=changed&direction=DESC`;
+  const nodes = [];
+  let pages = 0;
+  let truncated = false;
+  let hasNext = true;
+
+  while (hasNext) {
+    if (pages >= maxPages) {
+      console.log(`⚠️  Reached the ${maxPages} page limit for ${wcagCriteria}, remaining pages skipped`);
+      truncated = true;
+      break;
+    }
+
+    const pagePath = pages === 0 ? listPath : `${listPath}&page=${pages}`;
+    console.log(`📄 Fetching: ${DRUPAL_API_BASE}/${pagePath}`);
+
+    let data;
+    try {
+      data = await fetchJSON(pagePath, fetchFn);
+    } catch (error) {
+      // The first page failing means nothing was extracted; later pages keep what we have
+      if (pages === 0 || error instanceof RequestBudgetError) throw error;
+      console.log(`❌ Page ${pages + 1} failed: ${error.message}`);
+      truncated = true;
+      break;
+    }
+
+    pages++;
+    const pageNodes = data.list || [];
+    const scopedNodes = pageNodes.filter(node => isInScope(node.field_issue_status, statusScope));
+    console.log(`📡 API page ${pages} returned ${pageNodes.length} issues, ${scopedNodes.length} ${statusScope === 'all' ? 'in total' : statusScope}`);
+
+    nodes.push(...scopedNodes);
+    hasNext = Boolean(data.next) && pageNodes.length > 0;
+  }
+
+  const issues = await mapWithConcurrency(nodes, getConcurrency('drupal'), node => buildIssueRecord(node, wcagCriteria, fetchFn));
+
+  return { issues, pages, truncated };
+}
@@ -0,0 +1,69 @@
+// Per-criterion checkpoints for the extraction run
+// Each finished criterion is written to its own JSON file so an interrupted or
+// partially blocked run can be resumed without redoing completed criteria.
+import fs from 'fs';
+import path from 'path';
+
+export const CHECKPOINT_DIR = path.join('results', 'checkpoints', 'extraction');
+const MANIFEST_FILE = path.join(CHECKPOINT_DIR, 'run.json');
+
+function checkpointFile(wcagCriteria) {
+  return path.join(CHECKPOINT_DIR, `${wcagCriteria}.json`);
+}
+
+// Start a fresh run: drop checkpoints left by the previous run and record the options used
+export function startCheckpointRun(options) {
+  fs.rmSync(CHECKPOINT_DIR, { recursive: true, force: true });
+  fs.mkdirSync(CHECKPOINT_DIR, { recursive: true });
+  fs.writeFileSync(MANIFEST_FILE, JSON.stringify({
+    startedAt: new Date().toISOString(),
+    ...options
+  }, null, 2), 'utf8');
+}
+
+// Read the manifest and every criterion checkpoint of the previous run
+export function loadCheckpoints() {
+  const checkpoints = new Map();
+  let manifest = null;
+
+  if (!fs.existsSync(CHECKPOINT_DIR)) {
+    return { manifest, checkpoints };
+  }
+
+  if (fs.existsSync(MANIFEST_FILE)) {
+    manifest = JSON.parse(fs.readFileSync(MANIFEST_FILE, 'utf8'));
+  }
+
+  fs.readdirSync(CHECKPOINT_DIR)
+    .filter(f => f.endsWith('.json') && f !== 'run.json')
+    .forEach(f => {
+      try {
+        const checkpoint = JSON.parse(fs.readFileSync(path.join(CHECKPOINT_DIR, f), 'utf8'));
+        checkpoints.set(checkpoint.wcagCriteria, checkpoint);
+      } catch (error) {
+        // A checkpoint cut off mid-write is treated as never finished
+        console.log(`⚠️  Ignoring unreadable checkpoint ${f}: ${error.message}`);
+      }
+    });
+
+  return { manifest, checkpoints };
+}
+
+// Write a criterion checkpoint; status is 'done', 'empty' or 'blocked'.
+// The temp file + rename keeps a Ctrl-C from leaving half a checkpoint behind.
+export function writeCheckpoint(wcagCriteria, status, issues = [], pagination = null, error = '') {
+  fs.mkdirSync(CHECKPOINT_DIR, { recursive: true });
+
+  const file = checkpointFile(wcagCriteria);
+  const tempFile = `${file}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify({
+    wcagCriteria,
+    status,
+    issueCount: issues.length,
+    issues,
+    pagination,
+    error,
+    finishedAt: new Date().toISOString()
+  }, null, 2), 'utf8');
+  fs.renameSync(tempFile, file);
+}
@@ -0,0 +1,86 @@
+// Section 508 functional performance criteria (chapter 302)
+// Step 2 tags each issue with the criteria its barrier affects, step 3 rolls the
+// tags up into results/wcag-functional-performance_<timestamp>.csv next to the
+// consolidated CSV, and step 4 writes the functional_performance_criteria chapter
+// from that rollup. A criterion no open issue affects gets its `noIssuesAssessment`
+// level; its note only says that no open issue affects it.
+import path from 'path';
+
+export const FUNCTIONAL_PERFORMANCE_CRITERIA = [
+  { num: '302.1', name: 'Without Vision', people: 'people without vision', noIssuesAssessment: 'SUPPORTED' },
+  { num: '302.2', name: 'With Limited Vision', people: 'people with limited vision', noIssuesAssessment: 'SUPPORTED' },
+  { num: '302.3', name: 'Without Perception of Color', people: 'people without perception of color', noIssuesAssessment: 'SUPPORTED' },
+  { num: '302.4', name: 'Without Hearing', people: 'people without hearing', noIssuesAssessment: 'NOT_APPLICABLE' },
+  { num: '302.5', name: 'With Limited Hearing', people: 'people with limited hearing', noIssuesAssessment: 'NOT_APPLICABLE' },
+  { num: '302.6', name: 'Without Speech', people: 'people without speech', noIssuesAssessment: 'NOT_APPLICABLE' },
+  { num: '302.7', name: 'With Limited Manipulation', people: 'people with limited manipulation', noIssuesAssessment: 'SUPPORTED' },
+  { num: '302.8', name: 'With Limited Reach and Strength', people: 'people with limited reach and strength', noIssuesAssessment: 'SUPPORTED' },
+  { num: '302.9', name: 'With Limited Language, Cognitive, and Learning Abilities', people: 'people with limited language, cognitive, and learning abilities', noIssuesAssessment: 'NOT_APPLICABLE' }
+];
+
+export const FUNCTIONAL_PERFORMANCE_NUMS = FUNCTIONAL_PERFORMANCE_CRITERIA.map(entry => entry.num);
+
+// The choices as listed in the step 2 prompt: "- 302.1 Without Vision (people without vision)"
+export function describeFunctionalPerformanceCriteria() {
+  return FUNCTIONAL_PERFORMANCE_CRITERIA.map(entry => `   - ${entry.num} ${entry.name} (${entry.people})`).join('\n');
+}
+
+// Criteria of a step 2 summary row. The Functional Performance column holds
+// "302.1, 302.7"; rows from before it are tagged from the "Affects people ..."
+// phrases of their ACR note.
+export function getSummaryFunctionalPerformance(summary) {
+  if (!summary || summary['Status'] === 'error') return [];
+
+  const tagged = (summary['Functional Performance'] || '').split(',').map(num => num.trim()).filter(num => FUNCTIONAL_PERFORMANCE_NUMS.includes(num));
+  if (tagged.length > 0 || summary['Functional Performance'] !== undefined) return tagged;
+
+  const note = (summary['ACR Note'] || '').toLowerCase();
+  return FUNCTIONAL_PERFORMANCE_CRITERIA.filter(entry => note.includes(`affects ${entry.people}`)).map(entry => entry.num);
+}
+
+// One row per criterion from the tagged issues ({ issueId, source, statusCategory,
+// criteria, functionalPerformance }) and the step 3 assessment of each WCAG
+// criterion. A criterion with current barriers is NOT_SUPPORTED when one of their
+// WCAG criteria is, and PARTIALLY_SUPPORTED otherwise.
+export function rollUpFunctionalPerformance(issues, assessments) {
+  return FUNCTIONAL_PERFORMANCE_CRITERIA.map(entry => {
+    const affected = issues.filter(issue => issue.functionalPerformance.includes(entry.num));
+    const open = affected.filter(issue => issue.statusCategory === 'open');
+    const resolved = affected.filter(issue => issue.statusCategory !== 'open');
+    const wcagCriteria = [...new Set(open.flatMap(issue => issue.criteria))].sort();
+
+    let assessment = entry.noIssuesAssessment;
+    if (open.length > 0) {
+      assessment = wcagCriteria.some(wcagSC => assessments.get(wcagSC) === 'NOT_SUPPORTED') ? 'NOT_SUPPORTED' : 'PARTIALLY_SUPPORTED';
+    }
+
+    const bySource = new Map();
+    open.forEach(issue => {
+      if (!bySource.has(issue.source)) bySource.set(issue.source, []);
+      bySource.get(issue.source).push(issue.issueId);
+    });
+
+    return {
+      num: entry.num,
+      name: entry.name,
+      assessment,
+      issueCount: open.length,
+      issueIds: open.map(issue => issue.issueId).join(', '),
+      resolvedCount: resolved.length,
+      resolvedIssueIds: resolved.map(issue => issue.issueId).join(', '),
+      sources: [...bySource.entries()].map(([source, ids]) => `${source}: ${ids.join(', ')}`).join('; '),
+      wcagCriteria: wcagCriteria.join(', ')
+    };
+  });
+}
+
+// Columns of the rollup CSV; step 4 only reads a file with exactly this header
+export const FUNCTIONAL_PERFORMANCE_HEADERS = ['FPC', 'Name', 'ACR Assessment', 'Issue Count', 'Issue IDs', 'Resolved Count', 'Resolved Issue IDs', 'Sources', 'WCAG SC'];
+
+// results/wcag-acr-consolidated_<timestamp>.csv -> results/wcag-functional-performance_<timestamp>.csv,
+// or null for a file not named like a step 3 output
+export function getFunctionalPerformanceFile(consolidatedFile) {
+  const name = path.basename(consolidatedFile);
+  if (!name.startsWith('wcag-acr-consolidated_')) return null;
+  return path.join(path.dirname(consolidatedFile), name.replace(/^wcag-acr-consolidated_/, 'wcag-functional-performance_'));
+}
@@ -0,0 +1,120 @@
+// Merge request status from the GitLab API behind Drupal.org issue forks
+// Issue forks open their merge requests against the project repository on
+// git.drupalcode.org, so an MR reference found in an issue thread ("!8123")
+// resolves to project/<machine name>/merge_requests/8123.
+export const GITLAB_API_BASE = (process.env.GITLAB_API_BASE || 'https://git.drupalcode.org/api/v4').replace(/\/$/, '');
+const GITLAB_WEB_BASE = 'https://git.drupalcode.org';
+
+// GitLab state -> the state reported in the CSV
+const MR_STATES = {
+  opened: 'open',
+  merged: 'merged',
+  closed: 'closed',
+  locked: 'closed'
+};
+
+// Issues tagged with several criteria are looked up once per run
+const mrCache = new Map();
+
+async function fetchJSON(path, fetchFn) {
+  const url = `${GITLAB_API_BASE}/${path}`;
+  const response = await fetchFn(url, {
+    headers: { 'Accept': 'application/json' }
+  }, 20000, 2);
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} for ${url}`);
+  }
+
+  return response.json();
+}
+
+// Whether an open MR can be merged as it stands
+function getMergeability(mr) {
+  if (mr.state !== 'opened') return '';
+  if (mr.draft || mr.work_in_progress) return 'draft';
+  if (mr.has_conflicts) return 'conflicts';
+
+  if (mr.detailed_merge_status) {
+    if (mr.detailed_merge_status === 'mergeable') return 'mergeable';
+    if (mr.detailed_merge_status === 'conflict') return 'conflicts';
+    return `not mergeable (${mr.detailed_merge_status})`;
+  }
+
+  if (mr.merge_status === 'can_be_merged') return 'mergeable';
+  if (mr.merge_status === 'cannot_be_merged') return 'conflicts';
+  return 'unchecked';
+}
+
+// Latest pipeline result; older GitLab responses have no head_pipeline
+async function getPipelineStatus(projectPath, mr, fetchFn) {
+  if (mr.head_pipeline) return mr.head_pipeline.status;
+
+  try {
+    const pipelines = await fetchJSON(`projects/${encodeURIComponent(projectPath)}/merge_requests/${mr.iid}/pipelines`, fetchFn);
+    return pipelines.length > 0 ? pipelines[0].status : 'none';
+  } catch (error) {
+    return 'unknown';
+  }
+}
+
+async function fetchMergeRequest(project, iid, fetchFn) {
+  const projectPath = `project/${project}`;
+  const cacheKey = `${projectPath}!${iid}`;
+  if (mrCache.has(cacheKey)) {
+    return mrCache.get(cacheKey);
+  }
+
+  let status;
+  try {
+    const mr = await fetchJSON(`projects/${encodeURIComponent(projectPath)}/merge_requests/${iid}`, fetchFn);
+    const lastActivity = mr.merged_at || mr.closed_at || mr.updated_at || '';
+
+    status = {
+      ref: `!${iid}`,
+      url: mr.web_url || `${GITLAB_WEB_BASE}/${projectPath}/-/merge_requests/${iid}`,
+      title: mr.title || '',
+      state: MR_STATES[mr.state] || mr.state || 'unknown',
+      mergeable: getMergeability(mr),
+      pipeline: await getPipelineStatus(projectPath, mr, fetchFn),
+      lastActivity: lastActivity ? lastActivity.split('T')[0] : ''
+    };
+  } catch (error) {
+    console.log(`   ⚠️  Could not fetch merge request ${projectPath}!${iid}: ${error.message}`);
+    status = {
+      ref: `!${iid}`,
+      url: `${GITLAB_WEB_BASE}/${projectPath}/-/merge_requests/${iid}`,
+      title: '',
+      state: 'unknown',
+      mergeable: '',
+      pipeline: '',
+      lastActivity: '',
+      error: error.message
+    };
+  }
+
+  mrCache.set(cacheKey, status);
+  return status;
+}
+
+// Look up every merge request referenced by an issue ('!8123', ...) in its project
+export async function fetchMergeRequestStatuses(project, refs, fetchFn) {
+  const statuses = [];
+  for (const ref of refs) {
+    const iid = parseInt(String(ref).replace('!', ''), 10);
+    if (isNaN(iid)) continue;
+    statuses.push(await fetchMergeRequest(project, iid, fetchFn));
+  }
+  return statuses;
+}
+
+// One CSV cell: "!8123 open, mergeable, pipeline success, 2025-04-20; !45 merged, 2025-03-02"
+export function formatMergeRequestStatus(statuses) {
+  return statuses.map(mr => {
+    const parts = [mr.state];
+    if (mr.mergeable) parts.push(mr.mergeable);
+    if (mr.pipeline) parts.push(`pipeline ${mr.pipeline}`);
+    if (mr.lastActivity) parts.push(mr.lastActivity);
+    return `${mr.ref} ${parts.join(', ')}`;
+  }).join('; ');
+}
@@ -0,0 +1,172 @@
+// Golden set for evaluating steps 2 and 3
+// fixtures/golden-set/golden-set.json holds Drupal.org-style issues with the
+// outcomes a reviewer expects: the impact phrases of the ACR note, the success
+// criterion the issue belongs to and the conformance level of each criterion.
+// evaluate-golden-set.js serves the issues as issue pages, runs steps 2 and 3 on
+// them and scores the results here.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DRUPAL_SOURCE } from './detailed-issues.js';
+import { getCriterion } from './wcag-catalog.js';
+
+export const GOLDEN_SET_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'golden-set', 'golden-set.json');
+
+// Issue pages are served on a fixed port, so recordings of an eval run replay later
+export const GOLDEN_PAGE_PORT = 8796;
+
+export const METRICS = ['impact', 'classification', 'conformance'];
+
+// Conformance levels in order; a level next to the expected one earns half a point
+const LEVEL_ORDER = ['NOT_SUPPORTED', 'PARTIALLY_SUPPORTED', 'SUPPORTED'];
+
+export function loadGoldenSet(file = GOLDEN_SET_FILE) {
+  const goldenSet = JSON.parse(fs.readFileSync(file, 'utf8'));
+  goldenSet.issues.forEach(issue => {
+    if (!issue.expected || !issue.expected.wcagSC || !Array.isArray(issue.expected.impactPhrases)) {
+      throw new Error(`${path.basename(file)}: issue ${issue.issueId} needs expected.impactPhrases and expected.wcagSC`);
+    }
+  });
+  return goldenSet;
+}
+
+export function getGoldenIssueUrl(issueId) {
+  return `http://localhost:${GOLDEN_PAGE_PORT}/project/drupal/issues/${issueId}`;
+}
+
+function escapeHTML(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Issue page with the markup step 2 reads from Drupal.org pages
+export function renderIssuePage(issue) {
+  const comments = issue.comments.map((comment, index) => `
+<div id="comment-${index + 1}" class="comment">
+  <span class="username">${escapeHTML(comment.author)}</span>
+  <div class="comment-body"><p>${escapeHTML(comment.body)}</p></div>
+</div>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head><title>${escapeHTML(issue.title)} | Drupal.org</title></head>
+<body>
+<h1 class="page-title">${escapeHTML(issue.title)}</h1>
+<div class="field field-name-body field-type-text-with-summary field-label-hidden"><div class="field-items"><div class="field-item even"><p>${escapeHTML(issue.description)}</p></div></div></div>
+<section class="comments">${comments}
+</section>
+</body>
+</html>
+`;
+}
+
+// Issue record for issueToRow (lib/detailed-issues.js), as step 1 would extract it
+export function toDetailedIssue(issue, extractedAt) {
+  return {
+    wcagCriteriaList: issue.wcagSC,
+    issueId: issue.issueId,
+    title: issue.title,
+    url: getGoldenIssueUrl(issue.issueId),
+    project: 'drupal',
+    status: issue.status,
+    resolvedDate: issue.resolvedDate || '',
+    priority: issue.priority,
+    component: issue.component,
+    reporter: issue.comments.length > 0 ? issue.comments[0].author : '',
+    comments: String(issue.comments.length),
+    source: DRUPAL_SOURCE,
+    lastCommenter: issue.comments.length > 0 ? issue.comments[issue.comments.length - 1].author : '',
+    extractedAt
+  };
+}
+
+// Criterion numbers ("1.4.3") named by a WCAG Assessment; WCAG_AGREE keeps the issue's own tags
+function getClassifiedCriteria(wcagAssessment, issueTags) {
+  const tokens = [...wcagAssessment.matchAll(/\bwcag\d{3,4}\b|\b\d\.\d{1,2}\.\d{1,2}\b/gi)].map(match => match[0]);
+  if (/^\s*WCAG_AGREE/i.test(wcagAssessment)) tokens.push(...issueTags);
+  return new Set(tokens.map(token => getCriterion(token)).filter(Boolean).map(entry => entry.num));
+}
+
+function scoreConformance(expected, actual) {
+  if (actual === expected) return 1;
+  const distance = Math.abs(LEVEL_ORDER.indexOf(actual) - LEVEL_ORDER.indexOf(expected));
+  return LEVEL_ORDER.includes(actual) && LEVEL_ORDER.includes(expected) && distance === 1 ? 0.5 : 0;
+}
+
+const average = values => values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+
+// Scores of one run: `summaries` are the rows of its wcag-issue-summaries CSV,
+// `consolidated` the rows of its wcag-acr-consolidated CSV. Every score is 0-1;
+// a missing or failed row scores 0.
+export function scoreRun(goldenSet, summaries, consolidated) {
+  const summaryById = new Map(summaries.map(row => [row['Issue ID'], row]));
+  const assessmentBySC = new Map(consolidated.map(row => [row['WCAG SC'], row]));
+
+  const issues = {};
+  goldenSet.issues.forEach(issue => {
+    const row = summaryById.get(issue.issueId);
+    const ok = Boolean(row) && row['Status'] !== 'error';
+    const acrNote = ok ? row['ACR Note'] : '';
+    const wcagAssessment = ok ? row['WCAG Assessment'] : '';
+    const found = issue.expected.impactPhrases.filter(phrase => acrNote.toLowerCase().includes(phrase.toLowerCase()));
+    const expectedSC = getCriterion(issue.expected.wcagSC);
+
+    issues[issue.issueId] = {
+      status: row ? row['Status'] || 'ok' : 'missing',
+      impact: issue.expected.impactPhrases.length > 0 ? found.length / issue.expected.impactPhrases.length : 1,
+      classification: ok && expectedSC && getClassifiedCriteria(wcagAssessment, issue.wcagSC).has(expectedSC.num) ? 1 : 0,
+      acrNote,
+      wcagAssessment
+    };
+  });
+
+  const criteria = {};
+  Object.entries(goldenSet.criteria).forEach(([wcagSC, expected]) => {
+    const row = assessmentBySC.get(wcagSC);
+    const actual = row ? row['ACR Assessment'] : 'MISSING';
+    criteria[wcagSC] = { expected, actual, conformance: scoreConformance(expected, actual) };
+  });
+
+  const scores = {
+    impact: average(Object.values(issues).map(result => result.impact)),
+    classification: average(Object.values(issues).map(result => result.classification)),
+    conformance: average(Object.values(criteria).map(result => result.conformance))
+  };
+  scores.overall = average(METRICS.map(metric => scores[metric]));
+
+  return {
+    scores,
+    errors: Object.values(issues).filter(result => result.status !== 'ok').length,
+    issues,
+    criteria
+  };
+}
+
+// Differences between two scored runs: each metric's change, and every issue or
+// criterion whose score moved
+export function compareRuns(baseline, candidate) {
+  const metrics = [...METRICS, 'overall'].map(metric => ({
+    metric,
+    before: baseline.scores[metric],
+    after: candidate.scores[metric],
+    delta: candidate.scores[metric] - baseline.scores[metric]
+  }));
+
+  const changes = [];
+  Object.entries(candidate.issues).forEach(([issueId, after]) => {
+    const before = baseline.issues[issueId];
+    if (!before) return;
+    ['impact', 'classification'].forEach(metric => {
+      if (before[metric] !== after[metric]) {
+        changes.push({ item: issueId, metric, before: before[metric], after: after[metric] });
+      }
+    });
+  });
+  Object.entries(candidate.criteria).forEach(([wcagSC, after]) => {
+    const before = baseline.criteria[wcagSC];
+    if (before && before.conformance !== after.conformance) {
+      changes.push({ item: wcagSC, metric: 'conformance', before: before.conformance, after: after.conformance, detail: `${before.actual} → ${after.actual} (expected ${after.expected})` });
+    }
+  });
+
+  return { metrics, changes };
+}
@@ -0,0 +1,209 @@
+// Shared HTTP layer with record and replay modes
+// --record <dir> saves every response (Drupal.org pages, API calls, LLM responses)
+// to disk as it is fetched; --replay <dir> serves the same requests from those files
+// without touching the network, so a whole workflow run can be reproduced offline.
+import fs from 'fs';
+import path from 'path';
+import https from 'https';
+import http from 'http';
+import crypto from 'crypto';
+import { acquireSlot, noteResponse } from './rate-limiter.js';
+
+// Query parameters holding credentials - never written to disk or used in the request key
+const SECRET_PARAMS = ['key', 'api_key', 'apikey', 'access_token', 'token'];
+
+// Response headers worth keeping (cookies are deliberately left out)
+const RECORDED_HEADERS = ['content-type', 'retry-after', 'location', 'last-modified'];
+
+let mode = 'live'; // 'live', 'record' or 'replay'
+let recordingDir = '';
+const stats = { recorded: 0, replayed: 0, missing: 0 };
+
+// Read --record/--replay from a script's arguments and return the remaining arguments
+export function configureHttpRecording(args) {
+  const remaining = [];
+  let recordDir = '';
+  let replayDir = '';
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--record') {
+      recordDir = args[++i] || '';
+    } else if (args[i] === '--replay') {
+      replayDir = args[++i] || '';
+    } else {
+      remaining.push(args[i]);
+    }
+  }
+
+  if (recordDir && replayDir) {
+    console.log('❌ Error: --record and --replay cannot be used together');
+    process.exit(1);
+  }
+
+  if (replayDir) {
+    if (!fs.existsSync(replayDir)) {
+      console.log(`❌ Error: replay directory not found: ${replayDir}`);
+      process.exit(1);
+    }
+    mode = 'replay';
+    recordingDir = replayDir;
+    console.log(`📼 Replaying HTTP responses from ${replayDir} (no network access)`);
+  } else if (recordDir) {
+    fs.mkdirSync(recordDir, { recursive: true });
+    mode = 'record';
+    recordingDir = recordDir;
+    console.log(`🔴 Recording HTTP responses to ${recordDir}`);
+  }
+
+  return remaining;
+}
+
+export function isReplaying() {
+  return mode === 'replay';
+}
+
+export function isRecording() {
+  return mode === 'record';
+}
+
+export function printHttpRecordingSummary() {
+  if (mode === 'record') {
+    console.log(`🔴 Recorded ${stats.recorded} HTTP responses to ${recordingDir}`);
+  } else if (mode === 'replay') {
+    console.log(`📼 Replayed ${stats.replayed} HTTP responses from ${recordingDir}${stats.missing > 0 ? `, ${stats.missing} requests had no recording` : ''}`);
+  }
+}
+
+function redactUrl(url) {
+  const urlObj = new URL(url);
+  SECRET_PARAMS.forEach(param => {
+    if (urlObj.searchParams.has(param)) urlObj.searchParams.set(param, 'REDACTED');
+  });
+  return urlObj.toString();
+}
+
+// One file per distinct request: <dir>/<host>/<hash of method, URL and body>.json
+function recordingFile(method, url, body) {
+  const safeUrl = redactUrl(url);
+  const hash = crypto.createHash('sha256')
+    .update(`${method} ${safeUrl}\n${body || ''}`)
+    .digest('hex')
+    .substring(0, 20);
+  return path.join(recordingDir, new URL(url).hostname, `${hash}.json`);
+}
+
+// Response object with the subset of the fetch API the scripts use
+function toResponse(record) {
+  return {
+    ok: record.status >= 200 && record.status < 300,
+    status: record.status,
+    statusText: record.statusText,
+    text: () => Promise.resolve(record.body),
+    json: () => Promise.resolve(JSON.parse(record.body)),
+    headers: {
+      get: (header) => record.headers[header.toLowerCase()] ?? null
+    }
+  };
+}
+
+// Live request paced by the shared rate limiter
+async function limitedRequest(url, performRequest) {
+  const release = await acquireSlot(url);
+  try {
+    const response = await performRequest();
+    noteResponse(url, response);
+    return response;
+  } finally {
+    release();
+  }
+}
+
+// Run performRequest() according to the current mode. performRequest must resolve to a
+// fetch-style response; in record and replay mode the body has already been read, so
+// callers always get a fresh response object they can consume once.
+export async function recordedRequest(url, options, performRequest) {
+  if (mode === 'live') {
+    return limitedRequest(url, performRequest);
+  }
+
+  const method = (options.method || 'GET').toUpperCase();
+  const file = recordingFile(method, url, options.body);
+
+  if (mode === 'replay') {
+    if (!fs.existsSync(file)) {
+      stats.missing++;
+      throw new Error(`No recorded response for ${method} ${redactUrl(url)} in ${recordingDir}`);
+    }
+    stats.replayed++;
+    return toResponse(JSON.parse(fs.readFileSync(file, 'utf8')));
+  }
+
+  const response = await limitedRequest(url, performRequest);
+  const headers = {};
+  RECORDED_HEADERS.forEach(header => {
+    const value = response.headers.get(header);
+    if (value !== null && value !== undefined) headers[header] = value;
+  });
+
+  const record = {
+    method,
+    url: redactUrl(url),
+    requestBody: options.body || '',
+    status: response.status,
+    statusText: response.statusText || '',
+    headers,
+    body: await response.text(),
+    recordedAt: new Date().toISOString()
+  };
+
+  // Later responses to the same request (e.g. a retry after a 429) replace earlier ones
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(record, null, 2), 'utf8');
+  stats.recorded++;
+
+  // Session cookies are passed through to the caller but never written to disk
+  const setCookie = response.headers.get('set-cookie');
+  return toResponse(setCookie ? { ...record, headers: { ...headers, 'set-cookie': setCookie } } : record);
+}
+
+// Node http(s) request returning a fetch-style response
+function makeRequest(url, options, postData) {
+  const client = new URL(url).protocol === 'http:' ? http : https;
+  return new Promise((resolve, reject) => {
+    const req = client.request(url, options, (res) => {
+      let data = '';
+      res.on('data', (chunk) => data += chunk);
+      res.on('end', () => {
+        resolve({
+          ok: res.statusCode >= 200 && res.statusCode < 300,
+          status: res.statusCode,
+          statusText: res.statusMessage,
+          text: () => Promise.resolve(data),
+          json: () => Promise.resolve(JSON.parse(data)),
+          headers: {
+            get: (header) => res.headers[header.toLowerCase()]
+          }
+        });
+      });
+    });
+
+    req.on('error', reject);
+    if (postData) req.write(postData);
+    req.end();
+  });
+}
+
+// Single request (no retries) used by steps 2 and 3; retry policy stays with the caller
+export function httpsRequest(url, options = {}) {
+  return recordedRequest(url, options, () => {
+    const method = options.method || 'GET';
+    const headers = { ...options.headers };
+
+    if (options.body) {
+      headers['Content-Type'] = headers['Content-Type'] || 'application/json';
+      headers['Content-Length'] = Buffer.byteLength(options.body);
+    }
+
+    return makeRequest(url, { method, headers }, options.body);
+  });
+}
@@ -0,0 +1,127 @@
+// Persistent issue cache for incremental extraction
+// Keyed by issue ID, it stores the last-seen Updated date and the parsed issue
+// page metadata so later runs only refetch issues that are new or have changed.
+import fs from 'fs';
+import path from 'path';
+import { hasThread } from './issue-threads.js';
+
+export const ISSUE_CACHE_FILE = path.join('results', 'cache', 'issue-cache.json');
+
+// Fields parsed from the issue page - listing fields (title, URL, project) always come fresh
+const METADATA_FIELDS = [
+  'status',
+  'priority',
+  'component',
+  'version',
+  'reporter',
+  'created',
+  'updated',
+  'comments',
+  'hasFork',
+  'lastCommenter',
+  'statusLifecycle',
+  'resolvedDate'
+];
+
+let entries = {};
+const stats = { hits: 0, misses: 0, newIssues: 0, changedIssues: 0, stored: 0 };
+
+// Load the cache from disk; a full refresh starts from an empty cache
+export function loadIssueCache({ full = false } = {}) {
+  entries = {};
+
+  if (full) {
+    console.log('🧹 Full refresh requested - ignoring the issue cache');
+    return 0;
+  }
+
+  try {
+    if (fs.existsSync(ISSUE_CACHE_FILE)) {
+      const data = JSON.parse(fs.readFileSync(ISSUE_CACHE_FILE, 'utf8'));
+      entries = data.issues || {};
+    }
+  } catch (error) {
+    console.log(`⚠️  Could not read issue cache, starting fresh: ${error.message}`);
+    entries = {};
+  }
+
+  const count = Object.keys(entries).length;
+  console.log(`🗄️  Issue cache: ${count} issues loaded from ${ISSUE_CACHE_FILE}`);
+  return count;
+}
+
+export function saveIssueCache() {
+  fs.mkdirSync(path.dirname(ISSUE_CACHE_FILE), { recursive: true });
+  fs.writeFileSync(ISSUE_CACHE_FILE, JSON.stringify({
+    savedAt: new Date().toISOString(),
+    issues: entries
+  }, null, 2), 'utf8');
+}
+
+// Decide whether a cached entry is still current given the change signals seen in
+// the search listing ({ updated: 'YYYY-MM-DD', comments: '12' }). Every change on
+// Drupal.org adds a comment, so the comment count is the primary signal.
+function isUnchanged(entry, listing) {
+  if (!listing || (listing.updated === undefined && listing.comments === undefined)) {
+    return false; // No signal - refetch rather than risk serving stale metadata
+  }
+
+  if (listing.comments !== undefined && entry.listingComments !== undefined &&
+      String(listing.comments) !== String(entry.listingComments)) {
+    return false;
+  }
+
+  if (listing.updated && entry.updated && listing.updated > entry.updated) {
+    return false;
+  }
+
+  return true;
+}
+
+// Return cached metadata for an issue, or null when it is new or has changed.
+// Issues cached before threads were saved count as changed so they are refetched
+// to pick up their thread.
+export function lookupIssue(issueId, listing) {
+  const entry = entries[issueId];
+
+  if (!entry) {
+    stats.misses++;
+    stats.newIssues++;
+    return null;
+  }
+
+  if (!isUnchanged(entry, listing) || !hasThread(issueId)) {
+    stats.misses++;
+    stats.changedIssues++;
+    return null;
+  }
+
+  stats.hits++;
+  return { ...entry.metadata };
+}
+
+// Store freshly parsed metadata; failed fetches (no status or date) are not cached
+export function storeIssue(issue, listing) {
+  if (!issue.status && !issue.updated) return;
+
+  const metadata = {};
+  METADATA_FIELDS.forEach(field => {
+    if (issue[field] !== undefined) metadata[field] = issue[field];
+  });
+
+  entries[issue.issueId] = {
+    updated: issue.updated || '',
+    listingComments: listing && listing.comments !== undefined ? String(listing.comments) : undefined,
+    metadata,
+    cachedAt: new Date().toISOString()
+  };
+  stats.stored++;
+}
+
+export function getIssueCacheStats() {
+  const lookups = stats.hits + stats.misses;
+  return {
+    ...stats,
+    hitRate: lookups > 0 ? Math.round((stats.hits / lookups) * 100) : 0
+  };
+}
@@ -0,0 +1,220 @@
+// Discovery of accessibility issues that carry no wcagNNN tag
+// Issues tagged only "Accessibility"/"a11y", or found by a title search, get
+// success criteria suggested by keyword rules and the LLM. Suggestions are written
+// to a review CSV; only rows a person marks as accepted join the extracted issues.
+import fs from 'fs';
+import path from 'path';
+import { generateText } from './llm-provider.js';
+import { loadThread } from './issue-threads.js';
+import { escapeCSV, parseCSVRecords } from './spreadsheet-csv.js';
+import { getCriterion } from './wcag-catalog.js';
+
+export const DISCOVERY_DIR = path.join('results', 'discovery');
+
+// Tag searches, plus title searches ('text:...') for issues with no tags at all.
+// Title searches need the search page, so the api source only runs the tag queries.
+export const DISCOVERY_QUERIES = ['Accessibility', 'a11y', 'text:accessibility', 'text:screen reader'];
+
+// Keyword rules: any match in the title, summary or first comments suggests the criteria
+const KEYWORD_RULES = [
+  { pattern: /\balt (text|attribute)|alternative text|text alternative|decorative image/i, criteria: ['wcag111'] },
+  { pattern: /\bcaptions?\b|subtitles?/i, criteria: ['wcag122'] },
+  { pattern: /audio description/i, criteria: ['wcag125'] },
+  { pattern: /\bheading|\blandmark|\bfieldset|\blegend\b|\btable header|\bsemantic/i, criteria: ['wcag131'] },
+  { pattern: /reading order|dom order|visual order/i, criteria: ['wcag132', 'wcag243'] },
+  { pattern: /autocomplete|input purpose/i, criteria: ['wcag135'] },
+  { pattern: /\bcolou?r alone|only (by|with) colou?r/i, criteria: ['wcag141'] },
+  { pattern: /contrast/i, criteria: ['wcag143', 'wcag1411'] },
+  { pattern: /\bzoom|resize text|200%|text spacing/i, criteria: ['wcag144', 'wcag1412'] },
+  { pattern: /reflow|320 ?px|horizontal scroll/i, criteria: ['wcag1410'] },
+  { pattern: /\bhover\b|tooltip/i, criteria: ['wcag1413'] },
+  { pattern: /keyboard|\btab key|tabbing|tabindex/i, criteria: ['wcag211'] },
+  { pattern: /keyboard trap|focus trap|trapped/i, criteria: ['wcag212'] },
+  { pattern: /time ?out|time limit|session expir/i, criteria: ['wcag221'] },
+  { pattern: /autoplay|carousel|auto-?rotat|animation|marquee/i, criteria: ['wcag222'] },
+  { pattern: /skip link|skip to (main )?content|bypass block/i, criteria: ['wcag241'] },
+  { pattern: /page title|<title>/i, criteria: ['wcag242'] },
+  { pattern: /focus order/i, criteria: ['wcag243'] },
+  { pattern: /link text|link purpose|read more|click here/i, criteria: ['wcag244'] },
+  { pattern: /focus (indicator|outline|ring|visible|style)|outline: ?none|visible focus/i, criteria: ['wcag247'] },
+  { pattern: /focus (is )?(hidden|obscured)|sticky (header|toolbar)/i, criteria: ['wcag2411'] },
+  { pattern: /drag(ging)?(-| and )drop|tabledrag/i, criteria: ['wcag257'] },
+  { pattern: /target size|touch target|click target/i, criteria: ['wcag258'] },
+  { pattern: /\blang attribute|language of (the )?page|hreflang/i, criteria: ['wcag311', 'wcag312'] },
+  { pattern: /unexpected (context )?change|on focus|on input/i, criteria: ['wcag322', 'wcag321'] },
+  { pattern: /error message|validation error|inline error|form error/i, criteria: ['wcag331', 'wcag333'] },
+  { pattern: /\blabels?\b|placeholder|instructions/i, criteria: ['wcag332'] },
+  { pattern: /\baria-|screen ?reader|nvda|jaws|voiceover|\brole=|accessible name|name, role/i, criteria: ['wcag412'] },
+  { pattern: /status message|live region|aria-live|announce/i, criteria: ['wcag413'] }
+];
+
+// Title, summary and the first few comments - enough context for a classification
+function getIssueText(issue) {
+  const thread = loadThread(issue.issueId);
+  const parts = [issue.title];
+  if (thread) {
+    if (thread.description) parts.push(thread.description);
+    thread.comments.slice(0, 5).forEach(comment => parts.push(comment.body));
+  }
+  return parts.join('\n').substring(0, 6000);
+}
+
+// "wcag143, 1.4.11" -> ['wcag143', 'wcag1411']; anything not in the catalog is dropped
+function toCatalogCodes(list) {
+  return list.split(',')
+    .map(value => getCriterion(value.trim()))
+    .filter(Boolean)
+    .map(criterion => criterion.code)
+    .filter((code, index, codes) => codes.indexOf(code) === index);
+}
+
+export function suggestByKeywords(text) {
+  const suggestions = [];
+  KEYWORD_RULES.forEach(rule => {
+    if (!rule.pattern.test(text)) return;
+    rule.criteria.forEach(code => {
+      if (!suggestions.includes(code)) suggestions.push(code);
+    });
+  });
+  return suggestions;
+}
+
+// Ask the LLM for up to three criteria from the catalog; returns { criteria, reason }
+async function suggestWithLLM(issue, text, wcagCriteria) {
+  const catalog = wcagCriteria.map(c => `${c.code}: ${c.name} (${c.level})`).join('\n');
+  const prompt = `You are an accessibility expert classifying a Drupal.org issue that has no WCAG tag.
+
+ISSUE:
+- Title: ${issue.title}
+- Project: ${issue.project}
+- Content: ${text}
+
+WCAG SUCCESS CRITERIA (tag: name):
+${catalog}
+
+Pick at most three criteria from the list that the barrier described in the issue fails. If the issue is not an accessibility barrier, answer NONE.
+
+Format your response as:
+CRITERIA: [comma-separated tags, e.g. wcag143, wcag1411, or NONE]
+REASON: [one sentence]`;
+
+  const answer = await generateText(prompt, { maxOutputTokens: 200, temperature: 0.1 });
+  const criteriaMatch = answer.match(/CRITERIA:\s*(.+)/);
+  const reasonMatch = answer.match(/REASON:\s*(.+)/);
+
+  // Only keep criteria that exist in the catalog, as tags even when answered as numbers
+  const criteria = criteriaMatch ? toCatalogCodes(criteriaMatch[1]) : [];
+
+  return { criteria: criteria.slice(0, 3), reason: reasonMatch ? reasonMatch[1].trim() : '' };
+}
+
+// Keyword and LLM suggestions for each candidate issue
+export async function classifyCandidates(candidates, wcagCriteria, { useLLM }) {
+  const classified = [];
+
+  for (const [index, issue] of candidates.entries()) {
+    console.log(`   🏷️  [${index + 1}/${candidates.length}] ${issue.issueId}: ${issue.title.substring(0, 60)}`);
+    const text = getIssueText(issue);
+    const keywordSuggestions = suggestByKeywords(text);
+
+    let llm = { criteria: [], reason: '' };
+    if (useLLM) {
+      try {
+        llm = await suggestWithLLM(issue, text, wcagCriteria);
+      } catch (error) {
+        console.log(`   ⚠️  LLM classification failed for ${issue.issueId}: ${error.message}`);
+        llm.reason = `LLM error: ${error.message}`;
+      }
+    }
+
+    // Criteria both sources agree on come first
+    const suggested = [
+      ...llm.criteria.filter(code => keywordSuggestions.includes(code)),
+      ...llm.criteria.filter(code => !keywordSuggestions.includes(code)),
+      ...keywordSuggestions.filter(code => !llm.criteria.includes(code))
+    ];
+
+    classified.push({ ...issue, keywordSuggestions, llmSuggestions: llm.criteria, llmReason: llm.reason, suggested });
+  }
+
+  return classified;
+}
+
+// Review files from earlier discovery runs, oldest first
+function listReviewFiles() {
+  if (!fs.existsSync(DISCOVERY_DIR)) return [];
+  return fs.readdirSync(DISCOVERY_DIR)
+    .filter(f => f.startsWith('wcag-discovery-review_') && f.endsWith('.csv'))
+    .sort()
+    .map(f => path.join(DISCOVERY_DIR, f));
+}
+
+// Review rows keyed by issue ID; a later review file overrides an earlier one
+function loadReviews() {
+  const reviews = new Map();
+  listReviewFiles().forEach(file => {
+    const records = JSON.parse(fs.readFileSync(file.replace(/\.csv$/, '.json'), 'utf8')).issues;
+    parseCSVRecords(fs.readFileSync(file, 'utf8')).forEach(row => {
+      reviews.set(row['Issue ID'], { row, record: records[row['Issue ID']] });
+    });
+  });
+  return reviews;
+}
+
+// Issue IDs already written to a review file, accepted or not
+export function getReviewedIssueIds() {
+  return new Set(loadReviews().keys());
+}
+
+// Issues a reviewer accepted ("Accept" = yes), with the accepted criteria list
+export function loadAcceptedIssues() {
+  const accepted = [];
+  loadReviews().forEach(({ row, record }) => {
+    if (!/^(y|yes|true|1|x)$/i.test((row['Accept'] || '').trim()) || !record) return;
+
+    const criteria = toCatalogCodes(row['Accepted WCAG SC'] || row['Suggested WCAG SC'] || '');
+    if (criteria.length === 0) return;
+
+    accepted.push({ ...record, wcagCriteria: criteria[0], wcagCriteriaList: criteria, criteriaSource: 'review' });
+  });
+  return accepted;
+}
+
+// Write the review CSV (for people) and the full issue records (for the merge)
+export function writeReviewFile(classified) {
+  fs.mkdirSync(DISCOVERY_DIR, { recursive: true });
+  const timestamp = new Date().toISOString().slice(0, 16).replace(/:/g, '-').replace('T', '_');
+  const csvFile = path.join(DISCOVERY_DIR, `wcag-discovery-review_${timestamp}.csv`);
+
+  const headers = ['Issue ID', 'Issue Title', 'Issue URL', 'Project', 'Status', 'Found By', 'Keyword Suggestions', 'LLM Suggestions', 'LLM Reason', 'Suggested WCAG SC', 'Accept', 'Accepted WCAG SC', 'Reviewer Notes'];
+  let csvContent = headers.join(',') + '\n';
+  const records = {};
+
+  classified.forEach(issue => {
+    const { keywordSuggestions, llmSuggestions, llmReason, suggested, foundBy, ...record } = issue;
+    records[issue.issueId] = record;
+    csvContent += [
+      issue.issueId,
+      issue.title,
+      issue.url,
+      issue.project,
+      issue.status || '',
+      foundBy,
+      keywordSuggestions.join(', '),
+      llmSuggestions.join(', '),
+      llmReason,
+      suggested.join(', '),
+      '',
+      '',
+      ''
+    ].map(escapeCSV).join(',') + '\n';
+  });
+
+  fs.writeFileSync(csvFile, csvContent, 'utf8');
+  fs.writeFileSync(csvFile.replace(/\.csv$/, '.json'), JSON.stringify({
+    generatedAt: new Date().toISOString(),
+    issues: records
+  }, null, 2), 'utf8');
+
+  return csvFile;
+}
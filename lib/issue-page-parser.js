@@ -0,0 +1,295 @@
+// DOM-based parser for Drupal.org issue pages
+// Fields are located by their label ("Priority:", "Reporter:"...) with the
+// field-name class as a fallback, and every field that cannot be found is
+// reported so a markup change surfaces as a parse-health error rather than
+// as blank CSV columns.
+import * as cheerio from 'cheerio';
+import { getStatusCategory } from './issue-status.js';
+
+// Fields every issue page is expected to have: label text and, for the issue
+// fields, the field-name class used when the label has been reworded
+const REQUIRED_FIELDS = {
+  status: { label: 'Status', className: 'field-name-field-issue-status' },
+  priority: { label: 'Priority', className: 'field-name-field-issue-priority' },
+  component: { label: 'Component', className: 'field-name-field-issue-component' },
+  version: { label: 'Version', className: 'field-name-field-issue-version' },
+  reporter: { label: 'Reporter' },
+  created: { label: 'Created' },
+  updated: { label: 'Updated' }
+};
+
+// Share of parsed pages a field may be missing from before the run is flagged
+const FAILURE_THRESHOLD = 0.5;
+const MIN_PAGES_FOR_HEALTH_CHECK = 3;
+
+const health = {
+  pages: 0,
+  complete: 0,
+  fieldFailures: {} // field -> issue IDs it could not be found in
+};
+
+function normalizeText(text) {
+  return text.replace(/\u00a0/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Value element of a labelled field, or null
+function findField($, { label, className }) {
+  const labelled = $('.field-label').filter((i, el) =>
+    normalizeText($(el).text()).replace(/:$/, '') === label).first();
+
+  let field = labelled.parent();
+  if (labelled.length === 0) {
+    if (!className) return null;
+    field = $(`.${className}`).first();
+  }
+  if (field.length === 0) return null;
+
+  const item = field.find('.field-item').first();
+  return item.length > 0 ? item : null;
+}
+
+// "12 Oct 2019 at 03:45 UTC" -> "2019-10-12"
+function parseIssueDate(text) {
+  const parsedDate = new Date(text.replace(' at ', ' ').replace(' UTC', ''));
+  return isNaN(parsedDate) ? '' : parsedDate.toISOString().split('T')[0];
+}
+
+// Comment elements (id="comment-14202808"), skipping wrappers like "comment-form"
+function commentElements($) {
+  return $('div[id^="comment-"]').filter((i, el) => /^comment-\d+$/.test($(el).attr('id')));
+}
+
+function countComments($) {
+  const commentDivs = commentElements($);
+  if (commentDivs.length > 0) {
+    return commentDivs.length.toString();
+  }
+
+  // Fallback: highest comment permalink number ("Comment #12")
+  const numbers = $('a[href*="#comment-"]')
+    .map((i, el) => {
+      const match = normalizeText($(el).text()).match(/^Comment\s*#(\d+)$/);
+      return match ? parseInt(match[1], 10) : 0;
+    })
+    .get()
+    .filter(num => num > 0);
+
+  return numbers.length > 0 ? Math.max(...numbers).toString() : '0';
+}
+
+function findLastCommenter($) {
+  const mostRecent = $('a.most-recent').first();
+  const commentId = (mostRecent.attr('href') || '').match(/#comment-(\d+)/);
+
+  const comment = commentId ? $(`#comment-${commentId[1]}`) : commentElements($).last();
+  if (comment.length === 0) return '';
+
+  const username = comment.find('.username').first();
+  if (username.length > 0) return normalizeText(username.text());
+
+  const profileLink = comment.find('a[href^="/u/"]').first().attr('href');
+  return profileLink ? profileLink.replace('/u/', '') : '';
+}
+
+// An existing issue fork or merge request, not just the "Create issue fork" button:
+// a link to the fork repository (git.drupalcode.org/issue/<project>-<nid>) or to an MR
+function detectFork($, mergeRequests) {
+  if (mergeRequests.length > 0) return 'Yes';
+  return $('a[href*="git.drupalcode.org/issue/"]').length > 0 ? 'Yes' : 'No';
+}
+
+// Rebuild the status history from the "Status: Old » New" change tables that
+// Drupal.org renders in comments, e.g. "Active (2019-10-12) → Fixed (2024-05-02)"
+function parseStatusLifecycle($, created, currentStatus) {
+  const transitions = [];
+
+  commentElements($).each((i, el) => {
+    const comment = $(el);
+    const label = comment.find('.nodechanges-label').filter((j, cell) =>
+      normalizeText($(cell).text()) === 'Status:').first();
+    if (label.length === 0) return;
+
+    const row = label.parent();
+    const dateAttr = comment.find('[datetime]').first().attr('datetime') || '';
+    transitions.push({
+      from: normalizeText(row.find('.nodechanges-old').text()),
+      to: normalizeText(row.find('.nodechanges-new').text()).replace(/^»\s*/, ''),
+      date: dateAttr.substring(0, 10)
+    });
+  });
+
+  const initialStatus = transitions.length > 0 ? transitions[0].from : currentStatus;
+  const steps = [`${initialStatus || 'Unknown'}${created ? ` (${created})` : ''}`];
+  transitions.forEach(t => steps.push(`${t.to}${t.date ? ` (${t.date})` : ''}`));
+
+  // Resolved date: when the issue last moved from open into fixed/closed
+  let resolvedDate = '';
+  if (getStatusCategory(currentStatus) !== 'open') {
+    const lastResolution = [...transitions].reverse().find(t =>
+      getStatusCategory(t.to) !== 'open' && getStatusCategory(t.from) === 'open');
+    resolvedDate = lastResolution ? lastResolution.date : '';
+  }
+
+  return { statusLifecycle: steps.join(' → '), resolvedDate };
+}
+
+// Files linked from part of the page, as { filename, url, type: 'patch' | 'file' }
+function findFiles($, scope) {
+  const files = [];
+  scope.find('a[href]').each((i, el) => {
+    const url = $(el).attr('href');
+    if (!/\/files\/issues\/|\.(patch|diff)$/.test(url)) return;
+    files.push({
+      filename: decodeURIComponent(url.split('/').pop()),
+      url: url.startsWith('/') ? `https://www.drupal.org${url}` : url,
+      type: /\.(patch|diff)$/.test(url) ? 'patch' : 'file'
+    });
+  });
+  return files;
+}
+
+// Merge request references: GitLab MR links and "!123" mentions
+export function findMergeRequests(text, links = []) {
+  const refs = new Set();
+  links.forEach(url => {
+    const match = url.match(/\/merge_requests\/(\d+)/);
+    if (match) refs.add(`!${match[1]}`);
+  });
+  (text.match(/(?:^|\s)!(\d+)\b/g) || []).forEach(ref => refs.add(ref.trim()));
+  return [...refs];
+}
+
+// Every comment on the page with author, date, number, field changes, files and MR references
+function parseCommentThread($) {
+  const comments = commentElements($).map((index, el) => {
+    const comment = $(el);
+    const permalink = comment.find('a[href*="#comment-"]').filter((i, link) => /#\d+/.test($(link).text())).first();
+    const numberMatch = normalizeText(permalink.text()).match(/#(\d+)/);
+
+    const changes = comment.find('.nodechanges-label').map((i, cell) => {
+      const row = $(cell).parent();
+      return {
+        field: normalizeText($(cell).text()).replace(/:$/, ''),
+        from: normalizeText(row.find('.nodechanges-old').text()),
+        to: normalizeText(row.find('.nodechanges-new').text()).replace(/^»\s*/, '')
+      };
+    }).get();
+    const statusChange = changes.find(change => change.field === 'Status') || null;
+
+    let bodyElement = comment.find('.comment-body, .field-name-comment-body').first();
+    if (bodyElement.length === 0) {
+      bodyElement = comment.clone();
+      bodyElement.find('table, .submitted, .username, [datetime]').remove();
+    }
+    const body = normalizeText(bodyElement.text());
+    const files = findFiles($, comment);
+    const links = comment.find('a[href]').map((i, link) => $(link).attr('href')).get();
+
+    return {
+      commentId: comment.attr('id').replace('comment-', ''),
+      number: numberMatch ? parseInt(numberMatch[1], 10) : index + 1,
+      author: normalizeText(comment.find('.username').first().text()),
+      date: comment.find('[datetime]').first().attr('datetime') || '',
+      body,
+      statusChange: statusChange ? { from: statusChange.from, to: statusChange.to } : null,
+      changes,
+      patches: files.filter(file => file.type === 'patch').map(file => file.filename),
+      files: files.map(file => file.filename),
+      mergeRequests: findMergeRequests(body, links)
+    };
+  }).get();
+
+  // Files attached to the issue itself (the summary's file table) come first as comment 0
+  const pageFiles = findFiles($, $('body'));
+  const attachments = [];
+  const seen = new Set();
+  pageFiles.forEach(file => {
+    if (seen.has(file.url)) return;
+    seen.add(file.url);
+    const owner = comments.find(c => c.files.includes(file.filename));
+    attachments.push({ ...file, commentNumber: owner ? owner.number : 0 });
+  });
+
+  const descriptionElement = $('.field-name-body').first();
+
+  // MRs linked from the issue fork block as well as those mentioned in comments
+  const pageLinks = $('a[href*="/merge_requests/"]').map((i, link) => $(link).attr('href')).get();
+
+  return {
+    description: descriptionElement.length > 0 ? normalizeText(descriptionElement.text()) : '',
+    comments,
+    attachments,
+    mergeRequests: [...new Set([...comments.flatMap(c => c.mergeRequests), ...findMergeRequests('', pageLinks)])]
+  };
+}
+
+// Parse an issue page. Returns the metadata fields plus `thread` (the full comment
+// thread) and `missing`, the fields that could not be found (or, for dates, could
+// not be read), and records the result in the parse-health statistics.
+export function parseIssuePage(html, issueId) {
+  const $ = cheerio.load(html);
+  const fields = {};
+  const missing = [];
+
+  Object.entries(REQUIRED_FIELDS).forEach(([name, spec]) => {
+    const item = findField($, spec);
+    let value = '';
+
+    if (item) {
+      // Reporter is a profile link; the other fields are plain text
+      const username = item.find('.username').first();
+      value = normalizeText(username.length > 0 ? username.text() : item.text());
+      if (name === 'created' || name === 'updated') value = parseIssueDate(value);
+    }
+
+    fields[name] = value;
+    if (!value) missing.push(name);
+  });
+
+  fields.comments = countComments($);
+  fields.lastCommenter = findLastCommenter($);
+  if (fields.comments !== '0' && !fields.lastCommenter) missing.push('lastCommenter');
+  const thread = parseCommentThread($);
+  fields.hasFork = detectFork($, thread.mergeRequests);
+
+  Object.assign(fields, parseStatusLifecycle($, fields.created, fields.status));
+
+  health.pages++;
+  if (missing.length === 0) health.complete++;
+  missing.forEach(field => {
+    (health.fieldFailures[field] = health.fieldFailures[field] || []).push(issueId);
+  });
+
+  return { ...fields, thread, missing };
+}
+
+// Fields missing from at least FAILURE_THRESHOLD of the parsed pages
+function getBrokenFields() {
+  if (health.pages < MIN_PAGES_FOR_HEALTH_CHECK) return [];
+  return Object.entries(health.fieldFailures)
+    .filter(([, issueIds]) => issueIds.length / health.pages >= FAILURE_THRESHOLD)
+    .map(([field]) => field);
+}
+
+// Print the parse-health summary; returns false when the markup looks broken
+export function printParseHealthSummary() {
+  if (health.pages === 0) return true;
+
+  console.log(`\n🩺 Issue page parse health: ${health.complete}/${health.pages} pages fully parsed`);
+  Object.entries(health.fieldFailures)
+    .sort(([, a], [, b]) => b.length - a.length)
+    .forEach(([field, issueIds]) => {
+      const examples = issueIds.slice(0, 5).join(', ');
+      console.log(`  - ${field}: missing on ${issueIds.length} page${issueIds.length === 1 ? '' : 's'} (${examples}${issueIds.length > 5 ? ', ...' : ''})`);
+    });
+
+  const brokenFields = getBrokenFields();
+  if (brokenFields.length > 0) {
+    console.log(`\n❌ Parse error: ${brokenFields.join(', ')} could not be found on most issue pages.`);
+    console.log('   Drupal.org has probably changed its issue page markup - update lib/issue-page-parser.js');
+    console.log('   before relying on these columns.');
+    return false;
+  }
+
+  return true;
+}
@@ -0,0 +1,63 @@
+// Drupal.org issue statuses, search scopes and lifecycle categories
+// Shared by every issue source and by the steps that separate current
+// barriers from issues resolved during the reporting period.
+
+// Numeric field values used by project_issue nodes and the search form
+export const ISSUE_STATUSES = {
+  1: 'Active',
+  2: 'Fixed',
+  3: 'Closed (duplicate)',
+  4: 'Postponed',
+  5: "Closed (won't fix)",
+  6: 'Closed (works as designed)',
+  7: 'Closed (fixed)',
+  8: 'Needs review',
+  13: 'Needs work',
+  14: 'Reviewed & tested by the community',
+  15: 'Patch (to be ported)',
+  16: 'Postponed (maintainer needs more info)',
+  17: 'Closed (outdated)',
+  18: 'Closed (cannot reproduce)'
+};
+
+// Statuses included by the "Open" filter of the issue search page (Fixed stays
+// open on Drupal.org until it auto-closes two weeks later)
+const OPEN_STATUSES = [1, 2, 4, 8, 13, 14, 15, 16];
+const CLOSED_STATUSES = [3, 5, 6, 7, 17, 18];
+
+export const STATUS_SCOPES = {
+  open: OPEN_STATUSES,
+  closed: CLOSED_STATUSES,
+  all: [...OPEN_STATUSES, ...CLOSED_STATUSES].sort((a, b) => a - b)
+};
+
+// Statuses meaning the barrier was actually removed
+const FIXED_STATUSES = new Set(['Fixed', 'Closed (fixed)']);
+
+// Search query fragment selecting a scope's statuses (status[]=1&status[]=2...)
+export function getStatusQuery(scope) {
+  if (scope === 'open') {
+    return 'status%5BOpen%5D=Open';
+  }
+  return STATUS_SCOPES[scope].map(id => `status%5B%5D=${id}`).join('&');
+}
+
+export function isInScope(statusId, scope) {
+  return STATUS_SCOPES[scope].includes(parseInt(statusId, 10));
+}
+
+// Same check for a status label ("Fixed" is in the open scope, as on the search
+// page); an unknown or missing label counts as open like getStatusCategory does
+export function isStatusLabelInScope(statusLabel, scope) {
+  const statusId = Object.keys(ISSUE_STATUSES).find(id => ISSUE_STATUSES[id] === statusLabel);
+  return statusId ? isInScope(statusId, scope) : STATUS_SCOPES[scope] !== CLOSED_STATUSES;
+}
+
+// Lifecycle category of a status label: 'open' is a current barrier, 'fixed' was
+// resolved, 'closed' was closed without a fix (duplicate, outdated, won't fix...)
+export function getStatusCategory(statusLabel) {
+  if (!statusLabel) return 'open';
+  if (FIXED_STATUSES.has(statusLabel)) return 'fixed';
+  if (statusLabel.startsWith('Closed')) return 'closed';
+  return 'open';
+}
@@ -0,0 +1,78 @@
+// Full comment threads for extracted issues
+// Each thread is saved under results/cache/threads when its issue is fetched, so
+// unchanged issues served from the issue cache still have their thread, and the
+// threads of a run are written as a JSON sidecar next to the detailed CSV.
+import fs from 'fs';
+import path from 'path';
+
+export const THREAD_CACHE_DIR = path.join('results', 'cache', 'threads');
+
+function threadFile(issueId) {
+  return path.join(THREAD_CACHE_DIR, `${issueId}.json`);
+}
+
+export function hasThread(issueId) {
+  return fs.existsSync(threadFile(issueId));
+}
+
+export function saveThread(issueId, source, thread) {
+  fs.mkdirSync(THREAD_CACHE_DIR, { recursive: true });
+  fs.writeFileSync(threadFile(issueId), JSON.stringify({
+    issueId,
+    source,
+    fetchedAt: new Date().toISOString(),
+    ...thread
+  }, null, 2), 'utf8');
+}
+
+export function loadThread(issueId) {
+  try {
+    return JSON.parse(fs.readFileSync(threadFile(issueId), 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+// results/wcag-detailed-issues_<timestamp>.csv -> results/wcag-detailed-issues_<timestamp>.threads.json
+export function getThreadSidecarFile(csvFile) {
+  return csvFile.replace(/\.csv$/, '.threads.json');
+}
+
+// Write the threads of the CSV's issues; issues without a thread (RSS source,
+// failed page fetch) are listed with `thread: null`
+export function writeThreadSidecar(csvFile, issues) {
+  const sidecarFile = getThreadSidecarFile(csvFile);
+  const threads = {};
+  let missing = 0;
+
+  issues.forEach(issue => {
+    const thread = loadThread(issue.issueId);
+    if (!thread) missing++;
+    threads[issue.issueId] = {
+      title: issue.title,
+      url: issue.url,
+      wcagCriteria: issue.wcagCriteriaList || [issue.wcagCriteria],
+      mergeRequests: issue.mergeRequests || [],
+      thread
+    };
+  });
+
+  fs.writeFileSync(sidecarFile, JSON.stringify({
+    generatedAt: new Date().toISOString(),
+    csvFile: path.basename(csvFile),
+    issueCount: issues.length,
+    issues: threads
+  }, null, 2), 'utf8');
+
+  console.log(`🧵 Comment threads saved to: ${sidecarFile}${missing > 0 ? ` (${missing} issues without a thread)` : ''}`);
+  return sidecarFile;
+}
+
+// Threads of a detailed CSV keyed by issue ID, or {} when it has no sidecar
+export function loadThreadSidecar(csvFile) {
+  try {
+    return JSON.parse(fs.readFileSync(getThreadSidecarFile(csvFile), 'utf8')).issues;
+  } catch (error) {
+    return {};
+  }
+}
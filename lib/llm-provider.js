@@ -0,0 +1,356 @@
+// LLM providers behind one interface
+// Steps 1-3 send a prompt and get text back; which API answers is configuration:
+//   --provider <name>  LLM_PROVIDER  gemini (default), openai, anthropic or mock
+//   --model <name>     LLM_MODEL     defaults per provider, see PROVIDERS
+//   --max-cost <usd>   LLM_MAX_COST  stop making calls once the run has spent this much
+//
+// 'openai' talks to any OpenAI-compatible chat completions endpoint: OpenAI itself,
+// or a local server such as Ollama or llama.cpp via OPENAI_BASE_URL
+// (e.g. http://localhost:11434/v1). 'mock' answers without any network access,
+// deterministically from the prompt, so steps 2 and 3 can run offline and in CI.
+import crypto from 'crypto';
+import { httpsRequest } from './http-recorder.js';
+
+const OPENAI_DEFAULT_BASE = 'https://api.openai.com/v1';
+
+// Key and base URL are read when a request is made, after the scripts load .env
+const PROVIDERS = {
+  gemini: {
+    defaultModel: 'gemini-1.5-flash',
+    keyEnv: 'GEMINI_API_KEY',
+    keyUrl: 'https://aistudio.google.com/app/apikey',
+    buildRequest(model, prompt, { maxOutputTokens, temperature, schema }) {
+      return {
+        url: `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${process.env.GEMINI_API_KEY}`,
+        body: {
+          contents: [{
+            parts: [{
+              text: prompt
+            }]
+          }],
+          generationConfig: {
+            maxOutputTokens,
+            temperature,
+            ...(schema ? { responseMimeType: 'application/json' } : {})
+          }
+        }
+      };
+    },
+    parseResponse(data) {
+      if (!data.candidates || !data.candidates[0] || !data.candidates[0].content) {
+        throw new Error('Invalid response structure from Gemini API');
+      }
+      return data.candidates[0].content.parts[0].text;
+    },
+    parseUsage(data) {
+      const usage = data.usageMetadata;
+      return usage ? { inputTokens: usage.promptTokenCount || 0, outputTokens: usage.candidatesTokenCount || 0 } : null;
+    }
+  },
+
+  openai: {
+    defaultModel: 'gpt-4o-mini',
+    keyEnv: 'OPENAI_API_KEY',
+    keyUrl: 'https://platform.openai.com/api-keys',
+    // Local OpenAI-compatible servers usually run without a key
+    needsKey: () => getOpenAIBase() === OPENAI_DEFAULT_BASE,
+    buildRequest(model, prompt, { maxOutputTokens, temperature, schema }) {
+      return {
+        url: `${getOpenAIBase()}/chat/completions`,
+        headers: process.env.OPENAI_API_KEY ? { 'Authorization': `Bearer ${process.env.OPENAI_API_KEY}` } : {},
+        body: {
+          model,
+          messages: [{ role: 'user', content: prompt }],
+          max_tokens: maxOutputTokens,
+          temperature,
+          ...(schema ? { response_format: { type: 'json_object' } } : {})
+        }
+      };
+    },
+    parseResponse(data) {
+      const message = data.choices && data.choices[0] && data.choices[0].message;
+      if (!message || typeof message.content !== 'string') {
+        throw new Error('Invalid response structure from OpenAI-compatible API');
+      }
+      return message.content;
+    },
+    parseUsage(data) {
+      const usage = data.usage;
+      return usage ? { inputTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 } : null;
+    }
+  },
+
+  anthropic: {
+    defaultModel: 'claude-3-5-haiku-latest',
+    keyEnv: 'ANTHROPIC_API_KEY',
+    keyUrl: 'https://console.anthropic.com/settings/keys',
+    buildRequest(model, prompt, { maxOutputTokens, temperature }) {
+      return {
+        url: 'https://api.anthropic.com/v1/messages',
+        headers: {
+          'x-api-key': process.env.ANTHROPIC_API_KEY,
+          'anthropic-version': '2023-06-01'
+        },
+        body: {
+          model,
+          max_tokens: maxOutputTokens,
+          temperature,
+          messages: [{ role: 'user', content: prompt }]
+        }
+      };
+    },
+    parseResponse(data) {
+      const blocks = (data.content || []).filter(block => block.type === 'text');
+      if (blocks.length === 0) {
+        throw new Error('Invalid response structure from Anthropic API');
+      }
+      return blocks.map(block => block.text).join('');
+    },
+    parseUsage(data) {
+      const usage = data.usage;
+      return usage ? { inputTokens: usage.input_tokens || 0, outputTokens: usage.output_tokens || 0 } : null;
+    }
+  },
+
+  mock: {
+    defaultModel: 'mock-1',
+    keyEnv: null
+  }
+};
+
+export const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+// USD per million input/output tokens for cost estimates; models not listed
+// (local models, the mock) count as free
+const MODEL_PRICES = {
+  'gemini-1.5-flash': { input: 0.075, output: 0.30 },
+  'gemini-1.5-pro': { input: 1.25, output: 5.00 },
+  'gpt-4o-mini': { input: 0.15, output: 0.60 },
+  'gpt-4o': { input: 2.50, output: 10.00 },
+  'claude-3-5-haiku-latest': { input: 0.80, output: 4.00 }
+};
+
+let providerName = '';
+let modelName = '';
+let maxCost = 0;
+let costCapReached = false;
+let reservedCost = 0; // Worst-case cost of the calls in flight
+const reservationWaiters = [];
+const usage = { calls: 0, inputTokens: 0, outputTokens: 0, cost: 0, estimatedCalls: 0 };
+
+function getOpenAIBase() {
+  return (process.env.OPENAI_BASE_URL || OPENAI_DEFAULT_BASE).replace(/\/$/, '');
+}
+
+// Read --provider/--model from a script's arguments and return the remaining arguments
+export function configureLLM(args) {
+  const remaining = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--provider') {
+      providerName = args[++i] || '';
+    } else if (args[i] === '--model') {
+      modelName = args[++i] || '';
+    } else if (args[i] === '--max-cost') {
+      maxCost = parseCost(args[++i], '--max-cost');
+    } else {
+      remaining.push(args[i]);
+    }
+  }
+
+  const name = getProviderName();
+  if (!PROVIDERS[name]) {
+    console.log(`❌ Error: unknown LLM provider "${name}" (expected one of: ${PROVIDER_NAMES.join(', ')})`);
+    process.exit(1);
+  }
+
+  if (!maxCost && process.env.LLM_MAX_COST) {
+    maxCost = parseCost(process.env.LLM_MAX_COST, 'LLM_MAX_COST');
+  }
+
+  return remaining;
+}
+
+function parseCost(value, name) {
+  const cost = Number(String(value).replace(/^\$/, ''));
+  if (!Number.isFinite(cost) || cost <= 0) {
+    console.log(`❌ Error: ${name} must be a positive amount in USD, got "${value}"`);
+    process.exit(1);
+  }
+  return cost;
+}
+
+export function getProviderName() {
+  return (providerName || process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+}
+
+export function getModelName() {
+  return modelName || process.env.LLM_MODEL || PROVIDERS[getProviderName()].defaultModel;
+}
+
+// "gemini (gemini-1.5-flash)" for logs
+export function describeProvider() {
+  return `${getProviderName()} (${getModelName()})`;
+}
+
+// "gemini/gemini-1.5-flash", as recorded in the output CSVs
+export function getModelRef() {
+  return `${getProviderName()}/${getModelName()}`;
+}
+
+// Rough token count of a text, about four characters per token
+export function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+// USD cost of a number of tokens on the configured model
+export function priceTokens(inputTokens, outputTokens) {
+  const price = getProviderName() === 'mock' ? null : MODEL_PRICES[getModelName()];
+  if (!price) return 0;
+  return (inputTokens * price.input + outputTokens * price.output) / 1000000;
+}
+
+// "$0.0123", with more digits for the fractions of a cent single calls cost
+export function formatCost(cost) {
+  return `$${cost.toFixed(cost > 0 && cost < 0.01 ? 6 : 4)}`;
+}
+
+export function getCostCap() {
+  return maxCost;
+}
+
+export function isCostCapReached() {
+  return costCapReached || (maxCost > 0 && usage.cost >= maxCost);
+}
+
+// Totals of every call this run: { calls, inputTokens, outputTokens, cost, estimatedCalls }
+export function getUsage() {
+  return { ...usage };
+}
+
+export function printUsageSummary() {
+  if (usage.calls === 0) return;
+  console.log(`💰 LLM usage (${describeProvider()}): ${usage.calls} calls, ${usage.inputTokens.toLocaleString()} input + ${usage.outputTokens.toLocaleString()} output tokens, ${formatCost(usage.cost)}${maxCost > 0 ? ` of ${formatCost(maxCost)} cap` : ''}`);
+  if (usage.estimatedCalls > 0) {
+    console.log(`   ${usage.estimatedCalls} calls reported no token usage and were estimated at 4 characters per token`);
+  }
+}
+
+// Add one call's tokens to the run totals and to the caller's tally, if given
+function recordUsage(callUsage, tally) {
+  const cost = priceTokens(callUsage.inputTokens, callUsage.outputTokens);
+  usage.calls++;
+  usage.inputTokens += callUsage.inputTokens;
+  usage.outputTokens += callUsage.outputTokens;
+  usage.cost += cost;
+  if (callUsage.estimated) usage.estimatedCalls++;
+
+  if (tally) {
+    tally.calls = (tally.calls || 0) + 1;
+    tally.inputTokens = (tally.inputTokens || 0) + callUsage.inputTokens;
+    tally.outputTokens = (tally.outputTokens || 0) + callUsage.outputTokens;
+    tally.cost = (tally.cost || 0) + cost;
+  }
+}
+
+// Why the provider cannot be used as configured (a missing API key), or null
+export function getProviderConfigError(name = getProviderName()) {
+  const provider = PROVIDERS[name];
+  if (!provider) return `unknown LLM provider "${name}"`;
+  if (!provider.keyEnv || process.env[provider.keyEnv]) return null;
+  if (provider.needsKey && !provider.needsKey()) return null;
+  return `${provider.keyEnv} environment variable is required for the ${name} provider (get a key from ${provider.keyUrl})`;
+}
+
+// Deterministic stand-in for a model. Asked for JSON, it fills in every schema
+// property, picking enum values (one or two for an array) by the prompt hash.
+// Otherwise it fills in every "LABEL: [...]" line of the prompt's response
+// format; where the prompt offers quoted choices for a label ("SUPPORTED",
+// "NOT_SUPPORTED", ...) one is picked.
+function mockResponse(prompt, schema) {
+  const hash = crypto.createHash('sha256').update(prompt).digest('hex');
+  if (schema) {
+    return JSON.stringify(Object.fromEntries(Object.entries(schema.properties).map(([name, property], index) => {
+      const pick = parseInt(hash.substring(index * 2, index * 2 + 2), 16);
+      if (property.type === 'array') {
+        const choices = (property.items && property.items.enum) || [`Mock ${name}`];
+        return [name, [...new Set([choices[pick % choices.length], choices[(pick >> 4) % choices.length]])]];
+      }
+      return [name, property.enum
+        ? property.enum[pick % property.enum.length]
+        : `Mock ${name} ${hash.substring(index * 4, index * 4 + 8)}.`];
+    })));
+  }
+
+  const formatStart = prompt.lastIndexOf('Format your response as:');
+  const format = formatStart === -1 ? '' : prompt.slice(formatStart);
+  const labels = [...format.matchAll(/^([A-Z][A-Z_]+):/gm)].map(match => match[1]);
+  if (labels.length === 0) {
+    return `Mock response ${hash.substring(0, 8)}`;
+  }
+
+  return labels.map((label, index) => {
+    const section = prompt.match(new RegExp(`\\d+\\. ${label}:([\\s\\S]*?)(?=\\n\\d+\\. [A-Z_]+:|\\nFormat your response as:)`));
+    const choices = section ? [...new Set([...section[1].matchAll(/"([A-Z][A-Z_]{2,})"/g)].map(match => match[1]))] : [];
+    const pick = parseInt(hash.substring(index * 2, index * 2 + 2), 16);
+    const value = choices.length > 0
+      ? choices[pick % choices.length]
+      : `Mock ${label.toLowerCase().replace(/_/g, ' ')} ${hash.substring(index * 4, index * 4 + 8)}.`;
+    return `${label}: ${value}`;
+  }).join('\n');
+}
+
+// Send a prompt to the configured provider and return the response text.
+// With a schema the provider is asked for JSON where its API supports that
+// (see lib/structured-output.js). Token usage from the response goes into the
+// run totals and, when given, into the `usage` tally object. fetchFn performs
+// the HTTP request (a caller's retry wrapper, or httpsRequest).
+export async function generateText(prompt, { maxOutputTokens = 500, temperature = 0.1, schema = null, usage: tally = null } = {}, fetchFn = httpsRequest) {
+  // A call is only made once its worst case (full output) fits under the cap next
+  // to the worst cases of the calls in flight, so concurrent calls cannot overshoot
+  // it together; a call that would not fit even alone ends the run's spending
+  const worstCase = priceTokens(estimateTokens(prompt), maxOutputTokens);
+  while (maxCost > 0 && reservedCost > 0 && usage.cost + reservedCost + worstCase > maxCost) {
+    await new Promise(resolve => reservationWaiters.push(resolve));
+  }
+  if (isCostCapReached() || (maxCost > 0 && usage.cost + worstCase > maxCost)) {
+    costCapReached = true;
+    throw new Error(`Cost cap of ${formatCost(maxCost)} reached (--max-cost)`);
+  }
+
+  reservedCost += worstCase;
+  try {
+    return await requestText(prompt, { maxOutputTokens, temperature, schema }, tally, fetchFn);
+  } finally {
+    reservedCost -= worstCase;
+    reservationWaiters.splice(0).forEach(resolve => resolve());
+  }
+}
+
+async function requestText(prompt, { maxOutputTokens, temperature, schema }, tally, fetchFn) {
+  const name = getProviderName();
+  if (name === 'mock') {
+    const text = mockResponse(prompt, schema);
+    recordUsage({ inputTokens: estimateTokens(prompt), outputTokens: estimateTokens(text) }, tally);
+    return text;
+  }
+
+  const provider = PROVIDERS[name];
+  const request = provider.buildRequest(getModelName(), prompt, { maxOutputTokens, temperature, schema });
+  const response = await fetchFn(request.url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...request.headers
+    },
+    body: JSON.stringify(request.body)
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${await response.text()}`);
+  }
+
+  const data = await response.json();
+  const text = provider.parseResponse(data);
+  recordUsage(provider.parseUsage(data) || { inputTokens: estimateTokens(prompt), outputTokens: estimateTokens(text), estimated: true }, tally);
+  return text;
+}
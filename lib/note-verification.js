@@ -0,0 +1,168 @@
+// Fact check of the developer notes written by step 2
+// A developer note names patches ("3400003-5.patch", "the patch in #42"), merge
+// requests ("MR !123") and states ("awaiting review", "committed"). Each claim is
+// checked against what was scraped for the issue: the comment thread and its
+// attachments (step 1's thread sidecar or cache), the merge request states of
+// the detailed CSV and the issue page step 2 fetched. Claims nothing supports
+// are listed in the Note Verification column; with --remove-unsupported-claims
+// the sentences making them are dropped from the note as well.
+import { getStatusCategory } from './issue-status.js';
+
+const PATCH_FILE = /\b[\w.-]+\.(?:patch|diff)\b/gi;
+// "#42" is a comment; Drupal.org issue IDs ("#3312345", "issue #123") are not
+const COMMENT_REF = /(?<!\bissues?\s*)#(\d{1,4})\b/gi;
+const MR_REF = /(?:\b(?:MR|merge request)\s*!?|(?:^|[\s(])!)(\d+)\b/gi;
+
+// Words before a state that make it a plan or a denial rather than a claim
+const NOT_A_CLAIM = /\b(?:not|no|never|yet|until|once|before|after|when|if|should|could|would|can|will|to be)\b[\w\s]{0,12}$/i;
+
+// State claims: the issue statuses that support them, or, when the sentence names
+// a merge request, the MR states that do
+const STATE_CLAIMS = [
+  { label: 'needs review', pattern: /\b(?:awaiting|needs|ready for) (?:code )?review\b/i, statuses: ['Needs review'], mrStates: ['open'] },
+  { label: 'RTBC', pattern: /\bRTBC\b|\breviewed (?:&|and) tested\b/i, statuses: ['Reviewed & tested by the community'], mrStates: ['open'] },
+  { label: 'needs work', pattern: /\bneeds work\b/i, statuses: ['Needs work'], mrStates: ['open'] },
+  { label: 'postponed', pattern: /\bpostponed\b/i, statuses: ['Postponed', 'Postponed (maintainer needs more info)'] },
+  { label: 'merged', pattern: /\b(?:has been|was|is|been) merged\b/i, category: 'fixed', mrStates: ['merged'] },
+  { label: 'fixed', pattern: /\b(?:committed|(?:has been|was|is|been) fixed)\b/i, category: 'fixed', mrStates: ['merged'] }
+];
+
+function addPatch(evidence, filename, commentNumber) {
+  evidence.patches.add(filename.toLowerCase());
+  if (commentNumber) {
+    evidence.commentPatches.add(commentNumber);
+  }
+}
+
+// Everything known about an issue's patches, comments, merge requests and status.
+// `row` is its detailed CSV row, `threadEntry` its thread sidecar entry (or a cached
+// thread) and `pageEvidence` what step 2 found on the issue page.
+export function collectEvidence(row, threadEntry, pageEvidence) {
+  const evidence = {
+    patches: new Set(),
+    commentPatches: new Set(), // comment numbers with a patch attached
+    commentNumbers: new Set(),
+    commentCount: parseInt(row['Comments'], 10) || 0,
+    mergeRequests: new Map(), // '!123' -> 'open' | 'merged' | 'closed' | 'unknown'
+    status: row['Status'] || ''
+  };
+
+  const thread = threadEntry && threadEntry.thread;
+  if (thread) {
+    (thread.comments || []).forEach(comment => {
+      evidence.commentNumbers.add(comment.number);
+      (comment.patches || []).forEach(filename => addPatch(evidence, filename, comment.number));
+      (comment.mergeRequests || []).forEach(ref => evidence.mergeRequests.set(ref, 'unknown'));
+    });
+    (thread.attachments || []).filter(file => file.type === 'patch').forEach(file => addPatch(evidence, file.filename, file.commentNumber));
+    (thread.mergeRequests || []).forEach(ref => evidence.mergeRequests.set(ref, 'unknown'));
+  }
+
+  // States from the GitLab lookup of step 1: the sidecar's statuses, or the CSV cell
+  // "!8123 open, mergeable, pipeline success, 2025-04-20; !45 merged, 2025-03-02"
+  ((threadEntry && threadEntry.mergeRequests) || []).forEach(mr => evidence.mergeRequests.set(mr.ref, mr.state));
+  (row['Merge Requests'] || '').split(';').forEach(cell => {
+    const match = cell.trim().match(/^(!\d+)\s+(\w+)/);
+    if (match) evidence.mergeRequests.set(match[1], match[2]);
+  });
+
+  if (pageEvidence) {
+    pageEvidence.patches.forEach(filename => addPatch(evidence, filename));
+    pageEvidence.mergeRequests.forEach(ref => {
+      if (!evidence.mergeRequests.has(ref)) evidence.mergeRequests.set(ref, 'unknown');
+    });
+    evidence.commentCount = Math.max(evidence.commentCount, pageEvidence.commentCount);
+  }
+
+  return evidence;
+}
+
+function splitSentences(note) {
+  return note.split(/(?<=[.?!])\s+(?=[A-Z"(])/).filter(sentence => sentence.trim());
+}
+
+function commentExists(evidence, number) {
+  return evidence.commentNumbers.size > 0
+    ? evidence.commentNumbers.has(number)
+    : number >= 1 && number <= evidence.commentCount;
+}
+
+// Claims of one sentence, each { claim, problem } where problem is '' when supported
+function checkSentence(sentence, evidence) {
+  const results = [];
+
+  (sentence.match(PATCH_FILE) || []).forEach(filename => {
+    results.push({ claim: filename, problem: evidence.patches.has(filename.toLowerCase()) ? '' : 'not attached to the issue' });
+  });
+
+  [...sentence.matchAll(COMMENT_REF)].forEach(match => {
+    const number = parseInt(match[1], 10);
+    const aboutPatch = /\bpatch(?:es)?\b[^.#]{0,25}$/i.test(sentence.slice(0, match.index));
+    let problem = '';
+    if (!commentExists(evidence, number)) {
+      problem = 'no such comment';
+    } else if (aboutPatch && evidence.commentPatches.size > 0 && !evidence.commentPatches.has(number)) {
+      problem = 'comment has no patch';
+    }
+    results.push({ claim: `#${number}`, problem });
+  });
+
+  const refs = [...sentence.matchAll(MR_REF)].map(match => `!${match[1]}`);
+  refs.forEach(ref => {
+    results.push({ claim: `MR ${ref}`, problem: evidence.mergeRequests.has(ref) ? '' : 'not found on the issue' });
+  });
+
+  STATE_CLAIMS.forEach(state => {
+    const match = sentence.match(state.pattern);
+    if (!match || NOT_A_CLAIM.test(sentence.slice(0, match.index))) return;
+
+    // "MR !123 is awaiting review" is about the MR when its state is known
+    const knownRefs = refs.filter(ref => evidence.mergeRequests.get(ref) && evidence.mergeRequests.get(ref) !== 'unknown');
+    let problem = '';
+    if (state.mrStates && knownRefs.length > 0) {
+      const wrong = knownRefs.filter(ref => !state.mrStates.includes(evidence.mergeRequests.get(ref)));
+      if (wrong.length > 0) problem = wrong.map(ref => `${ref} is ${evidence.mergeRequests.get(ref)}`).join(', ');
+    } else if (state.category) {
+      const anyMerged = [...evidence.mergeRequests.values()].includes('merged');
+      if (getStatusCategory(evidence.status) !== state.category && !anyMerged) problem = `issue status is ${evidence.status || 'unknown'}`;
+    } else if (!state.statuses.includes(evidence.status)) {
+      problem = `issue status is ${evidence.status || 'unknown'}`;
+    }
+    results.push({ claim: `"${state.label}"`, problem });
+  });
+
+  return results;
+}
+
+// Check a developer note. Returns { note, verification, claims, unsupported }:
+// the note (without unsupported sentences when `removeUnsupported`), the Note
+// Verification cell, and the number of claims found and not supported.
+export function verifyDeveloperNote(note, evidence, { removeUnsupported = false } = {}) {
+  const kept = [];
+  const problems = [];
+  let claims = 0;
+
+  splitSentences(note).forEach(sentence => {
+    const results = checkSentence(sentence, evidence);
+    claims += results.length;
+    const unsupported = results.filter(result => result.problem);
+    unsupported.forEach(result => problems.push(`${result.claim} ${result.problem}`));
+    if (!removeUnsupported || unsupported.length === 0) kept.push(sentence);
+  });
+
+  let verification;
+  if (claims === 0) {
+    verification = 'no claims';
+  } else if (problems.length === 0) {
+    verification = `verified (${claims} claims)`;
+  } else {
+    verification = `${removeUnsupported ? 'removed' : 'unsupported'}: ${problems.join('; ')}`;
+  }
+
+  return {
+    note: removeUnsupported ? kept.join(' ') : note,
+    verification,
+    claims,
+    unsupported: problems.length
+  };
+}
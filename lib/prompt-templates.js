@@ -0,0 +1,117 @@
+// Prompt templates for steps 2 and 3
+// Each prompt lives in prompts/<name>.txt: a header of "key: value" lines (id,
+// version, description), a line "---", then the prompt text. The text names its
+// variables as {{name}}; {{#name}}...{{/name}} is kept only when the variable is
+// set and non-empty, {{^name}}...{{/name}} only when it is not. Values are
+// inserted as they are and never read as template syntax.
+//
+// An organization can adjust the wording without forking: a file of the same
+// name in the override directory replaces the built-in template.
+//   --prompt-dir <dir>  PROMPT_DIR  Directory of override templates
+// Give an override its own id or a higher version, so the CSVs it produces say so.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const BUILTIN_PROMPT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'prompts');
+
+const SECTION_OR_VARIABLE = /\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}|\{\{(\w+)\}\}/g;
+
+let overrideDir = '';
+const loaded = new Map(); // name -> template
+
+// Read --prompt-dir from a script's arguments and return the remaining arguments
+export function configurePrompts(args) {
+  const remaining = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--prompt-dir') {
+      overrideDir = args[++i] || '';
+    } else {
+      remaining.push(args[i]);
+    }
+  }
+
+  overrideDir = overrideDir || process.env.PROMPT_DIR || '';
+  if (overrideDir && !fs.existsSync(overrideDir)) {
+    console.log(`❌ Error: prompt directory not found: ${overrideDir}`);
+    process.exit(1);
+  }
+
+  return remaining;
+}
+
+function parseTemplate(text, file) {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  const separator = lines.indexOf('---');
+  if (separator === -1) {
+    throw new Error(`${file}: missing the "---" line after the header`);
+  }
+
+  const header = {};
+  lines.slice(0, separator).forEach(line => {
+    const match = line.match(/^(\w+):\s*(.*)$/);
+    if (match) header[match[1]] = match[2].trim();
+  });
+
+  const version = Number(header.version);
+  if (!header.id || !Number.isInteger(version) || version < 1) {
+    throw new Error(`${file}: the header needs an id and a whole-number version`);
+  }
+
+  return {
+    id: header.id,
+    version,
+    description: header.description || '',
+    text: lines.slice(separator + 1).join('\n').replace(/\n$/, '')
+  };
+}
+
+// The template for a prompt name, from the override directory when it has one.
+// Returns { id, version, description, text, file, overridden }.
+export function loadPrompt(name) {
+  if (loaded.has(name)) return loaded.get(name);
+
+  const overrideFile = overrideDir ? path.join(overrideDir, `${name}.txt`) : null;
+  const overridden = Boolean(overrideFile && fs.existsSync(overrideFile));
+  const file = overridden ? overrideFile : path.join(BUILTIN_PROMPT_DIR, `${name}.txt`);
+
+  const template = { ...parseTemplate(fs.readFileSync(file, 'utf8'), file), file, overridden };
+  loaded.set(name, template);
+  console.log(`📝 Prompt ${getPromptRef(template)}${overridden ? ` (override from ${file})` : ''}`);
+  return template;
+}
+
+// Throw when the template uses a variable the step does not provide, so a typo in
+// an override fails before any issue is processed
+export function checkPromptVariables(template, names) {
+  const unknown = [...new Set([...template.text.matchAll(/\{\{[#^/]?(\w+)\}\}/g)].map(match => match[1]))]
+    .filter(name => !names.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`${template.file} uses unknown variables ${unknown.map(name => `{{${name}}}`).join(', ')} (known: ${names.join(', ')})`);
+  }
+}
+
+// "issue-summary@1", as recorded in the output CSVs
+export function getPromptRef(template) {
+  return `${template.id}@${template.version}`;
+}
+
+function renderText(text, variables, template) {
+  return text.replace(SECTION_OR_VARIABLE, (match, kind, sectionName, body, name) => {
+    const key = sectionName || name;
+    if (!(key in variables)) {
+      throw new Error(`Prompt ${getPromptRef(template)} uses unknown variable {{${key}}} (known: ${Object.keys(variables).join(', ')})`);
+    }
+    if (name) {
+      return String(variables[name] ?? '');
+    }
+    const value = variables[sectionName];
+    const set = value !== undefined && value !== null && value !== false && value !== '';
+    return set === (kind === '#') ? renderText(body, variables, template) : '';
+  });
+}
+
+// The prompt text with its variables filled in
+export function renderPrompt(template, variables) {
+  return renderText(template.text, variables, template);
+}
@@ -0,0 +1,206 @@
+// Shared rate limiter for every live HTTP request of steps 1-3
+// Requests are grouped into lanes - Drupal.org, git.drupalcode.org and the LLM
+// API - and each lane is held to a requests-per-minute cap and a number of
+// requests in flight at once. A 429 or 503 with a Retry-After header pauses its
+// whole lane for that long. An optional request budget stops a run after a
+// fixed number of requests.
+//
+// Tune the pace with flags or environment variables:
+//   --drupal-rpm <n>  DRUPAL_RPM   Drupal.org pages and api-d7 (default 20)
+//   --gitlab-rpm <n>  GITLAB_RPM   git.drupalcode.org GitLab API (default 60)
+//   --llm-rpm <n>     LLM_RPM      LLM API calls (default 20)
+//   --drupal-concurrency, --gitlab-concurrency, --llm-concurrency <n>
+//                     DRUPAL_CONCURRENCY, ...  Requests in flight (defaults 2, 4, 4)
+//   --max-requests <n> MAX_REQUESTS  Requests per run, all lanes together (default: no limit)
+
+const LANES = {
+  drupal: { label: 'Drupal.org', flag: '--drupal-rpm', env: 'DRUPAL_RPM', rpm: 20, concurrency: 2 },
+  gitlab: { label: 'GitLab', flag: '--gitlab-rpm', env: 'GITLAB_RPM', rpm: 60, concurrency: 4 },
+  llm: { label: 'LLM API', flag: '--llm-rpm', env: 'LLM_RPM', rpm: 20, concurrency: 4 }
+};
+
+// Hosts outside the known lanes get a lane of their own at this pace
+const DEFAULT_RPM = 60;
+const DEFAULT_CONCURRENCY = 2;
+
+// Longest Retry-After honored; anything longer is treated as this
+const MAX_RETRY_AFTER_MS = 30 * 60 * 1000;
+
+const LLM_HOSTS = ['generativelanguage.googleapis.com', 'api.openai.com', 'api.anthropic.com'];
+
+const state = new Map(); // lane name -> { rpm, concurrency, active, queue, nextSlot, pausedUntil, requests, waitedMs, retryAfters, firstAt, lastAt }
+const configured = {};
+const configuredConcurrency = {};
+let requestBudget = 0;
+let budgetUsed = 0;
+
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return '';
+  }
+}
+
+// Lane of a request URL; the api-d7 and GitLab bases can point at the stub servers,
+// and OPENAI_BASE_URL at a local model server
+function getLaneName(url) {
+  const host = hostOf(url);
+  if (host === 'www.drupal.org' || host === hostOf(process.env.DRUPAL_API_BASE)) return 'drupal';
+  if (host === 'git.drupalcode.org' || host === hostOf(process.env.GITLAB_API_BASE)) return 'gitlab';
+  if (LLM_HOSTS.includes(host) || host === hostOf(process.env.OPENAI_BASE_URL)) return 'llm';
+  return host;
+}
+
+function parseRate(value, name) {
+  const rate = Number(value);
+  if (!Number.isFinite(rate) || rate <= 0) {
+    console.log(`❌ Error: ${name} must be a positive number, got "${value}"`);
+    process.exit(1);
+  }
+  return rate;
+}
+
+function getConcurrencyEnv(name) {
+  return `${name.toUpperCase()}_CONCURRENCY`;
+}
+
+function getLane(name) {
+  if (!state.has(name)) {
+    const defaults = LANES[name];
+    const rpm = configured[name]
+      || (defaults && process.env[defaults.env] ? parseRate(process.env[defaults.env], defaults.env) : null)
+      || (defaults ? defaults.rpm : DEFAULT_RPM);
+    const concurrency = configuredConcurrency[name]
+      || (defaults && process.env[getConcurrencyEnv(name)] ? Math.floor(parseRate(process.env[getConcurrencyEnv(name)], getConcurrencyEnv(name))) : null)
+      || (defaults ? defaults.concurrency : DEFAULT_CONCURRENCY);
+    state.set(name, { rpm, concurrency, active: 0, queue: [], nextSlot: 0, pausedUntil: 0, requests: 0, waitedMs: 0, retryAfters: 0, firstAt: 0, lastAt: 0 });
+  }
+  return state.get(name);
+}
+
+// Requests a lane ('drupal', 'gitlab', 'llm') allows in flight - the pool size for work that calls it
+export function getConcurrency(name) {
+  return getLane(name).concurrency;
+}
+
+// Read the rate flags from a script's arguments and return the remaining arguments
+export function configureRateLimits(args) {
+  const remaining = [];
+  const flags = Object.fromEntries(Object.entries(LANES).map(([name, lane]) => [lane.flag, name]));
+  const concurrencyFlags = Object.fromEntries(Object.keys(LANES).map(name => [`--${name}-concurrency`, name]));
+
+  for (let i = 0; i < args.length; i++) {
+    if (flags[args[i]]) {
+      configured[flags[args[i]]] = parseRate(args[++i], args[i - 1]);
+    } else if (concurrencyFlags[args[i]]) {
+      configuredConcurrency[concurrencyFlags[args[i]]] = Math.floor(parseRate(args[++i], args[i - 1]));
+    } else if (args[i] === '--max-requests') {
+      requestBudget = Math.floor(parseRate(args[++i], '--max-requests'));
+    } else {
+      remaining.push(args[i]);
+    }
+  }
+
+  if (!requestBudget && process.env.MAX_REQUESTS) {
+    requestBudget = Math.floor(parseRate(process.env.MAX_REQUESTS, 'MAX_REQUESTS'));
+  }
+
+  return remaining;
+}
+
+// Thrown instead of making a request once --max-requests is used up, so
+// callers can stop rather than retry it like a network error
+export class RequestBudgetError extends Error {
+  constructor(budget) {
+    super(`Request budget of ${budget} exhausted (--max-requests)`);
+    this.name = 'RequestBudgetError';
+  }
+}
+
+export function isBudgetExhausted() {
+  return requestBudget > 0 && budgetUsed >= requestBudget;
+}
+
+// Wait until the URL's lane has a request free and its next slot is due, and
+// return the function that frees the request again once the response is in.
+// Slots are reserved before waiting, so requests issued together still leave
+// the lane at its pace.
+export async function acquireSlot(url) {
+  if (isBudgetExhausted()) {
+    throw new RequestBudgetError(requestBudget);
+  }
+  budgetUsed++;
+
+  const lane = getLane(getLaneName(url));
+  if (lane.active >= lane.concurrency) {
+    // A finishing request hands its place straight to the longest waiting one
+    await new Promise(resolve => lane.queue.push(resolve));
+  } else {
+    lane.active++;
+  }
+
+  const now = Date.now();
+  const start = Math.max(now, lane.nextSlot, lane.pausedUntil);
+  lane.nextSlot = start + 60000 / lane.rpm;
+
+  if (start > now) {
+    lane.waitedMs += start - now;
+    await new Promise(resolve => setTimeout(resolve, start - now));
+  }
+
+  lane.requests++;
+  lane.firstAt = lane.firstAt || Date.now();
+  lane.lastAt = Date.now();
+
+  return () => {
+    const next = lane.queue.shift();
+    if (next) {
+      next();
+    } else {
+      lane.active--;
+    }
+  };
+}
+
+// Milliseconds the server asked us to wait (Retry-After in seconds or as an HTTP date), or null
+export function getRetryAfterMs(response) {
+  const value = response && response.headers ? response.headers.get('retry-after') : null;
+  if (value === null || value === undefined || value === '') return null;
+
+  const seconds = Number(value);
+  const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(value) - Date.now();
+  if (!Number.isFinite(ms)) return null;
+  return Math.min(Math.max(ms, 0), MAX_RETRY_AFTER_MS);
+}
+
+// After a response: a 429 or 503 with Retry-After pauses the whole lane
+export function noteResponse(url, response) {
+  if (response.status !== 429 && response.status !== 503) return;
+
+  const retryAfterMs = getRetryAfterMs(response);
+  if (retryAfterMs === null) return;
+
+  const name = getLaneName(url);
+  const lane = getLane(name);
+  lane.retryAfters++;
+  lane.pausedUntil = Math.max(lane.pausedUntil, Date.now() + retryAfterMs);
+  console.log(`⏳ ${LANES[name] ? LANES[name].label : name} asked us to wait ${Math.round(retryAfterMs / 1000)}s (Retry-After), pausing its requests`);
+}
+
+// Effective request rate of each lane used during the run
+export function printRateLimitSummary() {
+  if (![...state.values()].some(lane => lane.requests > 0)) return;
+
+  console.log('\n🚦 Request rate:');
+  state.forEach((lane, name) => {
+    if (lane.requests === 0) return;
+    const minutes = Math.max(lane.lastAt - lane.firstAt, 60000 / lane.rpm) / 60000;
+    const effective = lane.requests > 1 ? (lane.requests - 1) / minutes : lane.requests;
+    const label = LANES[name] ? LANES[name].label : name;
+    console.log(`   ${label}: ${lane.requests} requests, ${effective.toFixed(1)}/min effective (cap ${lane.rpm}/min, ${lane.concurrency} at a time), ${Math.round(lane.waitedMs / 1000)}s waiting${lane.retryAfters > 0 ? `, ${lane.retryAfters} Retry-After pauses` : ''}`);
+  });
+  if (requestBudget > 0) {
+    console.log(`   Budget: ${budgetUsed}/${requestBudget} requests used${isBudgetExhausted() ? ' (exhausted)' : ''}`);
+  }
+}
@@ -0,0 +1,108 @@
+// Persistent cache of LLM answers for steps 2 and 3
+// Keyed by an object-hash of the step, its prompt version, the full prompt (which
+// carries the issue content or the criterion's summaries), the response schema
+// and the provider and model. Unchanged issues and criteria get their stored
+// answer back instead of a new API call; any change to one of those inputs
+// misses and asks the model again.
+import fs from 'fs';
+import path from 'path';
+import objectHash from 'object-hash';
+import { formatCost, getModelName, getModelRef, getProviderName } from './llm-provider.js';
+
+export const RESPONSE_CACHE_FILE = path.join('results', 'cache', 'llm-responses.json');
+
+let entries = {};
+let enabled = true;
+const stats = { hits: 0, misses: 0, stored: 0, savedCost: 0 };
+
+// Load the cache from disk; a disabled cache neither serves nor stores answers
+export function loadResponseCache({ disabled = false, reason = '' } = {}) {
+  entries = {};
+  enabled = !disabled;
+
+  if (disabled) {
+    console.log(`🧹 LLM response cache disabled${reason ? ` (${reason})` : ''}`);
+    return 0;
+  }
+
+  try {
+    if (fs.existsSync(RESPONSE_CACHE_FILE)) {
+      const data = JSON.parse(fs.readFileSync(RESPONSE_CACHE_FILE, 'utf8'));
+      entries = data.responses || {};
+    }
+  } catch (error) {
+    console.log(`⚠️  Could not read LLM response cache, starting fresh: ${error.message}`);
+    entries = {};
+  }
+
+  const count = Object.keys(entries).length;
+  console.log(`🗄️  LLM response cache: ${count} answers loaded from ${RESPONSE_CACHE_FILE}`);
+  return count;
+}
+
+export function saveResponseCache() {
+  if (!enabled || stats.stored === 0) return;
+
+  fs.mkdirSync(path.dirname(RESPONSE_CACHE_FILE), { recursive: true });
+  fs.writeFileSync(RESPONSE_CACHE_FILE, JSON.stringify({
+    savedAt: new Date().toISOString(),
+    responses: entries
+  }, null, 2), 'utf8');
+}
+
+export function getResponseKey(step, { promptVersion, prompt, schema }) {
+  return objectHash({
+    step,
+    promptVersion,
+    prompt,
+    schema,
+    provider: getProviderName(),
+    model: getModelName()
+  });
+}
+
+// Stored answer for a key, or null
+export function lookupResponse(key) {
+  if (!enabled) return null;
+
+  const entry = entries[key];
+  if (!entry) {
+    stats.misses++;
+    return null;
+  }
+
+  stats.hits++;
+  stats.savedCost += entry.cost || 0;
+  return entry.value;
+}
+
+// Store an answer with the estimated cost of the call that produced it
+export function storeResponse(key, step, value, cost) {
+  if (!enabled) return;
+
+  entries[key] = {
+    step,
+    model: getModelRef(),
+    value,
+    cost,
+    cachedAt: new Date().toISOString()
+  };
+  stats.stored++;
+}
+
+// Whether a key has a stored answer, without counting it as a lookup (for --estimate)
+export function hasResponse(key) {
+  return enabled && Boolean(entries[key]);
+}
+
+export function getResponseCacheStats() {
+  return { ...stats };
+}
+
+export function printResponseCacheSummary() {
+  const lookups = stats.hits + stats.misses;
+  if (!enabled || lookups === 0) return;
+
+  const hitRate = Math.round((stats.hits / lookups) * 100);
+  console.log(`🗄️  LLM response cache: ${stats.hits}/${lookups} hits (${hitRate}%), ~${formatCost(stats.savedCost)} saved`);
+}
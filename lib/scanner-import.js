@@ -0,0 +1,253 @@
+// Importers for automated scanner reports: axe-core, Pa11y and Lighthouse JSON
+// Each failing rule is mapped to WCAG success criteria and turned into one
+// evidence record per tool, rule and page. The records are written as
+// results/wcag-scanner-evidence_<timestamp>.csv, next to the detailed issues
+// CSV, and step 3 weighs them alongside the issue notes.
+import fs from 'fs';
+import path from 'path';
+import { escapeCSV } from './spreadsheet-csv.js';
+import { getCriterion } from './wcag-catalog.js';
+
+export const EVIDENCE_FILE_PREFIX = 'wcag-scanner-evidence_';
+
+// axe-core rule -> WCAG criteria. axe violations carry these as tags ('wcag143'),
+// but Lighthouse audits and Pa11y's axe runner only report the rule ID.
+// Best-practice rules (region, heading-order, landmark-*) map to no criterion.
+const AXE_RULE_CRITERIA = {
+  'area-alt': ['wcag111', 'wcag244'],
+  'aria-allowed-attr': ['wcag412'],
+  'aria-command-name': ['wcag412'],
+  'aria-hidden-body': ['wcag412'],
+  'aria-hidden-focus': ['wcag412'],
+  'aria-input-field-name': ['wcag412'],
+  'aria-meter-name': ['wcag111'],
+  'aria-progressbar-name': ['wcag111'],
+  'aria-required-attr': ['wcag412'],
+  'aria-required-children': ['wcag131'],
+  'aria-required-parent': ['wcag131'],
+  'aria-roles': ['wcag412'],
+  'aria-toggle-field-name': ['wcag412'],
+  'aria-tooltip-name': ['wcag412'],
+  'aria-valid-attr': ['wcag412'],
+  'aria-valid-attr-value': ['wcag412'],
+  'autocomplete-valid': ['wcag135'],
+  'avoid-inline-spacing': ['wcag1412'],
+  'blink': ['wcag222'],
+  'button-name': ['wcag412'],
+  'bypass': ['wcag241'],
+  'color-contrast': ['wcag143'],
+  'definition-list': ['wcag131'],
+  'dlitem': ['wcag131'],
+  'document-title': ['wcag242'],
+  'duplicate-id-aria': ['wcag412'],
+  'form-field-multiple-labels': ['wcag332'],
+  'frame-focusable-content': ['wcag211'],
+  'frame-title': ['wcag412'],
+  'html-has-lang': ['wcag311'],
+  'html-lang-valid': ['wcag311'],
+  'html-xml-lang-mismatch': ['wcag311'],
+  'image-alt': ['wcag111'],
+  'input-button-name': ['wcag412'],
+  'input-image-alt': ['wcag111'],
+  'label': ['wcag412', 'wcag131'],
+  'link-in-text-block': ['wcag141'],
+  'link-name': ['wcag244', 'wcag412'],
+  'list': ['wcag131'],
+  'listitem': ['wcag131'],
+  'marquee': ['wcag222'],
+  'meta-refresh': ['wcag221'],
+  'meta-viewport': ['wcag144'],
+  'nested-interactive': ['wcag412'],
+  'no-autoplay-audio': ['wcag142'],
+  'object-alt': ['wcag111'],
+  'role-img-alt': ['wcag111'],
+  'scrollable-region-focusable': ['wcag211'],
+  'select-name': ['wcag412', 'wcag131'],
+  'server-side-image-map': ['wcag211'],
+  'svg-img-alt': ['wcag111'],
+  'target-size': ['wcag258'],
+  'td-headers-attr': ['wcag131'],
+  'th-has-data-cells': ['wcag131'],
+  'valid-lang': ['wcag312'],
+  'video-caption': ['wcag122']
+};
+
+// Criteria from axe tags: 'wcag143' and 'wcag1411' are criteria, 'wcag2aa' and 'wcag21aa' are levels
+function criteriaFromAxeTags(tags = []) {
+  return tags.filter(tag => /^wcag\d{3,}$/.test(tag) && getCriterion(tag));
+}
+
+function criteriaForRule(ruleId, tags) {
+  const fromTags = criteriaFromAxeTags(tags);
+  return fromTags.length > 0 ? fromTags : (AXE_RULE_CRITERIA[ruleId] || []);
+}
+
+// HTML_CodeSniffer codes name the criterion: 'WCAG2AA.Principle1.Guideline1_4.1_4_3.G18.Fail' -> wcag143
+function criteriaFromHtmlcsCode(code) {
+  const match = code.match(/Guideline\d+_\d+\.(\d+)_(\d+)_(\d+)/);
+  const criterion = match ? getCriterion(`${match[1]}.${match[2]}.${match[3]}`) : null;
+  return criterion ? [criterion.code] : [];
+}
+
+// Which importer a parsed JSON report belongs to
+export function detectReportFormat(report) {
+  if (report && report.audits && (report.lighthouseVersion || report.categories)) return 'lighthouse';
+  if (Array.isArray(report) && report.length > 0 && report.every(entry => entry && Array.isArray(entry.violations))) return 'axe-core';
+  if (report && Array.isArray(report.violations)) return 'axe-core';
+  if (Array.isArray(report) && report.every(entry => entry && typeof entry.code === 'string')) return 'pa11y';
+  if (report && (Array.isArray(report.issues) || (report.results && typeof report.results === 'object'))) return 'pa11y';
+  return null;
+}
+
+// axe-core results object, or the array @axe-core/cli writes for several pages
+function importAxe(report) {
+  const runs = Array.isArray(report) ? report : [report];
+  const findings = [];
+
+  runs.forEach(run => {
+    (run.violations || []).forEach(violation => {
+      findings.push({
+        tool: 'axe-core',
+        ruleId: violation.id,
+        wcagCriteria: criteriaForRule(violation.id, violation.tags),
+        impact: violation.impact || '',
+        pageUrl: run.url || '',
+        occurrences: (violation.nodes || []).length || 1,
+        description: violation.help || violation.description || '',
+        sampleTarget: violation.nodes && violation.nodes[0] ? [].concat(violation.nodes[0].target || []).join(' ') : ''
+      });
+    });
+  });
+
+  return findings;
+}
+
+// Pa11y: `pa11y --reporter json` (an array of issues), the Node API result
+// ({ pageUrl, issues }) or pa11y-ci JSON ({ results: { <url>: [issues] } }).
+// Only errors are imported; warnings and notices need a person to check them.
+function importPa11y(report) {
+  let pages;
+  if (Array.isArray(report)) {
+    pages = [{ pageUrl: '', issues: report }];
+  } else if (Array.isArray(report.issues)) {
+    pages = [{ pageUrl: report.pageUrl || '', issues: report.issues }];
+  } else {
+    pages = Object.entries(report.results).map(([pageUrl, issues]) => ({
+      pageUrl,
+      // pa11y-ci lists pages that failed to load as a single error object
+      issues: Array.isArray(issues) ? issues : []
+    }));
+  }
+
+  const findings = [];
+  pages.forEach(({ pageUrl, issues }) => {
+    const byRule = new Map();
+    issues.filter(issue => issue.type === 'error').forEach(issue => {
+      const ruleId = issue.code;
+      if (!byRule.has(ruleId)) {
+        byRule.set(ruleId, {
+          tool: 'Pa11y',
+          ruleId,
+          wcagCriteria: issue.runner === 'axe' ? criteriaForRule(ruleId) : criteriaFromHtmlcsCode(ruleId),
+          impact: issue.runnerExtras && issue.runnerExtras.impact ? issue.runnerExtras.impact : '',
+          pageUrl,
+          occurrences: 0,
+          description: issue.message || '',
+          sampleTarget: issue.selector || ''
+        });
+      }
+      byRule.get(ruleId).occurrences++;
+    });
+    findings.push(...byRule.values());
+  });
+
+  return findings;
+}
+
+// Lighthouse JSON: failing binary audits of the accessibility category
+function importLighthouse(report) {
+  const category = report.categories && report.categories.accessibility;
+  const auditIds = category ? category.auditRefs.map(ref => ref.id) : Object.keys(report.audits);
+  const findings = [];
+
+  auditIds.forEach(auditId => {
+    const audit = report.audits[auditId];
+    if (!audit || audit.scoreDisplayMode !== 'binary' || audit.score !== 0) return;
+
+    const items = (audit.details && audit.details.items) || [];
+    findings.push({
+      tool: 'Lighthouse',
+      ruleId: auditId,
+      wcagCriteria: criteriaForRule(auditId),
+      impact: '',
+      pageUrl: report.finalUrl || report.requestedUrl || '',
+      occurrences: items.length || 1,
+      description: audit.title || '',
+      sampleTarget: items[0] && items[0].node ? items[0].node.selector || '' : ''
+    });
+  });
+
+  return findings;
+}
+
+const IMPORTERS = {
+  'axe-core': importAxe,
+  pa11y: importPa11y,
+  lighthouse: importLighthouse
+};
+
+// Read one report file; returns { format, findings, unmapped } where unmapped
+// counts the failing rules that map to no WCAG criterion (best practices)
+export function importScannerReport(file) {
+  const report = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const format = detectReportFormat(report);
+  if (!format) {
+    throw new Error('not an axe-core, Pa11y or Lighthouse JSON report');
+  }
+
+  const sourceFile = path.basename(file);
+  const all = IMPORTERS[format](report).map(finding => ({ ...finding, sourceFile }));
+  const findings = all.filter(finding => finding.wcagCriteria.length > 0);
+
+  return { format, findings, unmapped: all.length - findings.length };
+}
+
+export const EVIDENCE_HEADERS = ['WCAG SC', 'Tool', 'Rule ID', 'Impact', 'Page URL', 'Occurrences', 'Description', 'Sample Target', 'Source File', 'Imported At'];
+
+// Write the evidence records; WCAG SC holds every criterion of the rule, like the detailed issues CSV
+export function writeEvidenceFile(findings, resultsDir = 'results') {
+  fs.mkdirSync(resultsDir, { recursive: true });
+  const timestamp = new Date().toISOString().slice(0, 16).replace(/:/g, '-').replace('T', '_');
+  const outputFile = path.join(resultsDir, `${EVIDENCE_FILE_PREFIX}${timestamp}.csv`);
+  const importedAt = new Date().toISOString();
+
+  let csvContent = EVIDENCE_HEADERS.join(',') + '\n';
+  findings.forEach(finding => {
+    const row = [
+      finding.wcagCriteria.join(', '),
+      finding.tool,
+      finding.ruleId,
+      finding.impact,
+      finding.pageUrl,
+      finding.occurrences,
+      finding.description,
+      finding.sampleTarget,
+      finding.sourceFile,
+      importedAt
+    ];
+    csvContent += row.map(escapeCSV).join(',') + '\n';
+  });
+
+  fs.writeFileSync(outputFile, csvContent, 'utf8');
+  return outputFile;
+}
+
+// Latest evidence file in the results directory, or null
+export function findLatestEvidenceFile(resultsDir = 'results') {
+  if (!fs.existsSync(resultsDir)) return null;
+  const files = fs.readdirSync(resultsDir)
+    .filter(f => f.startsWith(EVIDENCE_FILE_PREFIX) && f.endsWith('.csv'))
+    .sort()
+    .reverse();
+  return files.length > 0 ? path.join(resultsDir, files[0]) : null;
+}
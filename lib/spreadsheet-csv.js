@@ -0,0 +1,62 @@
+// CSV files that people edit in spreadsheets (review files, audit exports)
+// Quoted fields may span lines, and Excel writes CRLF line endings. Every CSV
+// the scripts write quotes its cells with escapeCSV so they read back here.
+
+// Rows as arrays of trimmed values; blank rows and a UTF-8 byte order mark
+// from Excel are dropped
+export function parseCSVRows(csvContent) {
+  csvContent = csvContent.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < csvContent.length; i++) {
+    const char = csvContent[i];
+    if (char === '"') {
+      if (inQuotes && csvContent[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else {
+        inQuotes = !inQuotes;
+      }
+    } else if (char === ',' && !inQuotes) {
+      row.push(current.trim());
+      current = '';
+    } else if ((char === '\n' || char === '\r') && !inQuotes) {
+      if (char === '\r' && csvContent[i + 1] === '\n') i++;
+      row.push(current.trim());
+      if (row.some(value => value !== '')) rows.push(row);
+      row = [];
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  row.push(current.trim());
+  if (row.some(value => value !== '')) rows.push(row);
+
+  return rows;
+}
+
+// Rows as objects keyed by the header row
+export function parseCSVRecords(csvContent) {
+  const [headers, ...dataRows] = parseCSVRows(csvContent);
+  if (!headers) return [];
+  return dataRows.map(values => Object.fromEntries(headers.map((header, index) => [header, values[index] || ''])));
+}
+
+// One CSV cell, quoted when it holds a comma, quote or line break
+export function escapeCSV(field) {
+  if (field === null || field === undefined) {
+    return '';
+  }
+
+  const str = String(field);
+
+  if (str.includes('"') || str.includes(',') || str.includes('\n') || str.includes('\r')) {
+    return '"' + str.replace(/"/g, '""') + '"';
+  }
+
+  return str;
+}
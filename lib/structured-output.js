@@ -0,0 +1,95 @@
+// Structured JSON answers from the LLM
+// Steps 2 and 3 declare the fields they need as a small JSON Schema: an object of
+// string properties, some limited to an enum, and arrays of such strings. The
+// prompt asks for JSON matching the schema, the answer is parsed and validated,
+// and an answer that fails gets one repair request quoting the problems. A
+// second failure throws, so a malformed answer becomes an error row instead of a
+// silently wrong field.
+import { generateText } from './llm-provider.js';
+
+// The prompt as sent: the caller's prompt followed by the schema instructions
+export function withSchemaInstructions(prompt, schema) {
+  return `${prompt}
+
+Respond with only a JSON object (no Markdown, no other text) that matches this JSON Schema:
+${JSON.stringify(schema, null, 2)}`;
+}
+
+// Model output -> parsed object; tolerates a ```json fence or text around the object
+function parseJSON(text) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    throw new Error('response contains no JSON object');
+  }
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    throw new Error(`response is not valid JSON (${error.message})`);
+  }
+}
+
+// Problems of a parsed answer against the schema; an empty list means it is valid
+export function validateAgainstSchema(value, schema) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return ['response is not a JSON object'];
+  }
+
+  const problems = [];
+  (schema.required || []).forEach(name => {
+    if (value[name] === undefined || value[name] === null || value[name] === '') {
+      problems.push(`"${name}" is missing`);
+    }
+  });
+
+  Object.entries(schema.properties).forEach(([name, property]) => {
+    if (value[name] === undefined || value[name] === null) return;
+    if (property.type === 'string' && typeof value[name] !== 'string') {
+      problems.push(`"${name}" must be a string`);
+    } else if (property.type === 'array') {
+      const items = property.items || {};
+      if (!Array.isArray(value[name])) {
+        problems.push(`"${name}" must be an array`);
+      } else if (items.enum && value[name].some(item => !items.enum.includes(item))) {
+        problems.push(`"${name}" items must be among ${items.enum.join(', ')} (got ${JSON.stringify(value[name])})`);
+      }
+    } else if (property.enum && !property.enum.includes(value[name])) {
+      problems.push(`"${name}" must be one of ${property.enum.join(', ')} (got "${value[name]}")`);
+    }
+  });
+
+  return problems;
+}
+
+function readAnswer(text, schema) {
+  try {
+    const value = parseJSON(text);
+    return { value, problems: validateAgainstSchema(value, schema) };
+  } catch (error) {
+    return { value: null, problems: [error.message] };
+  }
+}
+
+// Ask for JSON matching `schema` and return the validated object.
+// options and fetchFn are passed on to generateText.
+export async function generateJSON(prompt, schema, options = {}, fetchFn) {
+  const fullPrompt = withSchemaInstructions(prompt, schema);
+  const firstText = await generateText(fullPrompt, { ...options, schema }, fetchFn);
+  const first = readAnswer(firstText, schema);
+  if (first.problems.length === 0) {
+    return first.value;
+  }
+
+  console.log(`   🔧 Response did not match the schema (${first.problems.join('; ')}), asking for a repair...`);
+  const repairPrompt = `${fullPrompt}
+
+Your previous response was:
+${firstText}
+
+It does not match the schema: ${first.problems.join('; ')}. Respond again with only the corrected JSON object.`;
+  const repaired = readAnswer(await generateText(repairPrompt, { ...options, schema }, fetchFn), schema);
+  if (repaired.problems.length > 0) {
+    throw new Error(`Response did not match the schema after a repair attempt: ${repaired.problems.join('; ')}`);
+  }
+  return repaired.value;
+}
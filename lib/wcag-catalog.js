@@ -0,0 +1,150 @@
+// WCAG success criteria catalog - the one list every step works from
+// Each criterion has its number, name, conformance level, the WCAG version that
+// introduced it, its Drupal.org tags (the first is the tag step 1 searches) and
+// the positive statement step 4 uses when the criterion is supported.
+// tools/check-wcag-catalog.js checks it against the published WCAG 2.0, 2.1 and 2.2 lists.
+
+export const WCAG_VERSIONS = ['2.0', '2.1', '2.2'];
+
+// Criteria WCAG 2.2 made obsolete; ACRs against earlier versions still report them
+const REMOVED = { '4.1.1': '2.2' };
+
+function criterion(num, name, level, version, statement) {
+  const code = `wcag${num.replace(/\./g, '')}`;
+  return {
+    num,
+    code,
+    name,
+    level,
+    version,
+    removedIn: REMOVED[num] || null,
+    tags: [code, `wcag${num}`],
+    statement
+  };
+}
+
+export const WCAG_CRITERIA = [
+  // Principle 1: Perceivable
+  criterion('1.1.1', 'Non-text Content', 'A', '2.0', "Images and form elements have text alternatives that adequately describe the purpose and meaning"),
+  criterion('1.2.1', 'Audio-only and Video-only (Prerecorded)', 'A', '2.0', "Prerecorded audio and video are presented with captions, transcripts, or links to equivalent content"),
+  criterion('1.2.2', 'Captions (Prerecorded)', 'A', '2.0', "Audio recordings and videos with sound have synchronized captions"),
+  criterion('1.2.3', 'Audio Description or Media Alternative (Prerecorded)', 'A', '2.0', "Audio description is provided for pre-recorded video"),
+  criterion('1.2.4', 'Captions (Live)', 'AA', '2.0', "Live audio/video feeds have captions"),
+  criterion('1.2.5', 'Audio Description (Prerecorded)', 'AA', '2.0', "Meaningful information that's not conveyed in dialogue is described in captions"),
+  criterion('1.2.6', 'Sign Language (Prerecorded)', 'AAA', '2.0', "Sign Language interpretation is provided for audio content"),
+  criterion('1.2.7', 'Extended Audio Description (Prerecorded)', 'AAA', '2.0', "Extended audio description is provided for video content where pauses in dialogue are insufficient"),
+  criterion('1.2.8', 'Media Alternative (Prerecorded)', 'AAA', '2.0', "A full text alternative is provided for pre-recorded synchronized media"),
+  criterion('1.2.9', 'Audio-only (Live)', 'AAA', '2.0', "Audio-only live content has alternative access methods"),
+  criterion('1.3.1', 'Info and Relationships', 'A', '2.0', "The meaning conveyed by visual elements is the same when communicated programmatically for assistive technology users"),
+  criterion('1.3.2', 'Meaningful Sequence', 'A', '2.0', "Keyboard users navigate the page in the same order the content is presented (top down, left to right)"),
+  criterion('1.3.3', 'Sensory Characteristics', 'A', '2.0', "Descriptions and instructions don't rely on visual cues, like color or position"),
+  criterion('1.3.4', 'Orientation', 'AA', '2.1', "On a mobile device, the site is fully functional whether in portrait or landscape orientation"),
+  criterion('1.3.5', 'Identify Input Purpose', 'AA', '2.1', "Form inputs are correctly labeled for screen reader users"),
+  criterion('1.3.6', 'Identify Purpose', 'AAA', '2.1', "The purpose of user interface components can be programmatically determined"),
+  criterion('1.4.1', 'Use of Color', 'A', '2.0', "Links and form elements use more than color (underlines, outlines) to convey state"),
+  criterion('1.4.2', 'Audio Control', 'A', '2.0', "Users can pause or stop automated audio/video and control its volume in the UI"),
+  criterion('1.4.3', 'Contrast (Minimum)', 'AA', '2.0', "Text and links meet and often exceed minimum color contrast requirements"),
+  criterion('1.4.4', 'Resize Text', 'AA', '2.0', "The site remains legible and fully functional when users zoom the screen by 200% or more"),
+  criterion('1.4.5', 'Images of Text', 'AA', '2.0', "Text is only baked into an image when it needs to be, like for the site logo"),
+  criterion('1.4.6', 'Contrast (Enhanced)', 'AAA', '2.0', "Text has a contrast ratio of at least 7:1 with its background"),
+  criterion('1.4.7', 'Low or No Background Audio', 'AAA', '2.0', "Audio content has minimal or no background noise to aid comprehension"),
+  criterion('1.4.8', 'Visual Presentation', 'AAA', '2.0', "Text presentation can be customized without loss of content or functionality"),
+  criterion('1.4.9', 'Images of Text (No Exception)', 'AAA', '2.0', "Images of text are used only for decoration or when essential to the information"),
+  criterion('1.4.10', 'Reflow', 'AA', '2.1', "The site uses responsive development techniques so that content and functionality are retained regardless of device or viewport size (mobile, tablet, desktop)"),
+  criterion('1.4.11', 'Non-text Contrast', 'AA', '2.1', "Form elements and buttons meet and often exceed minimum color contrast requirements"),
+  criterion('1.4.12', 'Text Spacing', 'AA', '2.1', "Line height, letter, paragraph, and word spacing meet size requirements relative to font size"),
+  criterion('1.4.13', 'Content on Hover or Focus', 'AA', '2.1', "Tooltips, which appear on hover and focus, persist until the user moves the pointer or focus elsewhere"),
+
+  // Principle 2: Operable
+  criterion('2.1.1', 'Keyboard', 'A', '2.0', "Interactive elements are navigable and usable with keyboard commands"),
+  criterion('2.1.2', 'No Keyboard Trap', 'A', '2.0', "Users can move focus to/from interactive elements with keyboard alone"),
+  criterion('2.1.3', 'Keyboard (No Exception)', 'AAA', '2.0', "All page functionality is available from a keyboard without requiring specific timings"),
+  criterion('2.1.4', 'Character Key Shortcuts', 'A', '2.1', "Custom character shortcuts are scoped to a focus event, use modifier keys, or can be customized or disabled"),
+  criterion('2.2.1', 'Timing Adjustable', 'A', '2.0', "Users can turn off or modify timers or time limits"),
+  criterion('2.2.2', 'Pause, Stop, Hide', 'A', '2.0', "Users can pause animations or auto-updating content"),
+  criterion('2.2.3', 'No Timing', 'AAA', '2.0', "Timing is not an essential part of the event or activity"),
+  criterion('2.2.4', 'Interruptions', 'AAA', '2.0', "Interruptions can be postponed or suppressed by the user"),
+  criterion('2.2.5', 'Re-authenticating', 'AAA', '2.0', "When a session expires, the user can continue without loss of data"),
+  criterion('2.2.6', 'Timeouts', 'AAA', '2.1', "Users are warned of the duration of inactivity that will cause data loss"),
+  criterion('2.3.1', 'Three Flashes or Below Threshold', 'A', '2.0', "Pages don't have flashing content that exceeds flashing content thresholds"),
+  criterion('2.3.2', 'Three Flashes', 'AAA', '2.0', "Web pages do not contain content that flashes more than three times in any one second period"),
+  criterion('2.3.3', 'Animation from Interactions', 'AAA', '2.1', "Animation from interactions can be disabled unless essential to functionality"),
+  criterion('2.4.1', 'Bypass Blocks', 'A', '2.0', "Users can skip repeated navigation elements and go straight to main content"),
+  criterion('2.4.2', 'Page Titled', 'A', '2.0', "Web pages have a descriptive title"),
+  criterion('2.4.3', 'Focus Order', 'A', '2.0', "Focusable elements appear in the same order the content is presented (top down, left to right)"),
+  criterion('2.4.4', 'Link Purpose (In Context)', 'A', '2.0', "Screen reader users can determine a link's purpose by its text and surrounding context"),
+  criterion('2.4.5', 'Multiple Ways', 'AA', '2.0', "Users can reach pages by using search, global navigation, sidebar navigation, or links within page content"),
+  criterion('2.4.6', 'Headings and Labels', 'AA', '2.0', "Headings and labels are accurately described"),
+  criterion('2.4.7', 'Focus Visible', 'AA', '2.0', "Interactive elements have a visible focus state when navigating by keyboard"),
+  criterion('2.4.8', 'Location', 'AAA', '2.0', "Information about the user's location within a website is available"),
+  criterion('2.4.9', 'Link Purpose (Link Only)', 'AAA', '2.0', "Link purpose can be identified from link text alone"),
+  criterion('2.4.10', 'Section Headings', 'AAA', '2.0', "Section headings are used to organize content"),
+  criterion('2.4.11', 'Focus Not Obscured (Minimum)', 'AA', '2.2', "Interactive elements are at least partially visible (not obscured by other content) when focused"),
+  criterion('2.4.12', 'Focus Not Obscured (Enhanced)', 'AAA', '2.2', "Interactive elements are fully visible (not obscured by other content) when focused"),
+  criterion('2.4.13', 'Focus Appearance', 'AAA', '2.2', "Keyboard focus indicators are large enough and have enough contrast to be clearly visible"),
+  criterion('2.5.1', 'Pointer Gestures', 'A', '2.1', "Alternative methods using tap or a click are provided for path-based gestures (scrolling, drawing, zooming the page)"),
+  criterion('2.5.2', 'Pointer Cancellation', 'A', '2.1', "Users can dismiss, cancel, or undo single-pointer actions"),
+  criterion('2.5.3', 'Label in Name', 'A', '2.1', "Interactive elements have a programmatically derived accessible name that begins with or matches its visible label"),
+  criterion('2.5.4', 'Motion Actuation', 'A', '2.1', "Motion actuation functionality can be disabled to prevent accidental triggering"),
+  criterion('2.5.5', 'Target Size (Enhanced)', 'AAA', '2.1', "The size of the target for pointer inputs is at least 44 by 44 CSS pixels"),
+  criterion('2.5.6', 'Concurrent Input Mechanisms', 'AAA', '2.1', "Input mechanisms are available for users who cannot perform complex gestures"),
+  criterion('2.5.7', 'Dragging Movements', 'AA', '2.2', "When dragging actions are required, users have an alternate, single-pointer action like tap or click to perform the same task"),
+  criterion('2.5.8', 'Target Size (Minimum)', 'AA', '2.2', "Interactive elements are at least 24x24 pixels or have sufficient space around them to prevent errant clicks, unless they're part of a sentence"),
+
+  // Principle 3: Understandable
+  criterion('3.1.1', 'Language of Page', 'A', '2.0', "Pages have a 'lang' attribute that identifies the main language used for content"),
+  criterion('3.1.2', 'Language of Parts', 'AA', '2.0', "Sections of content that do not use the main page language have a 'lang' attribute that identifies the language used"),
+  criterion('3.1.3', 'Unusual Words', 'AAA', '2.0', "The meaning of unusual words, phrases, idioms, and abbreviations can be determined"),
+  criterion('3.1.4', 'Abbreviations', 'AAA', '2.0', "The expansion or explanation of abbreviations can be determined"),
+  criterion('3.1.5', 'Reading Level', 'AAA', '2.0', "Reading level is lower secondary education level or supplemental content is available"),
+  criterion('3.1.6', 'Pronunciation', 'AAA', '2.0', "The pronunciation of words where meanings is ambiguous can be determined"),
+  criterion('3.2.1', 'On Focus', 'A', '2.0', "No major changes to the page that could disorient users are made on focus"),
+  criterion('3.2.2', 'On Input', 'A', '2.0', "No major changes to the page that could disorient users are made when a field changes value, unless the change is expected"),
+  criterion('3.2.3', 'Consistent Navigation', 'AA', '2.0', "Navigation elements appear in the same location and order across the site"),
+  criterion('3.2.4', 'Consistent Identification', 'AA', '2.0', "Interactive elements with the same function have the same name, role, and behavior"),
+  criterion('3.2.5', 'Change on Request', 'AAA', '2.0', "Changes of context are initiated only by user request or a mechanism is available to turn off such changes"),
+  criterion('3.2.6', 'Consistent Help', 'A', '2.2', "Help mechanisms, such as contact details or a help link, appear in the same relative order on every page"),
+  criterion('3.3.1', 'Error Identification', 'A', '2.0', "Error messages are provided in text"),
+  criterion('3.3.2', 'Labels or Instructions', 'A', '2.0', "Fields for user input have text labels or instructions"),
+  criterion('3.3.3', 'Error Suggestion', 'AA', '2.0', "Corrective actions are suggested when users make an input error"),
+  criterion('3.3.4', 'Error Prevention (Legal, Financial, Data)', 'AA', '2.0', "Forms that collect user data can be reviewed and confirmed or corrected"),
+  criterion('3.3.5', 'Help', 'AAA', '2.0', "Context-sensitive help is available"),
+  criterion('3.3.6', 'Error Prevention (All)', 'AAA', '2.0', "Error prevention mechanisms are provided for submissions that are irreversible or financial"),
+  criterion('3.3.7', 'Redundant Entry', 'A', '2.2', "Information users already entered in a process is filled in automatically or available to select"),
+  criterion('3.3.8', 'Accessible Authentication (Minimum)', 'AA', '2.2', "Logging in does not rely on a cognitive function test, like remembering a password or solving a puzzle, unless an alternative is offered"),
+  criterion('3.3.9', 'Accessible Authentication (Enhanced)', 'AAA', '2.2', "Logging in does not rely on any cognitive function test, including recognizing objects or images, unless an alternative is offered"),
+
+  // Principle 4: Robust
+  criterion('4.1.1', 'Parsing', 'A', '2.0', "Parsing of markup does not cause errors for assistive technologies"),
+  criterion('4.1.2', 'Name, Role, Value', 'A', '2.0', "Interactive elements have a programmatically derived accessible name, role, and value/state"),
+  criterion('4.1.3', 'Status Messages', 'AA', '2.1', "Status messages are announced to users without having to focus on status message content")
+];
+
+// Tag, alias and number -> criterion, all lower case without spaces
+const lookup = new Map();
+WCAG_CRITERIA.forEach(entry => {
+  [entry.num, ...entry.tags].forEach(key => lookup.set(key.toLowerCase(), entry));
+});
+
+// Criterion for 'wcag143', 'wcag1.4.3', '1.4.3' or 'WCAG 1.4.3'; null when unknown
+export function getCriterion(value) {
+  if (!value) return null;
+  return lookup.get(String(value).toLowerCase().replace(/\s+/g, '')) || null;
+}
+
+// Criteria that are part of a WCAG version: everything introduced up to it,
+// minus the criteria it made obsolete
+export function getCriteriaForVersion(version) {
+  const index = WCAG_VERSIONS.indexOf(version);
+  if (index === -1) {
+    throw new Error(`unknown WCAG version "${version}" (expected one of: ${WCAG_VERSIONS.join(', ')})`);
+  }
+  return WCAG_CRITERIA.filter(entry => WCAG_VERSIONS.indexOf(entry.version) <= index
+    && !(entry.removedIn && WCAG_VERSIONS.indexOf(entry.removedIn) <= index));
+}
+
+// "wcag143 (1.4.3 Contrast (Minimum), Level AA)" for prompts; unknown tags as they are
+export function describeCriterion(value) {
+  const entry = getCriterion(value);
+  return entry ? `${entry.code} (${entry.num} ${entry.name}, Level ${entry.level})` : value;
+}
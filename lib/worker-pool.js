@@ -0,0 +1,23 @@
+// Bounded-concurrency worker pool
+// Runs worker(item, index) on up to `concurrency` items at a time and returns
+// the results in input order, so CSVs written from them stay in a stable order
+// however the requests interleave. The rate limiter still paces each request;
+// the pool only decides how many items are in progress.
+//
+// Workers are expected to handle their own errors: the first one that throws
+// rejects the pool, and items already started run to completion.
+export async function mapWithConcurrency(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runWorker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  const size = Math.min(Math.max(1, Math.floor(concurrency) || 1), items.length);
+  await Promise.all(Array.from({ length: size }, runWorker));
+  return results;
+}
@@ -14,9 +14,10 @@
  */
 
 import { spawn } from 'child_process';
-import { existsSync } from 'fs';
+import { existsSync, readFileSync } from 'fs';
 import { readdir } from 'fs/promises';
 import path from 'path';
+import { PROVIDER_NAMES, getProviderConfigError } from './lib/llm-provider.js';
 
 const RESULTS_DIR = 'results';
 
@@ -51,7 +52,36 @@ function showUsage() {
   log('  --from <1-4>   Start from a specific step');
   log('  --to <1-4>     Stop at a specific step');
   log('  --dry-run      Show what would be executed without running');
-  log('  --verbose      Show detailed progress information\n');
+  log('  --verbose      Show detailed progress information');
+  log('  --source <api|html|rss>  Issue source for step 1 (default: html)');
+  log('  --max-pages <n>          Result pages followed per criterion in step 1 (default: 20)');
+  log('  --status <open|closed|all>  Issue status scope for step 1 (default: open)');
+  log('  --since <YYYY-MM-DD>     Only keep closed/fixed issues resolved on or after this date');
+  log('  --full                   Ignore the step 1 issue cache and refetch every issue');
+  log('  --resume                 Continue interrupted step 1 and step 2 runs where they stopped');
+  log('  --retry-errors           Step 2 re-runs only the issues whose summaries failed');
+  log('  --remove-unsupported-claims  Step 2 drops developer note sentences the issue data does not support');
+  log('  --retry-blocked          Re-run only the criteria step 1 reported as blocked');
+  log('  --skip-mr-status         Skip the GitLab merge request status lookup in step 1');
+  log('  --discover               Also find untagged accessibility issues for review in step 1');
+  log('  --no-cache               Ask the LLM again in steps 2-3 even when inputs are unchanged');
+  log('  --prompt-dir <dir>       Override prompt templates for steps 2-3 from <dir>');
+  log('  --estimate               Price the LLM calls of steps 2-3 and exit without making them');
+  log('  --max-cost <usd>         LLM spending cap for the whole run of steps 2-3 (default: no limit)');
+  log('  --audit <file>           Step 1 imports a manual audit CSV/XLSX instead of extracting');
+  log('  --audit-mapping <file>   Column mapping (JSON) for --audit');
+  log('  --audit-with-issues      Keep the latest detailed CSV rows next to the --audit findings');
+  log('  --drupal-rpm <n>         Drupal.org requests per minute in steps 1-2 (default: 20)');
+  log('  --gitlab-rpm <n>         GitLab API requests per minute in step 1 (default: 60)');
+  log('  --provider <name>        LLM provider for steps 1-3: gemini, openai, anthropic or mock (default: gemini)');
+  log('  --model <name>           LLM model for steps 1-3 (default: per provider)');
+  log('  --llm-rpm <n>            LLM API requests per minute in steps 1-3 (default: 20)');
+  log('  --drupal-concurrency <n> Drupal.org requests in flight at once (default: 2)');
+  log('  --gitlab-concurrency <n> GitLab API requests in flight at once (default: 4)');
+  log('  --llm-concurrency <n>    LLM API requests in flight at once (default: 4)');
+  log('  --max-requests <n>       Request budget for each of steps 1-3 (default: no limit)');
+  log('  --record <dir>           Save every HTTP response of steps 1-3 to <dir>');
+  log('  --replay <dir>           Run steps 1-3 offline from responses saved with --record\n');
   
   log('Steps:', colors.bright);
   log('  1. Extract WCAG issues from Drupal.org');
@@ -64,16 +94,20 @@ function showUsage() {
   log('  node run-acr-workflow.js --step 2     # Run only AI summaries');
   log('  node run-acr-workflow.js --from 3     # Run steps 3-4');
   log('  node run-acr-workflow.js --skip 1     # Run steps 2-4');
-  log('  node run-acr-workflow.js --dry-run    # Show execution plan\n');
+  log('  node run-acr-workflow.js --dry-run    # Show execution plan');
+  log('  node run-acr-workflow.js --estimate   # Price the AI steps before running them');
+  log('  node run-acr-workflow.js --source api # Extract via the Drupal.org REST API\n');
   
   log('Prerequisites:', colors.bright);
   log('  • Node.js 18+ installed');
-  log('  • GEMINI_API_KEY environment variable set (for step 2)');
+  log('  • API key of the LLM provider set (for step 2): GEMINI_API_KEY, OPENAI_API_KEY or ANTHROPIC_API_KEY');
+  log('    (none needed for --provider mock or a local OpenAI-compatible server in OPENAI_BASE_URL)');
   log('  • .env file with API key (alternative to environment variable)\n');
   
   log('Environment Setup:', colors.bright);
   log('  cp .env.example .env');
-  log('  # Edit .env and add: GEMINI_API_KEY=your-api-key-here\n');
+  log('  # Edit .env and add: GEMINI_API_KEY=your-api-key-here');
+  log('  # or LLM_PROVIDER=openai|anthropic with OPENAI_API_KEY/ANTHROPIC_API_KEY\n');
 }
 
 async function runCommand(command, args = [], options = {}) {
@@ -107,7 +141,7 @@ async function findLatestFile(pattern) {
   try {
     const files = await readdir(RESULTS_DIR);
     const matchingFiles = files
-      .filter(file => file.includes(pattern))
+      .filter(file => file.includes(pattern) && !file.endsWith('.threads.json') && !file.endsWith('.cost.json'))
       .sort()
       .reverse();
     
@@ -117,7 +151,27 @@ async function findLatestFile(pattern) {
   }
 }
 
-async function checkPrerequisites() {
+// LLM spend since the workflow started, from the runs the .cost.json files next
+// to the step 2 and 3 CSVs record (a resumed step 2 adds its run to an older file)
+async function getCostSpentSince(startedAt) {
+  let spent = 0;
+  try {
+    const files = (await readdir(RESULTS_DIR)).filter(file => file.endsWith('.cost.json'));
+    files.forEach(file => {
+      try {
+        const { runs = [] } = JSON.parse(readFileSync(path.join(RESULTS_DIR, file), 'utf8'));
+        spent += runs.filter(run => run.finishedAt >= startedAt).reduce((sum, run) => sum + (run.cost || 0), 0);
+      } catch (error) {
+        log(`⚠️  Could not read ${file}: ${error.message}`, colors.yellow);
+      }
+    });
+  } catch (error) {
+    // No results directory yet, so nothing spent
+  }
+  return spent;
+}
+
+async function checkPrerequisites(provider) {
   log('\n🔍 Checking Prerequisites...', colors.bright);
   
   // Check if results directory exists
@@ -126,20 +180,20 @@ async function checkPrerequisites() {
     await import('fs/promises').then(fs => fs.mkdir(RESULTS_DIR, { recursive: true }));
   }
   
-  // Check for API key (needed for step 2)
-  const hasApiKey = process.env.GEMINI_API_KEY || existsSync('.env');
+  // Check for the LLM provider's API key (needed for step 2)
+  const configError = getProviderConfigError(provider);
+  const hasApiKey = !configError || existsSync('.env');
   if (!hasApiKey) {
-    log('⚠️  GEMINI_API_KEY not found in environment or .env file', colors.yellow);
+    log(`⚠️  ${configError}`, colors.yellow);
     log('   Step 2 (AI summaries) will fail without an API key', colors.yellow);
-    log('   Get your key from: https://aistudio.google.com/app/apikey', colors.yellow);
   } else {
-    log('✅ GEMINI_API_KEY found', colors.green);
+    log(`✅ LLM provider ${provider} configured${configError ? ' (API key expected in .env)' : ''}`, colors.green);
   }
   
   return hasApiKey;
 }
 
-async function executeStep(stepNumber, dryRun = false, verbose = false) {
+async function executeStep(stepNumber, dryRun = false, verbose = false, extraArgs = [], auditArgs = null) {
   const steps = [
     {
       name: 'Extract WCAG Issues',
@@ -171,7 +225,18 @@ async function executeStep(stepNumber, dryRun = false, verbose = false) {
     throw new Error(`Invalid step number: ${stepNumber}. Must be 1-${steps.length}`);
   }
   
+  // --audit: step 1 imports the audit spreadsheet in the same detailed issues shape
+  if (auditArgs) {
+    steps[0] = {
+      name: 'Import Manual Audit',
+      command: 'node',
+      args: ['import-audit-findings.js'],
+      description: 'Imports manual audit findings as detailed issues for steps 2-4'
+    };
+  }
+  
   const step = steps[stepNumber - 1];
+  step.args.push(...(stepNumber === 1 && auditArgs ? auditArgs : extraArgs));
   
   log(`\n📋 Step ${stepNumber}: ${step.name}`, colors.bright + colors.magenta);
   log(`   ${step.description}`, colors.magenta);
@@ -232,6 +297,13 @@ async function main() {
   let skipStep = null;
   let fromStep = 1;
   let toStep = 4;
+  const stepArgs = { 1: [], 2: [], 3: [], 4: [] };
+  let replaying = false;
+  let estimate = false;
+  let provider = (process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+  let auditFile = null;
+  const auditOptions = [];
+  let maxCost = null;
   
   for (let i = 0; i < args.length; i++) {
     const arg = args[i];
@@ -259,6 +331,91 @@ async function main() {
       case '--to':
         toStep = parseInt(args[++i]);
         break;
+      case '--source':
+        stepArgs[1].push('--source', args[++i]);
+        break;
+      case '--max-pages':
+        stepArgs[1].push('--max-pages', args[++i]);
+        break;
+      case '--full':
+        stepArgs[1].push('--full');
+        break;
+      case '--status':
+        stepArgs[1].push('--status', args[++i]);
+        break;
+      case '--since':
+        stepArgs[1].push('--since', args[++i]);
+        break;
+      case '--resume':
+        stepArgs[1].push('--resume');
+        stepArgs[2].push('--resume');
+        break;
+      case '--retry-errors':
+        stepArgs[2].push('--retry-errors');
+        break;
+      case '--remove-unsupported-claims':
+        stepArgs[2].push('--remove-unsupported-claims');
+        break;
+      case '--retry-blocked':
+        stepArgs[1].push('--retry-blocked');
+        break;
+      case '--skip-mr-status':
+        stepArgs[1].push('--skip-mr-status');
+        break;
+      case '--discover':
+        stepArgs[1].push('--discover');
+        break;
+      case '--no-cache':
+        stepArgs[2].push('--no-cache');
+        stepArgs[3].push('--no-cache');
+        break;
+      case '--prompt-dir': {
+        const dir = args[++i];
+        [2, 3].forEach(step => stepArgs[step].push(arg, dir));
+        break;
+      }
+      case '--estimate':
+        stepArgs[2].push('--estimate');
+        stepArgs[3].push('--estimate');
+        estimate = true;
+        break;
+      case '--audit':
+        auditFile = args[++i];
+        break;
+      case '--audit-mapping':
+        auditOptions.push('--mapping', args[++i]);
+        break;
+      case '--audit-with-issues':
+        auditOptions.push('--with-issues');
+        break;
+      case '--drupal-rpm':
+      case '--gitlab-rpm':
+      case '--llm-rpm':
+      case '--drupal-concurrency':
+      case '--gitlab-concurrency':
+      case '--llm-concurrency':
+      case '--max-requests': {
+        const value = args[++i];
+        [1, 2, 3].forEach(step => stepArgs[step].push(arg, value));
+        break;
+      }
+      case '--max-cost':
+        maxCost = Number(String(args[++i]).replace(/^\$/, ''));
+        break;
+      case '--provider':
+      case '--model': {
+        const value = args[++i];
+        [1, 2, 3].forEach(step => stepArgs[step].push(arg, value));
+        if (arg === '--provider') provider = value.toLowerCase();
+        break;
+      }
+      case '--record':
+      case '--replay': {
+        const dir = args[++i];
+        [1, 2, 3].forEach(step => stepArgs[step].push(arg, dir));
+        if (arg === '--replay') replaying = true;
+        break;
+      }
       default:
         if (arg.startsWith('--')) {
           log(`❌ Unknown option: ${arg}`, colors.red);
@@ -289,20 +446,43 @@ async function main() {
     process.exit(1);
   }
   
+  if (!PROVIDER_NAMES.includes(provider)) {
+    log(`❌ Unknown LLM provider: ${provider} (expected one of: ${PROVIDER_NAMES.join(', ')})`, colors.red);
+    process.exit(1);
+  }
+  
+  if (maxCost === null && process.env.LLM_MAX_COST) {
+    maxCost = Number(String(process.env.LLM_MAX_COST).replace(/^\$/, ''));
+  }
+  if (maxCost !== null && (!Number.isFinite(maxCost) || maxCost <= 0)) {
+    log('❌ --max-cost must be a positive amount in USD', colors.red);
+    process.exit(1);
+  }
+  
+  if (auditOptions.length > 0 && !auditFile) {
+    log('❌ --audit-mapping and --audit-with-issues need --audit <file>', colors.red);
+    process.exit(1);
+  }
+  const auditArgs = auditFile ? [auditFile, ...auditOptions] : null;
+  
   try {
     log('🚀 Drupal ACR Generator', colors.bright + colors.blue);
     log('======================', colors.blue);
     
-    const hasApiKey = await checkPrerequisites();
+    // Replayed runs serve LLM responses from disk and estimates make no calls, so neither needs a key
+    const hasApiKey = await checkPrerequisites(provider) || replaying || estimate;
     
     if (specificStep) {
       // Run only specific step
       if (specificStep === 2 && !hasApiKey && !dryRun) {
-        log('\n❌ Cannot run step 2 without GEMINI_API_KEY', colors.red);
+        log(`\n❌ Cannot run step 2 without an API key for the ${provider} provider`, colors.red);
         process.exit(1);
       }
       
-      await executeStep(specificStep, dryRun, verbose);
+      if (maxCost && (specificStep === 2 || specificStep === 3)) {
+        stepArgs[specificStep].push('--max-cost', String(maxCost));
+      }
+      await executeStep(specificStep, dryRun, verbose, stepArgs[specificStep], auditArgs);
     } else {
       // Run range of steps
       const stepsToRun = [];
@@ -312,8 +492,13 @@ async function main() {
         }
       }
       
+      // --estimate prices steps 2-3 only; step 3 is priced from the latest existing summaries
+      if (estimate) {
+        stepsToRun.splice(0, stepsToRun.length, ...stepsToRun.filter(step => step === 2 || step === 3));
+      }
+      
       if (stepsToRun.includes(2) && !hasApiKey && !dryRun) {
-        log('\n❌ Cannot run step 2 without GEMINI_API_KEY', colors.red);
+        log(`\n❌ Cannot run step 2 without an API key for the ${provider} provider`, colors.red);
         log('   Either set up your API key or use --skip 2', colors.red);
         process.exit(1);
       }
@@ -322,12 +507,26 @@ async function main() {
         log('\n📋 Execution Plan:', colors.bright);
       }
       
+      // --max-cost covers the whole run: steps 2 and 3 each get what earlier steps left
+      const startedAt = new Date().toISOString();
       for (const step of stepsToRun) {
-        await executeStep(step, dryRun, verbose);
+        if (maxCost && (step === 2 || step === 3)) {
+          const remaining = Math.floor((maxCost - await getCostSpentSince(startedAt)) * 1000000) / 1000000;
+          if (remaining <= 0) {
+            log(`\n🛑 The --max-cost cap of $${maxCost} was spent before step ${step} - stopping the workflow`, colors.yellow);
+            log(`   Continue with a new cap: node run-acr-workflow.js --from ${step} --resume --max-cost <usd>`, colors.yellow);
+            process.exitCode = 1;
+            return;
+          }
+          stepArgs[step].push('--max-cost', String(remaining));
+        }
+        await executeStep(step, dryRun, verbose, stepArgs[step], auditArgs);
       }
     }
     
-    if (!dryRun) {
+    if (estimate && !dryRun) {
+      log('\n💰 Estimate completed, no LLM calls were made. Run without --estimate to execute.', colors.yellow);
+    } else if (!dryRun) {
       log('\n🎉 Workflow completed successfully!', colors.bright + colors.green);
       log('\n💡 Next steps:', colors.bright);
       log('• Review generated files in the results/ directory');
@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+
+/**
+ * Runs step 1 with the API source against the api-d7 stub server, with merge
+ * requests looked up in the GitLab API stub, and checks the detailed CSV and
+ * thread sidecar it writes from fixtures/drupal-api and fixtures/gitlab-api:
+ *
+ *   node tools/check-drupal-api-stub.js      (npm test)
+ *
+ * Also checks that the stub refuses request parameters that would read files
+ * outside the fixtures. Step 1 runs in a temporary workspace; exits with
+ * status 1 when any check fails.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { parseCSVRecords } from '../lib/spreadsheet-csv.js';
+
+const ROOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const STUB_PORT = parseInt(process.env.STUB_PORT || '8789', 10);
+const API_BASE = `http://localhost:${STUB_PORT}/api-d7`;
+const GITLAB_STUB_PORT = parseInt(process.env.GITLAB_STUB_PORT || '8790', 10);
+const GITLAB_API_BASE = `http://localhost:${GITLAB_STUB_PORT}/api/v4`;
+
+// Open issues the fixtures tag with wcag criteria, and the criteria step 1 should
+// give each; 3111111 is Closed (fixed) and stays out of the default open scope
+const EXPECTED_ISSUES = {
+  3222222: ['wcag131'],
+  3333333: ['wcag131', 'wcag412'],
+  3444444: ['wcag143', 'wcag1411']
+};
+const OUT_OF_SCOPE = ['3111111'];
+
+// Merge Requests cells from the GitLab fixtures: !8123 is open with its pipeline
+// on the MR itself, !45 is merged and its pipeline comes from the pipelines list
+const EXPECTED_MERGE_REQUESTS = {
+  3222222: '!8123 open, mergeable, pipeline failed, 2025-04-20',
+  3333333: '!45 merged, pipeline success, 2025-03-02'
+};
+
+const failures = [];
+const check = (ok, message) => {
+  if (!ok) failures.push(message);
+};
+
+// Run a node script to completion, resolving with its exit code and output
+function runNode(args, options) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, args, { ...options, stdio: ['ignore', 'pipe', 'pipe'] });
+    let output = '';
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.stderr.on('data', chunk => { output += chunk; });
+    const timer = setTimeout(() => child.kill(), 240000);
+    child.on('error', reject);
+    child.on('close', code => {
+      clearTimeout(timer);
+      resolve({ code, output });
+    });
+  });
+}
+
+// Start a stub server and wait for its listening message
+function startStub(script, port) {
+  return new Promise((resolve, reject) => {
+    const stub = spawn(process.execPath, [path.join(ROOT_DIR, 'tools', script), String(port)], { stdio: ['ignore', 'pipe', 'pipe'] });
+    let output = '';
+    const onData = chunk => {
+      output += chunk;
+      if (output.includes('listening')) {
+        stub.stdout.off('data', onData);
+        stub.stdout.resume();
+        resolve(stub);
+      }
+    };
+    stub.stdout.on('data', onData);
+    stub.stderr.on('data', chunk => { output += chunk; });
+    stub.on('error', reject);
+    stub.on('close', code => reject(new Error(`stub server exited with code ${code}: ${output.trim()}`)));
+  });
+}
+
+async function checkTraversal() {
+  const requests = [
+    '/api-d7/taxonomy_term.json?name=../../../package',
+    '/api-d7/taxonomy_term.json?name=..%2F..%2F..%2Fpackage',
+    '/api-d7/taxonomy_term.json?name=%2Fetc%2Fpasswd',
+    '/api-d7/node.json?taxonomy_vocabulary_9=../../../package'
+  ];
+  for (const request of requests) {
+    const response = await fetch(`http://localhost:${STUB_PORT}${request}`);
+    const body = await response.text();
+    check(!body.includes('"scripts"') && !body.includes('root:'), `stub served a file outside the fixtures for ${request}`);
+  }
+}
+
+async function checkStepOne() {
+  const workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'acr-api-stub-'));
+  const { code, output } = await runNode([
+    path.join(ROOT_DIR, 'extract-wcag-issues.js'), '--source', 'api', '--drupal-rpm', '100000', '--gitlab-rpm', '100000'
+  ], { cwd: workspace, env: { ...process.env, DRUPAL_API_BASE: API_BASE, GITLAB_API_BASE } });
+
+  const resultsDir = path.join(workspace, 'results');
+  const csvFile = fs.existsSync(resultsDir)
+    ? fs.readdirSync(resultsDir).find(file => file.startsWith('wcag-detailed-issues_') && file.endsWith('.csv'))
+    : null;
+  check(code === 0, `step 1 exited with code ${code}`);
+  check(Boolean(csvFile), 'step 1 wrote no wcag-detailed-issues CSV');
+
+  if (csvFile) {
+    const rows = parseCSVRecords(fs.readFileSync(path.join(resultsDir, csvFile), 'utf8'));
+    const threads = JSON.parse(fs.readFileSync(path.join(resultsDir, csvFile.replace(/\.csv$/, '.threads.json')), 'utf8')).issues;
+
+    Object.entries(EXPECTED_ISSUES).forEach(([issueId, criteria]) => {
+      const row = rows.find(candidate => candidate['Issue ID'] === issueId);
+      if (!row) {
+        failures.push(`issue ${issueId} is missing from the detailed CSV`);
+        return;
+      }
+      const actual = row['WCAG SC'].split(',').map(sc => sc.trim()).sort();
+      check(actual.join(', ') === [...criteria].sort().join(', '), `issue ${issueId} has criteria "${row['WCAG SC']}", expected "${criteria.join(', ')}"`);
+      check(row['Status'] && row['Reporter'] && row['Project'], `issue ${issueId} is missing its status, reporter or project`);
+      check(threads[issueId] && threads[issueId].thread, `issue ${issueId} has no thread in the sidecar`);
+    });
+    OUT_OF_SCOPE.forEach(issueId => {
+      check(!rows.some(row => row['Issue ID'] === issueId), `issue ${issueId} is outside the open scope but was extracted`);
+    });
+    check(rows.length === Object.keys(EXPECTED_ISSUES).length, `detailed CSV has ${rows.length} rows, expected ${Object.keys(EXPECTED_ISSUES).length}`);
+
+    Object.entries(EXPECTED_MERGE_REQUESTS).forEach(([issueId, mergeRequests]) => {
+      const row = rows.find(candidate => candidate['Issue ID'] === issueId);
+      check(row && row['Merge Requests'] === mergeRequests, `issue ${issueId} has merge requests "${row && row['Merge Requests']}", expected "${mergeRequests}"`);
+      check(row && row['Has Fork'] === 'Yes', `issue ${issueId} has merge requests but Has Fork is "${row && row['Has Fork']}"`);
+    });
+
+    const thread = threads['3333333'] && threads['3333333'].thread;
+    check(thread && thread.comments.length === 2 && thread.mergeRequests.includes('!45'), 'thread of issue 3333333 should have 2 comments referencing MR !45');
+  }
+
+  if (failures.length > 0) {
+    console.log(output);
+    console.log(`(workspace kept in ${workspace})`);
+  } else {
+    fs.rmSync(workspace, { recursive: true, force: true });
+  }
+}
+
+const stubs = [
+  await startStub('drupal-api-stub-server.js', STUB_PORT),
+  await startStub('gitlab-api-stub-server.js', GITLAB_STUB_PORT)
+];
+try {
+  console.log(`🧪 Checking the api-d7 stub and step 1 --source api on ${API_BASE} (merge requests from ${GITLAB_API_BASE})...`);
+  await checkTraversal();
+  await checkStepOne();
+} finally {
+  stubs.forEach(stub => {
+    stub.removeAllListeners('close');
+    stub.kill();
+  });
+}
+
+if (failures.length > 0) {
+  console.log(`\n❌ ${failures.length} problem${failures.length === 1 ? '' : 's'} running step 1 against the api-d7 stub:`);
+  failures.forEach(failure => console.log(`   • ${failure}`));
+  process.exit(1);
+}
+
+console.log(`✅ Step 1 extracted ${Object.keys(EXPECTED_ISSUES).length} issues with their threads from the api-d7 stub and ${Object.keys(EXPECTED_MERGE_REQUESTS).length} merge request statuses from the GitLab stub`);
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+/**
+ * Checks lib/issue-page-parser.js on a saved Drupal.org issue page
+ * (fixtures/issue-pages), and on copies with reworded labels and with the
+ * field markup removed, so a parser change that blanks a column or stops
+ * reporting missing fields fails here rather than in a step 1 run:
+ *
+ *   node tools/check-issue-page-parser.js      (npm test)
+ *
+ * Exits with status 1 when any check fails.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseIssuePage, printParseHealthSummary } from '../lib/issue-page-parser.js';
+
+const FIXTURE = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'issue-pages', '3555555.html');
+
+const EXPECTED_FIELDS = {
+  status: 'Fixed',
+  priority: 'Normal',
+  component: 'forms system',
+  version: '11.x-dev',
+  reporter: 'alice',
+  created: '2019-10-12',
+  updated: '2025-04-20',
+  comments: '3',
+  lastCommenter: 'carol',
+  hasFork: 'Yes',
+  statusLifecycle: 'Active (2019-10-12) → Needs review (2019-11-02) → Fixed (2025-04-20)',
+  resolvedDate: '2025-04-20'
+};
+
+const failures = [];
+const check = (ok, message) => {
+  if (!ok) failures.push(message);
+};
+
+const html = fs.readFileSync(FIXTURE, 'utf8');
+
+// The saved page as Drupal.org renders it
+const page = parseIssuePage(html, '3555555');
+Object.entries(EXPECTED_FIELDS).forEach(([field, expected]) => {
+  check(page[field] === expected, `${field} is "${page[field]}", expected "${expected}"`);
+});
+check(page.missing.length === 0, `fields reported missing on the full page: ${page.missing.join(', ')}`);
+
+const { thread } = page;
+check(thread.description.includes('do not announce the legend'), 'the issue summary is missing from the thread description');
+check(thread.comments.map(comment => comment.number).join(',') === '1,2,3', `comment numbers are ${thread.comments.map(comment => comment.number).join(',')}, expected 1,2,3`);
+check(thread.comments.map(comment => comment.author).join(',') === 'alice,bob,carol', 'comment authors were not read from the comments');
+check(thread.comments[0].patches.join(',') === '3555555-1.patch', 'the patch of comment #1 was not found');
+check(thread.comments[1].mergeRequests.join(',') === '!8123', 'the !8123 mention in comment #2 was not found');
+check(thread.comments[2].statusChange && thread.comments[2].statusChange.to === 'Fixed', 'the status change of comment #3 was not read');
+check(thread.mergeRequests.join(',') === '!8123', `thread merge requests are "${thread.mergeRequests.join(',')}", expected "!8123" once`);
+check(thread.attachments.map(file => `${file.filename}@${file.commentNumber}`).join(', ') === 'radios-screenshot.png@0, 3555555-1.patch@1',
+  `attachments are ${thread.attachments.map(file => `${file.filename}@${file.commentNumber}`).join(', ')}`);
+
+// Reworded labels: fields with a field-name class are still found, the others are reported
+const reworded = parseIssuePage(html.replace('>Priority:&nbsp;<', '>Urgency:&nbsp;<').replace('>Reporter:&nbsp;<', '>Submitted by:&nbsp;<'), '3555556');
+check(reworded.priority === 'Normal', `priority under a reworded label is "${reworded.priority}", expected the field-name class fallback to find "Normal"`);
+check(reworded.missing.join(',') === 'reporter', `fields reported missing with reworded labels: "${reworded.missing.join(',')}", expected "reporter"`);
+
+// Field markup gone: every field is reported, and once most pages miss them the health check fails
+const unlabelled = html.replace(/class="field-label"/g, 'class="label"').replace(/field-name-field-issue-/g, 'field-name-');
+['3555557', '3555558', '3555559'].forEach(issueId => {
+  const broken = parseIssuePage(unlabelled, issueId);
+  check(broken.missing.length === 7 && !broken.status, `page without field markup reported only "${broken.missing.join(',')}" missing`);
+});
+
+const log = console.log;
+console.log = () => {};
+const healthy = printParseHealthSummary();
+console.log = log;
+check(!healthy, 'the parse-health summary passed although most pages had no status');
+
+if (failures.length > 0) {
+  console.log(`❌ ${failures.length} problem${failures.length === 1 ? '' : 's'} in lib/issue-page-parser.js:`);
+  failures.forEach(failure => console.log(`   • ${failure}`));
+  process.exit(1);
+}
+
+console.log(`✅ Issue page parser reads ${Object.keys(EXPECTED_FIELDS).length} fields and the comment thread of ${path.basename(FIXTURE)}, and reports missing fields`);
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+
+/**
+ * Checks the claim patterns of lib/note-verification.js on sample developer
+ * notes, so a pattern that starts flagging issue IDs or plans as claims fails
+ * loudly instead of deleting sentences from real notes:
+ *
+ *   node tools/check-note-verification.js      (npm test)
+ *
+ * Exits with status 1 when any check fails.
+ */
+
+import { collectEvidence, verifyDeveloperNote } from '../lib/note-verification.js';
+
+// An issue with 5 comments: #2 mentions MR !45, #4 attaches a patch, and the
+// GitLab lookup found !45 open and !12 merged
+const row = { 'Status': 'Needs review', 'Comments': '5', 'Merge Requests': '!45 open, mergeable, pipeline success, 2025-04-20; !12 merged, 2025-03-02' };
+const threadEntry = {
+  thread: {
+    comments: [1, 2, 3, 4, 5].map(number => ({
+      number,
+      patches: number === 4 ? ['3312345-4.patch'] : [],
+      mergeRequests: number === 2 ? ['!45'] : []
+    })),
+    attachments: [{ type: 'patch', filename: '3312345-4.patch', commentNumber: 4 }],
+    mergeRequests: ['!45']
+  }
+};
+const evidence = collectEvidence(row, threadEntry, null);
+
+// [note, expected Note Verification cell, expected note with --remove-unsupported-claims]
+const CASES = [
+  ['Nothing to check here.', 'no claims', 'Nothing to check here.'],
+  ['The patch in #4 adds the label.', 'verified (1 claims)', 'The patch in #4 adds the label.'],
+  ['3312345-4.patch adds the label.', 'verified (1 claims)', '3312345-4.patch adds the label.'],
+  ['This duplicates #3312345. See issue #123 as well.', 'no claims', 'This duplicates #3312345. See issue #123 as well.'],
+  ['Comment #9 has a fix.', 'removed: #9 no such comment', ''],
+  ['The patch in #3 works. Needs tests.', 'removed: #3 comment has no patch', 'Needs tests.'],
+  ['A reroll is in 3312345-7.patch.', 'removed: 3312345-7.patch not attached to the issue', ''],
+  ['MR !45 is awaiting review.', 'verified (2 claims)', 'MR !45 is awaiting review.'],
+  ['MR !12 is awaiting review.', 'removed: "needs review" !12 is merged', ''],
+  ['MR !99 adds the fix.', 'removed: MR !99 not found on the issue', ''],
+  ['It has been merged.', 'verified (1 claims)', 'It has been merged.'],
+  ['It is RTBC. The fix is solid.', 'removed: "RTBC" issue status is Needs review', 'The fix is solid.'],
+  ['It should be committed once reviewed.', 'no claims', 'It should be committed once reviewed.'],
+  ['It is not postponed.', 'no claims', 'It is not postponed.']
+];
+
+const failures = [];
+
+CASES.forEach(([note, verification, kept]) => {
+  const checked = verifyDeveloperNote(note, evidence, { removeUnsupported: true });
+  if (checked.verification !== verification) {
+    failures.push(`"${note}" was checked as "${checked.verification}", expected "${verification}"`);
+  }
+  if (checked.note !== kept) {
+    failures.push(`"${note}" kept "${checked.note}", expected "${kept}"`);
+  }
+  if (verifyDeveloperNote(note, evidence).note !== note) {
+    failures.push(`"${note}" was changed without --remove-unsupported-claims`);
+  }
+});
+
+if (failures.length > 0) {
+  console.log(`❌ ${failures.length} problem${failures.length === 1 ? '' : 's'} in lib/note-verification.js:`);
+  failures.forEach(failure => console.log(`   • ${failure}`));
+  process.exit(1);
+}
+
+console.log(`✅ Developer note verification handles ${CASES.length} sample notes`);
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+/**
+ * Runs step 2 with the mock provider while the network is unavailable, so it
+ * must read every issue from the threads step 1 saved instead of fetching
+ * issue pages:
+ *
+ *   node tools/check-offline-summaries.js      (npm test)
+ *
+ * The golden set issues are written as a detailed CSV with a thread sidecar in
+ * a temporary workspace, and step 2 runs there with every host name failing to
+ * resolve. Exits with status 1 when any issue has no summary.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { DETAILED_CSV_HEADERS, issueToRow } from '../lib/detailed-issues.js';
+import { loadGoldenSet, toDetailedIssue } from '../lib/golden-set.js';
+import { escapeCSV, parseCSVRecords } from '../lib/spreadsheet-csv.js';
+
+const ROOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Preloaded into step 2: no host name resolves, as on a machine without network
+const NO_NETWORK = `
+import dns from 'dns';
+const fail = hostname => Object.assign(new Error(\`getaddrinfo ENOTFOUND \${hostname}\`), { code: 'ENOTFOUND', hostname });
+dns.lookup = (hostname, options, callback) => process.nextTick(callback || options, fail(hostname));
+dns.promises.lookup = async hostname => { throw fail(hostname); };
+`;
+
+const goldenSet = loadGoldenSet();
+const workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'acr-offline-'));
+const resultsDir = path.join(workspace, 'results');
+fs.mkdirSync(resultsDir);
+
+// The detailed CSV and thread sidecar step 1 would have written; the issue URLs
+// point at drupal.org so a fetch would fail
+const extractedAt = new Date().toISOString();
+const issues = goldenSet.issues.map(issue => ({ ...toDetailedIssue(issue, extractedAt), url: `https://www.drupal.org/project/drupal/issues/${issue.issueId}` }));
+const detailedFile = path.join(resultsDir, 'wcag-detailed-issues_2026-01-01_00-00.csv');
+fs.writeFileSync(detailedFile, [DETAILED_CSV_HEADERS.join(','), ...issues.map(issue => issueToRow(issue).map(escapeCSV).join(','))].join('\n') + '\n', 'utf8');
+
+const threads = {};
+goldenSet.issues.forEach(issue => {
+  threads[issue.issueId] = {
+    title: issue.title,
+    url: `https://www.drupal.org/project/drupal/issues/${issue.issueId}`,
+    wcagCriteria: issue.wcagSC,
+    mergeRequests: [],
+    thread: {
+      issueId: issue.issueId,
+      source: 'html',
+      description: issue.description,
+      comments: issue.comments.map((comment, index) => ({ number: index + 1, author: comment.author, body: comment.body, patches: [], mergeRequests: [] })),
+      attachments: [],
+      mergeRequests: []
+    }
+  };
+});
+fs.writeFileSync(detailedFile.replace(/\.csv$/, '.threads.json'), JSON.stringify({ issues: threads }, null, 2), 'utf8');
+
+const preloadFile = path.join(workspace, 'no-network.mjs');
+fs.writeFileSync(preloadFile, NO_NETWORK, 'utf8');
+
+console.log(`🔌 Running step 2 offline with the mock provider on ${issues.length} golden set issues...`);
+const result = spawnSync(process.execPath, ['--import', preloadFile, path.join(ROOT_DIR, 'generate-issue-summaries.js'), '--provider', 'mock'], {
+  cwd: workspace,
+  encoding: 'utf8',
+  timeout: 120000
+});
+
+const failures = [];
+const summaryFile = fs.readdirSync(resultsDir).find(file => file.startsWith('wcag-issue-summaries_') && file.endsWith('.csv'));
+if (result.status !== 0) {
+  failures.push(`step 2 exited with ${result.status === null ? result.signal : `code ${result.status}`}`);
+}
+if (!summaryFile) {
+  failures.push('step 2 wrote no wcag-issue-summaries CSV');
+} else {
+  const rows = parseCSVRecords(fs.readFileSync(path.join(resultsDir, summaryFile), 'utf8'));
+  issues.forEach(issue => {
+    const row = rows.find(candidate => candidate['Issue ID'] === issue.issueId);
+    if (!row) {
+      failures.push(`issue ${issue.issueId} has no summary row`);
+    } else if (row['Status'] === 'error') {
+      failures.push(`issue ${issue.issueId} failed: ${row['Error']}`);
+    }
+  });
+}
+
+if (failures.length > 0) {
+  console.log((result.stdout || '') + (result.stderr || ''));
+  console.log(`\n❌ ${failures.length} problem${failures.length === 1 ? '' : 's'} running step 2 offline (workspace kept in ${workspace}):`);
+  failures.forEach(failure => console.log(`   • ${failure}`));
+  process.exit(1);
+}
+
+fs.rmSync(workspace, { recursive: true, force: true });
+console.log(`✅ Step 2 summarized ${issues.length} issues offline from their saved threads`);
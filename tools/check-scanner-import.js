@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+
+/**
+ * Checks lib/scanner-import.js on the sample axe-core, Pa11y and Lighthouse
+ * reports in fixtures/scanner-results: the format each is detected as, the
+ * WCAG criteria its failing rules map to, and the evidence CSV written from
+ * them:
+ *
+ *   node tools/check-scanner-import.js      (npm test)
+ *
+ * Exits with status 1 when any check fails.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { EVIDENCE_HEADERS, detectReportFormat, importScannerReport, writeEvidenceFile } from '../lib/scanner-import.js';
+import { parseCSVRecords } from '../lib/spreadsheet-csv.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'scanner-results');
+
+// Fixture -> detected format, the findings as "rule criteria ×occurrences", and
+// the failing rules that map to no criterion (axe "region", Lighthouse "heading-order")
+const EXPECTED_REPORTS = {
+  'axe-core.json': {
+    format: 'axe-core',
+    findings: ['color-contrast wcag143 ×2', 'label wcag412,wcag131 ×1'],
+    unmapped: 1
+  },
+  'pa11y.json': {
+    format: 'pa11y',
+    findings: ['WCAG2AA.Principle1.Guideline1_4.1_4_3.G18.Fail wcag143 ×2', 'WCAG2AA.Principle4.Guideline4_1.4_1_2.H91.A.NoContent wcag412 ×1'],
+    unmapped: 0
+  },
+  'lighthouse.json': {
+    format: 'lighthouse',
+    findings: ['button-name wcag412 ×1'],
+    unmapped: 1
+  }
+};
+
+// Report shapes written by other versions of the tools
+const FORMAT_CASES = [
+  ['a single axe-core results object', { url: 'https://example.com/', violations: [] }, 'axe-core'],
+  ['pa11y --reporter json', [{ code: 'WCAG2AA.Principle1.Guideline1_1.1_1_1.H37', type: 'error' }], 'pa11y'],
+  ['the Pa11y Node API result', { pageUrl: 'https://example.com/', issues: [] }, 'pa11y'],
+  ['an unrelated JSON file', { name: 'drupal-acr', version: '1.0.0' }, null]
+];
+
+const failures = [];
+const check = (ok, message) => {
+  if (!ok) failures.push(message);
+};
+
+const allFindings = [];
+Object.entries(EXPECTED_REPORTS).forEach(([file, expected]) => {
+  const { format, findings, unmapped } = importScannerReport(path.join(FIXTURES_DIR, file));
+  const actual = findings.map(finding => `${finding.ruleId} ${finding.wcagCriteria.join(',')} ×${finding.occurrences}`);
+
+  check(format === expected.format, `${file} was detected as ${format}, expected ${expected.format}`);
+  check(actual.join('; ') === expected.findings.join('; '), `${file} gave findings "${actual.join('; ')}", expected "${expected.findings.join('; ')}"`);
+  check(unmapped === expected.unmapped, `${file} has ${unmapped} unmapped rules, expected ${expected.unmapped}`);
+  check(findings.every(finding => finding.pageUrl && finding.sourceFile === file), `${file} has findings without a page URL or source file`);
+  allFindings.push(...findings);
+});
+
+FORMAT_CASES.forEach(([name, report, expected]) => {
+  const format = detectReportFormat(report);
+  check(format === expected, `${name} was detected as ${format}, expected ${expected}`);
+});
+
+// Other JSON files are refused, and the evidence CSV keeps descriptions with
+// commas (Pa11y messages) in one cell
+const workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'acr-scanner-import-'));
+try {
+  const notReport = path.join(workspace, 'package.json');
+  fs.writeFileSync(notReport, JSON.stringify({ name: 'drupal-acr' }), 'utf8');
+  let error = null;
+  try {
+    importScannerReport(notReport);
+  } catch (caught) {
+    error = caught;
+  }
+  check(error && /not an axe-core, Pa11y or Lighthouse/.test(error.message), 'a JSON file that is not a report was imported without an error');
+
+  const rows = parseCSVRecords(fs.readFileSync(writeEvidenceFile(allFindings, workspace), 'utf8'));
+  check(rows.length === allFindings.length, `evidence CSV has ${rows.length} rows, expected ${allFindings.length}`);
+  rows.forEach((row, index) => {
+    const finding = allFindings[index];
+    check(Object.keys(row).join(',') === EVIDENCE_HEADERS.join(','), 'evidence CSV headers do not match EVIDENCE_HEADERS');
+    check(row['Description'] === finding.description && row['WCAG SC'] === finding.wcagCriteria.join(', '),
+      `evidence row ${index + 1} (${finding.ruleId}) does not read back as written`);
+  });
+} finally {
+  fs.rmSync(workspace, { recursive: true, force: true });
+}
+
+if (failures.length > 0) {
+  console.log(`❌ ${failures.length} problem${failures.length === 1 ? '' : 's'} in lib/scanner-import.js:`);
+  failures.forEach(failure => console.log(`   • ${failure}`));
+  process.exit(1);
+}
+
+console.log(`✅ Scanner import maps ${allFindings.length} findings from ${Object.keys(EXPECTED_REPORTS).length} sample reports and detects ${FORMAT_CASES.length} other report shapes`);
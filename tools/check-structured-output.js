@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+
+/**
+ * Checks the JSON answers of lib/structured-output.js with scripted model
+ * responses: a valid answer is used as is, an invalid one gets exactly one
+ * repair request quoting its problems, and a second invalid answer throws:
+ *
+ *   node tools/check-structured-output.js      (npm test)
+ *
+ * The responses come from a fake fetch in the OpenAI-compatible format, so no
+ * request leaves the machine. Exits with status 1 when any check fails.
+ */
+
+import { configureLLM } from '../lib/llm-provider.js';
+import { generateJSON, validateAgainstSchema } from '../lib/structured-output.js';
+
+const SCHEMA = {
+  type: 'object',
+  properties: {
+    assessment: { type: 'string', enum: ['SUPPORTED', 'PARTIALLY_SUPPORTED', 'NOT_SUPPORTED'] },
+    notes: { type: 'string' },
+    functionalPerformance: { type: 'array', items: { type: 'string', enum: ['302.1', '302.2'] } }
+  },
+  required: ['assessment', 'notes']
+};
+const VALID = { assessment: 'PARTIALLY_SUPPORTED', notes: 'Legends are not announced.', functionalPerformance: ['302.1'] };
+
+// [name, model answers in order, expected result (object) or error pattern, calls expected]
+const CASES = [
+  ['a valid answer', [JSON.stringify(VALID)], VALID, 1],
+  ['JSON in a ```json fence', [`Here it is:\n\`\`\`json\n${JSON.stringify(VALID)}\n\`\`\``], VALID, 1],
+  ['an enum value repaired', [JSON.stringify({ ...VALID, assessment: 'PARTIAL' }), JSON.stringify(VALID)], VALID, 2],
+  ['a missing field repaired', [JSON.stringify({ assessment: 'SUPPORTED' }), JSON.stringify({ ...VALID, assessment: 'SUPPORTED' })], { ...VALID, assessment: 'SUPPORTED' }, 2],
+  ['prose, then a wrong array item', ['The criterion is partially supported.', JSON.stringify({ ...VALID, functionalPerformance: ['302.9'] })], /after a repair attempt: "functionalPerformance" items must be among/, 2]
+];
+
+const failures = [];
+const check = (ok, message) => {
+  if (!ok) failures.push(message);
+};
+
+configureLLM(['--provider', 'openai', '--model', 'check-model']);
+
+// fetch stand-in answering with the scripted texts and keeping the prompts it was sent
+function scriptedFetch(answers, prompts) {
+  return async (url, options) => {
+    prompts.push(JSON.parse(options.body).messages[0].content);
+    const content = answers[prompts.length - 1];
+    return {
+      ok: content !== undefined,
+      status: content !== undefined ? 200 : 500,
+      text: async () => 'no scripted answer left',
+      json: async () => ({ choices: [{ message: { content } }], usage: { prompt_tokens: 10, completion_tokens: 10 } })
+    };
+  };
+}
+
+const log = console.log;
+for (const [name, answers, expected, calls] of CASES) {
+  const prompts = [];
+  let result;
+  let error = null;
+  console.log = () => {};
+  try {
+    result = await generateJSON('Assess the criterion.', SCHEMA, {}, scriptedFetch(answers, prompts));
+  } catch (caught) {
+    error = caught;
+  } finally {
+    console.log = log;
+  }
+
+  check(prompts.length === calls, `${name}: ${prompts.length} requests, expected ${calls}`);
+  if (expected instanceof RegExp) {
+    check(error && expected.test(error.message), `${name}: expected an error matching ${expected}, got ${error ? `"${error.message}"` : JSON.stringify(result)}`);
+  } else {
+    check(!error && JSON.stringify(result) === JSON.stringify(expected), `${name}: got ${error ? `error "${error.message}"` : JSON.stringify(result)}, expected ${JSON.stringify(expected)}`);
+  }
+
+  // The repair request repeats the schema and quotes the answer and its problems
+  if (prompts.length === 2) {
+    check(prompts[1].startsWith(prompts[0]), `${name}: the repair request does not repeat the original prompt`);
+    check(prompts[1].includes(`Your previous response was:\n${answers[0]}`), `${name}: the repair request does not quote the previous answer`);
+    check(/It does not match the schema: .+\. Respond again/.test(prompts[1]), `${name}: the repair request does not list the problems`);
+  }
+}
+
+check(validateAgainstSchema([VALID], SCHEMA).join() === 'response is not a JSON object', 'an array answer was not refused as a non-object');
+check(validateAgainstSchema({ ...VALID, notes: 42 }, SCHEMA).join() === '"notes" must be a string', 'a number in a string field was accepted');
+
+if (failures.length > 0) {
+  console.log(`❌ ${failures.length} problem${failures.length === 1 ? '' : 's'} in lib/structured-output.js:`);
+  failures.forEach(failure => console.log(`   • ${failure}`));
+  process.exit(1);
+}
+
+console.log(`✅ Structured output handles ${CASES.length} scripted answers with at most one repair request`);
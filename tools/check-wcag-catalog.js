@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+
+/**
+ * Checks lib/wcag-catalog.js against the success criteria published in
+ * WCAG 2.0, 2.1 and 2.2, so a missing criterion or a wrong level fails loudly
+ * instead of silently dropping a row from the ACR:
+ *
+ *   node tools/check-wcag-catalog.js      (npm test)
+ *
+ * Exits with status 1 when any check fails.
+ */
+
+import { WCAG_CRITERIA, WCAG_VERSIONS, getCriterion, getCriteriaForVersion } from '../lib/wcag-catalog.js';
+
+// Criteria each version added, by level, as listed in the W3C recommendations
+const PUBLISHED = {
+  '2.0': {
+    A: '1.1.1 1.2.1 1.2.2 1.2.3 1.3.1 1.3.2 1.3.3 1.4.1 1.4.2 2.1.1 2.1.2 2.2.1 2.2.2 2.3.1 2.4.1 2.4.2 2.4.3 2.4.4 3.1.1 3.2.1 3.2.2 3.3.1 3.3.2 4.1.1 4.1.2',
+    AA: '1.2.4 1.2.5 1.4.3 1.4.4 1.4.5 2.4.5 2.4.6 2.4.7 3.1.2 3.2.3 3.2.4 3.3.3 3.3.4',
+    AAA: '1.2.6 1.2.7 1.2.8 1.2.9 1.4.6 1.4.7 1.4.8 1.4.9 2.1.3 2.2.3 2.2.4 2.2.5 2.3.2 2.4.8 2.4.9 2.4.10 3.1.3 3.1.4 3.1.5 3.1.6 3.2.5 3.3.5 3.3.6'
+  },
+  '2.1': {
+    A: '2.1.4 2.5.1 2.5.2 2.5.3 2.5.4',
+    AA: '1.3.4 1.3.5 1.4.10 1.4.11 1.4.12 1.4.13 4.1.3',
+    AAA: '1.3.6 2.2.6 2.3.3 2.5.5 2.5.6'
+  },
+  '2.2': {
+    A: '3.2.6 3.3.7',
+    AA: '2.4.11 2.5.7 2.5.8 3.3.8',
+    AAA: '2.4.12 2.4.13 3.3.9'
+  }
+};
+
+// Criteria per version once obsolete ones are dropped (4.1.1 is gone in 2.2)
+const VERSION_TOTALS = { '2.0': 61, '2.1': 78, '2.2': 86 };
+
+const failures = [];
+const check = (ok, message) => {
+  if (!ok) failures.push(message);
+};
+
+console.log('🧪 WCAG Catalog Check');
+console.log('=====================');
+
+// Every published criterion is in the catalog with its level and version
+const expected = new Map();
+Object.entries(PUBLISHED).forEach(([version, levels]) => {
+  Object.entries(levels).forEach(([level, nums]) => {
+    nums.split(' ').forEach(num => expected.set(num, { version, level }));
+  });
+});
+
+expected.forEach(({ version, level }, num) => {
+  const entry = WCAG_CRITERIA.find(criterion => criterion.num === num);
+  if (!entry) {
+    failures.push(`${num} is missing (WCAG ${version}, Level ${level})`);
+    return;
+  }
+  check(entry.level === level, `${num} is Level ${entry.level}, expected Level ${level}`);
+  check(entry.version === version, `${num} is marked WCAG ${entry.version}, expected WCAG ${version}`);
+});
+
+// Nothing beyond the published criteria, and nothing twice
+const seenTags = new Set();
+WCAG_CRITERIA.forEach(entry => {
+  check(expected.has(entry.num), `${entry.num} is not a published WCAG criterion`);
+  check(entry.name && entry.name.trim(), `${entry.num} has no name`);
+  check(entry.statement && entry.statement.trim(), `${entry.num} has no positive statement`);
+  check(entry.code === entry.tags[0], `${entry.num} does not search its own tag first`);
+  entry.tags.forEach(tag => {
+    check(!seenTags.has(tag), `tag ${tag} is used by more than one criterion`);
+    seenTags.add(tag);
+  });
+});
+
+// Lookups resolve every spelling back to the same criterion
+WCAG_CRITERIA.forEach(entry => {
+  [entry.num, ...entry.tags, `WCAG ${entry.num}`, entry.code.toUpperCase()].forEach(value => {
+    check(getCriterion(value) === entry, `getCriterion("${value}") does not return ${entry.num}`);
+  });
+});
+
+WCAG_VERSIONS.forEach(version => {
+  const count = getCriteriaForVersion(version).length;
+  check(count === VERSION_TOTALS[version], `WCAG ${version} has ${count} criteria, expected ${VERSION_TOTALS[version]}`);
+  console.log(`📋 WCAG ${version}: ${count} criteria`);
+});
+
+if (failures.length > 0) {
+  console.log(`\n❌ ${failures.length} problem${failures.length === 1 ? '' : 's'} in lib/wcag-catalog.js:`);
+  failures.forEach(failure => console.log(`   • ${failure}`));
+  process.exit(1);
+}
+
+console.log(`\n✅ Catalog covers WCAG ${WCAG_VERSIONS.join(', ')} (${WCAG_CRITERIA.length} criteria)`);
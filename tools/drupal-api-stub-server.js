@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+
+/**
+ * Local stand-in for the Drupal.org api-d7 endpoints.
+ *
+ * Serves the JSON fixtures in fixtures/drupal-api so that step 1 can be run
+ * offline with the API source:
+ *
+ *   node tools/drupal-api-stub-server.js [port]
+ *   DRUPAL_API_BASE=http://localhost:8787/api-d7 node extract-wcag-issues.js --source api
+ */
+
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'drupal-api');
+const port = parseInt(process.argv[2] || process.env.PORT || '8787', 10);
+
+// Map an api-d7 request onto a fixture file, or null when there is none
+function resolveFixture(pathname, query) {
+  if (pathname === '/api-d7/taxonomy_term.json') {
+    // Term names become file names, so anything that could leave the fixtures is refused
+    const name = query.get('name') || '';
+    if (!name || /[\/\\]|\.\./.test(name)) return null;
+    return path.join('taxonomy_term', `${name}.json`);
+  }
+
+  if (pathname === '/api-d7/node.json') {
+    const tid = query.get('taxonomy_vocabulary_9');
+    const page = parseInt(query.get('page') || '0', 10);
+    if (!/^\d+$/.test(tid || '')) return null;
+    return path.join('issues', page > 0 ? `${tid}-page${page}.json` : `${tid}.json`);
+  }
+
+  const entityMatch = pathname.match(/^\/api-d7\/(node|user|comment)\/(\d+)\.json$/);
+  if (entityMatch) {
+    return path.join(entityMatch[1], `${entityMatch[2]}.json`);
+  }
+
+  return null;
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${port}`);
+  const fixture = resolveFixture(url.pathname, url.searchParams);
+  const fixturePath = fixture ? path.join(FIXTURES_DIR, fixture) : null;
+
+  if (!fixturePath || !fs.existsSync(fixturePath)) {
+    // api-d7 answers unknown taxonomy terms with an empty list rather than a 404
+    if (url.pathname === '/api-d7/taxonomy_term.json') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ list: [] }));
+    } else {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Not found' }));
+    }
+    console.log(`404 ${req.method} ${req.url}`);
+    return;
+  }
+
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  fs.createReadStream(fixturePath).pipe(res);
+  console.log(`200 ${req.method} ${req.url} -> ${fixture}`);
+});
+
+server.listen(port, () => {
+  console.log(`🧪 Drupal.org API stub listening on http://localhost:${port}/api-d7`);
+  console.log(`📁 Serving fixtures from ${FIXTURES_DIR}`);
+});
@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+
+/**
+ * Local stand-in for the git.drupalcode.org GitLab API.
+ *
+ * Serves the merge request fixtures in fixtures/gitlab-api so that the merge
+ * request status lookup in step 1 can be run offline:
+ *
+ *   node tools/gitlab-api-stub-server.js [port]
+ *   GITLAB_API_BASE=http://localhost:8788/api/v4 node extract-wcag-issues.js
+ */
+
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'gitlab-api');
+const port = parseInt(process.argv[2] || process.env.PORT || '8788', 10);
+
+// Map a GitLab API request onto a fixture file, or null when there is none.
+// Project paths arrive URL-encoded (projects/project%2Fdrupal/...).
+function resolveFixture(pathname) {
+  const match = pathname.match(/^\/api\/v4\/projects\/([^/]+)\/merge_requests\/(\d+)(\/pipelines)?$/);
+  if (!match) return null;
+
+  const projectPath = decodeURIComponent(match[1]);
+  if (projectPath.includes('..')) return null;
+
+  return match[3]
+    ? path.join(projectPath, 'merge_requests', match[2], 'pipelines.json')
+    : path.join(projectPath, 'merge_requests', `${match[2]}.json`);
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${port}`);
+  const fixture = resolveFixture(url.pathname);
+  const fixturePath = fixture ? path.join(FIXTURES_DIR, fixture) : null;
+
+  if (!fixturePath || !fs.existsSync(fixturePath)) {
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ message: '404 Not found' }));
+    console.log(`404 ${req.method} ${req.url}`);
+    return;
+  }
+
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  fs.createReadStream(fixturePath).pipe(res);
+  console.log(`200 ${req.method} ${req.url} -> ${fixture}`);
+});
+
+server.listen(port, () => {
+  console.log(`🧪 GitLab API stub listening on http://localhost:${port}/api/v4`);
+  console.log(`📁 Serving fixtures from ${FIXTURES_DIR}`);
+});